@@ -0,0 +1,317 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { PublicKey } from '@solana/web3.js';
+import { Program, AnchorProvider, setProvider, BN } from '@coral-xyz/anchor';
+import {
+  PROGRAM_ID,
+  CONFIG_SEED,
+  VALIDATION,
+  TOKEN_STANDARDS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES
+} from '@/lib/constants';
+import IDL from '@/lib/program/idl';
+import { sendTransaction } from '@/lib/program/transaction-helper';
+import { handleTransactionError } from '@/lib/utils/errors';
+import { formatBasisPoints, formatNumber } from '@/lib/utils/formatters';
+import toast from 'react-hot-toast';
+import Link from 'next/link';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+
+// Each editable Config value and the instruction that updates it
+const FEE_FIELDS = [
+  {
+    key: 'fee',
+    label: 'Protocol Fee (%)',
+    description: 'Taken from pool balances on finalization',
+    method: 'setFee',
+    unit: 'bps',
+  },
+  {
+    key: 'tradingFee',
+    label: 'Trading Fee (%)',
+    description: 'Charged on every bonding curve buy and sell',
+    method: 'setTradingFee',
+    unit: 'bps',
+  },
+  {
+    key: 'bundleFee',
+    label: 'Bundle Fee (%)',
+    description: 'Charged on bundle deposits when the bundle buy executes',
+    method: 'setBundleFee',
+    unit: 'bps',
+  },
+  {
+    key: 'requireRaiseUsd',
+    label: 'Required Raise Amount (USD)',
+    description: 'Target amount for each pool to raise',
+    method: 'setRequireRaiseUsd',
+    unit: 'usd',
+  },
+];
+
+/**
+ * Convert a form value to the on-chain integer for a field
+ * @param {Object} field - Entry from FEE_FIELDS
+ * @param {string} value - Raw input value
+ * @returns {Object} { value?: BN, error?: string }
+ */
+function parseFieldValue(field, value) {
+  if (value === '' || value === null || value === undefined) {
+    return { error: 'Value is required' };
+  }
+
+  if (field.unit === 'usd') {
+    if (!/^\d+$/.test(value.trim())) {
+      return { error: 'Must be a whole number of USD' };
+    }
+    return { value: new BN(value.trim()) };
+  }
+
+  const percentage = parseFloat(value);
+  if (isNaN(percentage)) {
+    return { error: 'Must be a number' };
+  }
+
+  const basisPoints = Math.round(percentage * TOKEN_STANDARDS.PERCENTAGE_DECIMALS);
+  if (Math.abs(percentage * TOKEN_STANDARDS.PERCENTAGE_DECIMALS - basisPoints) > 1e-9) {
+    return { error: 'At most two decimal places (1 basis point)' };
+  }
+  if (basisPoints < 0 || basisPoints > VALIDATION.MAX_FEE_BASIS_POINTS) {
+    return { error: 'Must be between 0% and 100%' };
+  }
+
+  return { value: new BN(basisPoints) };
+}
+
+/**
+ * Format an on-chain value for display
+ * @param {Object} field - Entry from FEE_FIELDS
+ * @param {BN} value - On-chain value
+ * @returns {string} Display string
+ */
+function formatFieldValue(field, value) {
+  if (!value) return '-';
+  if (field.unit === 'usd') {
+    return `$${formatNumber(Number(value.toString()), 0)}`;
+  }
+  return `${formatBasisPoints(value.toNumber())} (${value.toString()} bps)`;
+}
+
+export default function FeesPage() {
+  const { connection } = useConnection();
+  const wallet = useWallet();
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [values, setValues] = useState({});
+
+  useEffect(() => {
+    if (wallet.connected && wallet.publicKey) {
+      fetchConfig();
+    }
+  }, [wallet.connected, wallet.publicKey]);
+
+  const getProgram = () => {
+    const provider = new AnchorProvider(
+      connection,
+      wallet,
+      { commitment: 'confirmed' }
+    );
+    setProvider(provider);
+    return new Program(IDL, provider);
+  };
+
+  const fetchConfig = async () => {
+    try {
+      setLoading(true);
+
+      const program = getProgram();
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      const configAccount = await program.account.config.fetch(configPda);
+      setConfig(configAccount);
+      setIsOwner(configAccount.owner.equals(wallet.publicKey));
+
+      // Seed the form with the current on-chain values
+      setValues({
+        fee: (configAccount.fee.toNumber() / TOKEN_STANDARDS.PERCENTAGE_DECIMALS).toString(),
+        tradingFee: (configAccount.tradingFee.toNumber() / TOKEN_STANDARDS.PERCENTAGE_DECIMALS).toString(),
+        bundleFee: (configAccount.bundleFee.toNumber() / TOKEN_STANDARDS.PERCENTAGE_DECIMALS).toString(),
+        requireRaiseUsd: configAccount.requireRaiseUsd.toString(),
+      });
+    } catch (error) {
+      console.error('Error fetching config:', error);
+      toast.error('Failed to fetch fee configuration');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Parse every field and work out which ones differ from the chain
+  const rows = FEE_FIELDS.map((field) => {
+    const current = config ? config[field.key] : null;
+    const parsed = parseFieldValue(field, values[field.key]);
+    const changed = !!(current && parsed.value && !parsed.value.eq(current));
+    return { field, current, parsed, changed };
+  });
+  const changedRows = rows.filter((row) => row.changed);
+  const hasErrors = rows.some((row) => row.parsed.error);
+
+  const handleSave = async () => {
+    if (!wallet.publicKey || !wallet.signTransaction) {
+      toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      return;
+    }
+
+    if (hasErrors) {
+      toast.error('Please fix the highlighted values');
+      return;
+    }
+
+    if (changedRows.length === 0) {
+      toast.error('No changes to save');
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      const program = getProgram();
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      // Only send the setters whose values actually changed
+      const instructions = [];
+      for (const { field, parsed } of changedRows) {
+        const ix = await program.methods[field.method](parsed.value)
+          .accounts({
+            configAcc: configPda,
+            owner: wallet.publicKey,
+          })
+          .instruction();
+        instructions.push(ix);
+      }
+
+      const txSig = await sendTransaction(connection, wallet, instructions);
+
+      toast.success(SUCCESS_MESSAGES.FEES_UPDATED);
+      console.log('Update fees transaction:', txSig);
+
+      await fetchConfig();
+    } catch (error) {
+      handleTransactionError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!wallet.connected) {
+    return (
+      <div className="max-w-2xl mx-auto text-center py-20">
+        <h1 className="text-3xl font-bold mb-4">Update Fees</h1>
+        <p className="text-gray-400">{ERROR_MESSAGES.WALLET_NOT_CONNECTED}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="mb-6">
+        <Link
+          href="/admin"
+          className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition-colors"
+        >
+          <ArrowLeft size={16} />
+          Back to Admin
+        </Link>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
+        <h1 className="text-3xl font-bold mb-6">Fee Configuration</h1>
+
+        {loading && !config ? (
+          <div className="text-center py-4">
+            <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-purple-500"></div>
+          </div>
+        ) : config ? (
+          <div className="space-y-6">
+            {rows.map(({ field, current, parsed, changed }) => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  {field.label}
+                </label>
+                <div className="grid grid-cols-2 gap-4 items-start">
+                  <div className="bg-gray-700 rounded-lg px-4 py-2">
+                    <p className="text-xs text-gray-500">Current</p>
+                    <p className="text-sm">{formatFieldValue(field, current)}</p>
+                  </div>
+                  <div>
+                    <input
+                      type="number"
+                      value={values[field.key] ?? ''}
+                      onChange={(e) => setValues({ ...values, [field.key]: e.target.value })}
+                      step={field.unit === 'usd' ? '1' : '0.01'}
+                      min="0"
+                      max={field.unit === 'usd' ? undefined : '100'}
+                      disabled={!isOwner || saving}
+                      className={`w-full px-4 py-2 bg-gray-700 border rounded-lg text-white placeholder-gray-400 focus:outline-none disabled:opacity-50 ${
+                        parsed.error ? 'border-red-500 focus:border-red-500' : 'border-gray-600 focus:border-purple-500'
+                      }`}
+                    />
+                    {parsed.error && (
+                      <p className="text-xs text-red-400 mt-1">{parsed.error}</p>
+                    )}
+                  </div>
+                </div>
+                {changed && (
+                  <p className="flex items-center gap-2 text-xs text-yellow-400 mt-2">
+                    {formatFieldValue(field, current)}
+                    <ArrowRight size={12} />
+                    {formatFieldValue(field, parsed.value)}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">{field.description}</p>
+              </div>
+            ))}
+
+            {isOwner ? (
+              <div className="border-t border-gray-700 pt-6">
+                <p className="text-sm text-gray-400 mb-3">
+                  {changedRows.length === 0
+                    ? 'No changes'
+                    : `${changedRows.length} change${changedRows.length > 1 ? 's' : ''} will be sent in one transaction`}
+                </p>
+                <button
+                  onClick={handleSave}
+                  disabled={saving || hasErrors || changedRows.length === 0}
+                  className="w-full px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-all duration-200"
+                >
+                  {saving ? 'Updating...' : 'Update Fees'}
+                </button>
+              </div>
+            ) : (
+              <div className="border-t border-gray-700 pt-6">
+                <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-4">
+                  <p className="text-yellow-400 text-sm">
+                    {ERROR_MESSAGES.UNAUTHORIZED}: Only the config owner can update fees
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        ) : (
+          <p className="text-gray-400 text-sm">Fee configuration unavailable</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -14,7 +14,7 @@ import {
   SUCCESS_MESSAGES,
   TOKEN_STANDARDS
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { sendTransaction } from '@/lib/program/transaction-helper';
 import { numberToBN } from '@/lib/utils/calculations';
 import { handleTransactionError } from '@/lib/utils/errors';
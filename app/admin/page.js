@@ -3,7 +3,7 @@
 import { useWallet } from '@solana/wallet-adapter-react';
 import { useProgram } from '@/contexts/ProgramContext';
 import Link from 'next/link';
-import { Settings, Plus, Coins, Router, DollarSign } from 'lucide-react';
+import { Settings, Plus, Coins, Router, DollarSign, KeyRound } from 'lucide-react';
 import { ERROR_MESSAGES } from '@/lib/constants';
 
 export default function AdminPage() {
@@ -29,8 +29,8 @@ export default function AdminPage() {
       disabled: programStatus.isInitialized,
     },
     {
-      title: 'Add Stable Coins',
-      description: 'Configure accepted stable coins for pools',
+      title: 'Manage Stable Coins',
+      description: 'Add or remove accepted stable coins for pools',
       href: '/admin/stable-coins',
       icon: Coins,
       color: 'blue',
@@ -38,7 +38,7 @@ export default function AdminPage() {
     },
     {
       title: 'Manage Routers',
-      description: 'Add or remove allowed DEX routers',
+      description: 'Add, remove or reorder allowed DEX routers',
       href: '/admin/routers',
       icon: Router,
       color: 'green',
@@ -52,6 +52,14 @@ export default function AdminPage() {
       color: 'yellow',
       disabled: !programStatus.isInitialized,
     },
+    {
+      title: 'Manage Roles',
+      description: 'Transfer ownership, fee receiver and bundle executor',
+      href: '/admin/roles',
+      icon: KeyRound,
+      color: 'purple',
+      disabled: !programStatus.isInitialized,
+    },
   ];
 
   return (
@@ -0,0 +1,356 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { PublicKey } from '@solana/web3.js';
+import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
+import {
+  PROGRAM_ID,
+  CONFIG_SEED,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES
+} from '@/lib/constants';
+import IDL from '@/lib/program/idl';
+import { sendTransaction, simulateInstructions } from '@/lib/program/transaction-helper';
+import { handleTransactionError, parseProgramError } from '@/lib/utils/errors';
+import toast from 'react-hot-toast';
+import Link from 'next/link';
+import { ArrowLeft, AlertCircle, CheckCircle, XCircle } from 'lucide-react';
+
+// Each Config authority and the instruction that rotates it
+const ROLES = [
+  {
+    key: 'owner',
+    label: 'Owner',
+    description: 'Controls every admin instruction. You lose admin access after transferring it.',
+    confirmText: 'TRANSFER OWNERSHIP',
+    buildInstruction: (program, accounts, newKey) =>
+      program.methods
+        .transferOwnership()
+        .accounts({ ...accounts, newOwner: newKey })
+        .instruction(),
+  },
+  {
+    key: 'feeReceiver',
+    label: 'Fee Receiver',
+    description: 'Receives protocol fees when pools are finalized',
+    confirmText: 'SET FEE RECEIVER',
+    buildInstruction: (program, accounts, newKey) =>
+      program.methods
+        .setFeeReceiver(newKey)
+        .accounts(accounts)
+        .instruction(),
+  },
+  {
+    key: 'bundleBuy',
+    label: 'Bundle Executor',
+    description: 'The only signer allowed to execute bundle buys',
+    confirmText: 'SET BUNDLE EXECUTOR',
+    buildInstruction: (program, accounts, newKey) =>
+      program.methods
+        .setBundleBuy()
+        .accounts({ ...accounts, newBundler: newKey })
+        .instruction(),
+  },
+];
+
+export default function RolesPage() {
+  const { connection } = useConnection();
+  const wallet = useWallet();
+  const [loading, setLoading] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [inputs, setInputs] = useState({});
+  const [confirmations, setConfirmations] = useState({});
+  const [simulations, setSimulations] = useState({});
+  const [pendingRole, setPendingRole] = useState(null);
+
+  useEffect(() => {
+    if (wallet.connected && wallet.publicKey) {
+      fetchConfig();
+    }
+  }, [wallet.connected, wallet.publicKey]);
+
+  const getProgram = () => {
+    const provider = new AnchorProvider(
+      connection,
+      wallet,
+      { commitment: 'confirmed' }
+    );
+    setProvider(provider);
+    return new Program(IDL, provider);
+  };
+
+  const fetchConfig = async () => {
+    try {
+      setLoading(true);
+
+      const program = getProgram();
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      const configAccount = await program.account.config.fetch(configPda);
+      setConfig(configAccount);
+      setIsOwner(configAccount.owner.equals(wallet.publicKey));
+    } catch (error) {
+      console.error('Error fetching config:', error);
+      toast.error('Failed to fetch role configuration');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Validate the new address entered for a role
+   * @param {Object} role - Entry from ROLES
+   * @returns {Object} { key?: PublicKey, error?: string }
+   */
+  const parseRoleInput = (role) => {
+    const value = (inputs[role.key] || '').trim();
+    if (!value) return {};
+
+    let key;
+    try {
+      key = new PublicKey(value);
+    } catch {
+      return { error: 'Invalid address' };
+    }
+
+    if (config && config[role.key].equals(key)) {
+      return { error: `Already the current ${role.label.toLowerCase()}` };
+    }
+
+    return { key };
+  };
+
+  const buildRoleInstruction = async (role, newKey) => {
+    const program = getProgram();
+    const [configPda] = PublicKey.findProgramAddressSync(
+      [CONFIG_SEED],
+      PROGRAM_ID
+    );
+
+    return role.buildInstruction(
+      program,
+      { configAcc: configPda, owner: wallet.publicKey },
+      newKey
+    );
+  };
+
+  const handleInputChange = (role, value) => {
+    setInputs({ ...inputs, [role.key]: value });
+    // Any edit invalidates the previous simulation and confirmation
+    setSimulations({ ...simulations, [role.key]: null });
+    setConfirmations({ ...confirmations, [role.key]: '' });
+  };
+
+  const handleSimulate = async (role) => {
+    const { key, error } = parseRoleInput(role);
+    if (error || !key) {
+      toast.error(error || 'Enter a new address first');
+      return;
+    }
+
+    try {
+      setPendingRole(role.key);
+
+      const ix = await buildRoleInstruction(role, key);
+      const result = await simulateInstructions(connection, wallet.publicKey, [ix]);
+
+      setSimulations({
+        ...simulations,
+        [role.key]: {
+          target: key.toBase58(),
+          success: !result.err,
+          message: result.err
+            ? parseProgramError(new Error((result.logs || []).join('\n') || JSON.stringify(result.err)))
+            : `Simulation succeeded (${result.unitsConsumed ?? 0} compute units)`,
+        },
+      });
+    } catch (error) {
+      console.error('Simulation error:', error);
+      setSimulations({
+        ...simulations,
+        [role.key]: { target: key.toBase58(), success: false, message: parseProgramError(error) },
+      });
+    } finally {
+      setPendingRole(null);
+    }
+  };
+
+  const handleSubmit = async (role) => {
+    if (!wallet.publicKey || !wallet.signTransaction) {
+      toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      return;
+    }
+
+    const { key } = parseRoleInput(role);
+    const simulation = simulations[role.key];
+    if (!key || !simulation?.success || simulation.target !== key.toBase58()) {
+      toast.error('Run a successful simulation first');
+      return;
+    }
+
+    if (confirmations[role.key] !== role.confirmText) {
+      toast.error(`Type ${role.confirmText} to confirm`);
+      return;
+    }
+
+    try {
+      setPendingRole(role.key);
+
+      const ix = await buildRoleInstruction(role, key);
+      const txSig = await sendTransaction(connection, wallet, [ix]);
+
+      toast.success(SUCCESS_MESSAGES.ROLE_UPDATED);
+      console.log(`Update ${role.key} transaction:`, txSig);
+
+      setInputs({ ...inputs, [role.key]: '' });
+      setConfirmations({ ...confirmations, [role.key]: '' });
+      setSimulations({ ...simulations, [role.key]: null });
+      await fetchConfig();
+    } catch (error) {
+      handleTransactionError(error);
+    } finally {
+      setPendingRole(null);
+    }
+  };
+
+  if (!wallet.connected) {
+    return (
+      <div className="max-w-2xl mx-auto text-center py-20">
+        <h1 className="text-3xl font-bold mb-4">Manage Roles</h1>
+        <p className="text-gray-400">{ERROR_MESSAGES.WALLET_NOT_CONNECTED}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="mb-6">
+        <Link
+          href="/admin"
+          className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition-colors"
+        >
+          <ArrowLeft size={16} />
+          Back to Admin
+        </Link>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
+        <h1 className="text-3xl font-bold mb-6">Roles</h1>
+
+        {loading && !config ? (
+          <div className="text-center py-4">
+            <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-purple-500"></div>
+          </div>
+        ) : config ? (
+          <div className="space-y-6">
+            {ROLES.map((role) => {
+              const parsed = parseRoleInput(role);
+              const simulation = simulations[role.key];
+              const simulated = !!(parsed.key && simulation?.success && simulation.target === parsed.key.toBase58());
+              const confirmed = confirmations[role.key] === role.confirmText;
+              const busy = pendingRole === role.key;
+
+              return (
+                <div key={role.key} className="border-t border-gray-700 pt-6 first:border-t-0 first:pt-0">
+                  <h3 className="text-lg font-medium text-gray-300">{role.label}</h3>
+                  <p className="text-xs text-gray-500 mb-3">{role.description}</p>
+
+                  <div className="bg-gray-700 rounded-lg px-4 py-2 mb-3">
+                    <p className="text-xs text-gray-500">Current</p>
+                    <p className="font-mono text-sm break-all">{config[role.key].toBase58()}</p>
+                  </div>
+
+                  {isOwner && (
+                    <div className="space-y-3">
+                      <div>
+                        <input
+                          type="text"
+                          value={inputs[role.key] || ''}
+                          onChange={(e) => handleInputChange(role, e.target.value)}
+                          placeholder={`New ${role.label.toLowerCase()} address`}
+                          disabled={busy}
+                          className={`w-full px-4 py-2 bg-gray-700 border rounded-lg text-white placeholder-gray-400 focus:outline-none text-sm disabled:opacity-50 ${
+                            parsed.error ? 'border-red-500 focus:border-red-500' : 'border-gray-600 focus:border-purple-500'
+                          }`}
+                        />
+                        {parsed.error && (
+                          <p className="text-xs text-red-400 mt-1">{parsed.error}</p>
+                        )}
+                      </div>
+
+                      <button
+                        onClick={() => handleSimulate(role)}
+                        disabled={!parsed.key || busy}
+                        className="w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white text-sm font-medium rounded-lg transition-colors"
+                      >
+                        {busy && !simulated ? 'Simulating...' : 'Simulate Change'}
+                      </button>
+
+                      {simulation && (
+                        <div className={`flex items-start gap-2 text-sm ${simulation.success ? 'text-green-400' : 'text-red-400'}`}>
+                          {simulation.success
+                            ? <CheckCircle size={16} className="mt-0.5 flex-shrink-0" />
+                            : <XCircle size={16} className="mt-0.5 flex-shrink-0" />}
+                          <p>{simulation.message}</p>
+                        </div>
+                      )}
+
+                      {simulated && (
+                        <>
+                          {role.key === 'owner' && (
+                            <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-3">
+                              <div className="flex items-start gap-2 text-yellow-400 text-sm">
+                                <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+                                <p>This wallet will no longer be able to manage the program.</p>
+                              </div>
+                            </div>
+                          )}
+                          <div>
+                            <label className="block text-sm text-gray-400 mb-2">
+                              Type <span className="font-mono text-white">{role.confirmText}</span> to confirm
+                            </label>
+                            <input
+                              type="text"
+                              value={confirmations[role.key] || ''}
+                              onChange={(e) => setConfirmations({ ...confirmations, [role.key]: e.target.value })}
+                              disabled={busy}
+                              className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500 text-sm font-mono"
+                            />
+                          </div>
+                          <button
+                            onClick={() => handleSubmit(role)}
+                            disabled={!confirmed || busy}
+                            className="w-full px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-all duration-200"
+                          >
+                            {busy ? 'Updating...' : `Update ${role.label}`}
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            {!isOwner && (
+              <div className="border-t border-gray-700 pt-6">
+                <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-4">
+                  <p className="text-yellow-400 text-sm">
+                    {ERROR_MESSAGES.UNAUTHORIZED}: Only the config owner can change roles
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        ) : (
+          <p className="text-gray-400 text-sm">Role configuration unavailable</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,404 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { PublicKey } from '@solana/web3.js';
+import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
+import {
+  PROGRAM_ID,
+  CONFIG_SEED,
+  POOL_SEED,
+  ALLOWED_DEX_ROUTERS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES
+} from '@/lib/constants';
+import IDL from '@/lib/program/idl';
+import { sendTransaction } from '@/lib/program/transaction-helper';
+import { handleTransactionError } from '@/lib/utils/errors';
+import { getDexRouterLabel } from '@/lib/utils/formatters';
+import toast from 'react-hot-toast';
+import Link from 'next/link';
+import { ArrowLeft, ArrowDown, ArrowUp, AlertCircle, Plus, Trash2 } from 'lucide-react';
+
+/**
+ * Build the set_routers instructions that turn the current list into the new one
+ * set_routers adds (is_allowed = true) or removes (is_allowed = false) the given
+ * routers, so a reorder is expressed as removing every router and re-adding the
+ * new list in order within the same transaction.
+ * @param {Array<string>} current - Router addresses on chain
+ * @param {Array<string>} next - Desired router addresses
+ * @returns {Object} { remove: string[], add: string[], reordered: boolean }
+ */
+function diffRouters(current, next) {
+  const removed = current.filter((router) => !next.includes(router));
+  const added = next.filter((router) => !current.includes(router));
+
+  // set_routers appends additions, so the result only matches when the kept
+  // routers stay in place and every new router comes after them
+  const kept = next.filter((router) => current.includes(router));
+  const reordered = kept.some((router, i) => router !== current.filter((r) => next.includes(r))[i]) ||
+    next.slice(0, kept.length).some((router) => added.includes(router));
+
+  if (reordered) {
+    return { remove: current, add: next, reordered: true };
+  }
+  return { remove: removed, add: added, reordered: false };
+}
+
+export default function RoutersPage() {
+  const { connection } = useConnection();
+  const wallet = useWallet();
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [isOwner, setIsOwner] = useState(false);
+  const [currentRouters, setCurrentRouters] = useState([]);
+  const [routers, setRouters] = useState([]);
+  const [poolsByRouter, setPoolsByRouter] = useState({});
+  const [newRouter, setNewRouter] = useState('');
+
+  useEffect(() => {
+    if (wallet.connected && wallet.publicKey) {
+      fetchRouters();
+    }
+  }, [wallet.connected, wallet.publicKey]);
+
+  const getProgram = () => {
+    const provider = new AnchorProvider(
+      connection,
+      wallet,
+      { commitment: 'confirmed' }
+    );
+    setProvider(provider);
+    return new Program(IDL, provider);
+  };
+
+  const fetchRouters = async () => {
+    try {
+      setLoading(true);
+
+      const program = getProgram();
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      const config = await program.account.config.fetch(configPda);
+      setIsOwner(config.owner.equals(wallet.publicKey));
+
+      const addresses = config.dexRouters.map((router) => router.toBase58());
+      setCurrentRouters(addresses);
+      setRouters(addresses);
+
+      // Index existing pools by the router they were created with
+      const poolPdas = config.createdTokens.map((mint) =>
+        PublicKey.findProgramAddressSync([POOL_SEED, mint.toBuffer()], PROGRAM_ID)[0]
+      );
+      const poolAccounts = poolPdas.length > 0
+        ? await program.account.pool.fetchMultiple(poolPdas)
+        : [];
+
+      const usage = {};
+      poolAccounts.forEach((poolAccount) => {
+        if (!poolAccount) return;
+        const router = poolAccount.params.dexRouter.toBase58();
+        usage[router] = [...(usage[router] || []), poolAccount.params.symbol];
+      });
+      setPoolsByRouter(usage);
+    } catch (error) {
+      console.error('Error fetching routers:', error);
+      toast.error('Failed to fetch DEX routers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddRouter = (address = newRouter) => {
+    const value = address.trim();
+    try {
+      new PublicKey(value);
+    } catch {
+      toast.error('Invalid router address');
+      return;
+    }
+
+    if (routers.includes(value)) {
+      toast.error('Router is already in the list');
+      return;
+    }
+
+    setRouters([...routers, value]);
+    setNewRouter('');
+  };
+
+  const handleRemoveRouter = (index) => {
+    setRouters(routers.filter((_, i) => i !== index));
+  };
+
+  const handleMoveRouter = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= routers.length) return;
+
+    const next = [...routers];
+    [next[index], next[target]] = [next[target], next[index]];
+    setRouters(next);
+  };
+
+  const diff = diffRouters(currentRouters, routers);
+  const removedRouters = currentRouters.filter((router) => !routers.includes(router));
+  const addedRouters = routers.filter((router) => !currentRouters.includes(router));
+  const removedInUse = removedRouters.filter((router) => poolsByRouter[router]?.length > 0);
+  const hasChanges = diff.remove.length > 0 || diff.add.length > 0;
+  const knownRoutersToAdd = ALLOWED_DEX_ROUTERS
+    .map((router) => router.toBase58())
+    .filter((router) => !routers.includes(router));
+
+  const handleSave = async () => {
+    if (!wallet.publicKey || !wallet.signTransaction) {
+      toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      return;
+    }
+
+    if (routers.length === 0) {
+      toast.error('At least one DEX router is required');
+      return;
+    }
+
+    if (!hasChanges) {
+      toast.error('No changes to save');
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      const program = getProgram();
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      const instructions = [];
+      if (diff.remove.length > 0) {
+        instructions.push(
+          await program.methods
+            .setRouters(diff.remove.map((router) => new PublicKey(router)), false)
+            .accounts({
+              configAcc: configPda,
+              owner: wallet.publicKey,
+            })
+            .instruction()
+        );
+      }
+      if (diff.add.length > 0) {
+        instructions.push(
+          await program.methods
+            .setRouters(diff.add.map((router) => new PublicKey(router)), true)
+            .accounts({
+              configAcc: configPda,
+              owner: wallet.publicKey,
+            })
+            .instruction()
+        );
+      }
+
+      const txSig = await sendTransaction(connection, wallet, instructions);
+
+      toast.success(SUCCESS_MESSAGES.ROUTERS_UPDATED);
+      console.log('Set routers transaction:', txSig);
+
+      await fetchRouters();
+    } catch (error) {
+      handleTransactionError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!wallet.connected) {
+    return (
+      <div className="max-w-2xl mx-auto text-center py-20">
+        <h1 className="text-3xl font-bold mb-4">Manage Routers</h1>
+        <p className="text-gray-400">{ERROR_MESSAGES.WALLET_NOT_CONNECTED}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="mb-6">
+        <Link
+          href="/admin"
+          className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition-colors"
+        >
+          <ArrowLeft size={16} />
+          Back to Admin
+        </Link>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
+        <h1 className="text-3xl font-bold mb-6">DEX Routers</h1>
+
+        <div className="space-y-6">
+          {/* Router List */}
+          <div>
+            <h3 className="text-lg font-medium text-gray-300 mb-3">Allowed Routers</h3>
+            {loading && routers.length === 0 ? (
+              <div className="text-center py-4">
+                <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-purple-500"></div>
+              </div>
+            ) : routers.length > 0 ? (
+              <div className="space-y-2">
+                {routers.map((router, index) => (
+                  <div key={router} className="bg-gray-700 rounded-lg p-3">
+                    <div className="flex justify-between items-center gap-2">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <p className="font-medium">{getDexRouterLabel(router)}</p>
+                          {addedRouters.includes(router) && (
+                            <span className="text-xs bg-green-600 text-white px-2 py-0.5 rounded">New</span>
+                          )}
+                        </div>
+                        <p className="font-mono text-xs text-gray-400 truncate">{router}</p>
+                        <p className="text-xs text-gray-500">
+                          Used by {poolsByRouter[router]?.length || 0} pool(s)
+                        </p>
+                      </div>
+                      {isOwner && (
+                        <div className="flex gap-1 flex-shrink-0">
+                          <button
+                            onClick={() => handleMoveRouter(index, -1)}
+                            disabled={index === 0 || saving}
+                            className="p-2 bg-gray-600 hover:bg-gray-500 disabled:opacity-30 rounded-lg transition-colors"
+                            aria-label="Move up"
+                          >
+                            <ArrowUp size={14} />
+                          </button>
+                          <button
+                            onClick={() => handleMoveRouter(index, 1)}
+                            disabled={index === routers.length - 1 || saving}
+                            className="p-2 bg-gray-600 hover:bg-gray-500 disabled:opacity-30 rounded-lg transition-colors"
+                            aria-label="Move down"
+                          >
+                            <ArrowDown size={14} />
+                          </button>
+                          <button
+                            onClick={() => handleRemoveRouter(index)}
+                            disabled={saving}
+                            className="p-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
+                            aria-label="Remove router"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-400 text-sm">No routers configured</p>
+            )}
+          </div>
+
+          {/* Removed routers */}
+          {removedRouters.length > 0 && (
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium text-gray-300">Will Be Removed</h3>
+              {removedRouters.map((router) => (
+                <div key={router} className="bg-red-900/20 border border-red-600/50 rounded-lg p-3 text-sm">
+                  <p className="text-red-300">{getDexRouterLabel(router)}</p>
+                  <p className="font-mono text-xs text-gray-400">{router}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {removedInUse.length > 0 && (
+            <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-4">
+              <div className="flex items-start gap-2 text-yellow-400 text-sm">
+                <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+                <div className="space-y-1">
+                  <p className="font-semibold">Removing routers used by existing pools</p>
+                  {removedInUse.map((router) => (
+                    <p key={router}>
+                      {getDexRouterLabel(router)}: {poolsByRouter[router].join(', ')}
+                    </p>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Add Router */}
+          {isOwner ? (
+            <div className="border-t border-gray-700 pt-6 space-y-3">
+              <h3 className="text-lg font-medium text-gray-300">Add Router</h3>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newRouter}
+                  onChange={(e) => setNewRouter(e.target.value)}
+                  placeholder="Router program address"
+                  className="flex-1 px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 text-sm"
+                />
+                <button
+                  onClick={() => handleAddRouter()}
+                  disabled={!newRouter || saving}
+                  className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white text-sm font-medium rounded-lg transition-colors"
+                >
+                  <Plus size={16} />
+                  Add
+                </button>
+              </div>
+              {knownRoutersToAdd.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {knownRoutersToAdd.map((router) => (
+                    <button
+                      key={router}
+                      onClick={() => handleAddRouter(router)}
+                      disabled={saving}
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-xs font-medium rounded-lg transition-colors"
+                    >
+                      + {getDexRouterLabel(router)}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {diff.reordered && (
+                <p className="text-xs text-gray-500">
+                  Order changed: all routers will be removed and re-added in the new order in one transaction.
+                </p>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setRouters(currentRouters)}
+                  disabled={!hasChanges || saving}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-medium rounded-lg transition-colors"
+                >
+                  Reset
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={!hasChanges || saving || routers.length === 0}
+                  className="flex-1 px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-all duration-200"
+                >
+                  {saving ? 'Saving...' : 'Save Routers'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="border-t border-gray-700 pt-6">
+              <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-4">
+                <p className="text-yellow-400 text-sm">
+                  {ERROR_MESSAGES.UNAUTHORIZED}: Only the config owner can manage routers
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
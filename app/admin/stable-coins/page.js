@@ -7,24 +7,30 @@ import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
 import { 
   PROGRAM_ID, 
   CONFIG_SEED, 
-  USDC_DEVNET,
+  POOL_SEED,
+  STABLE_COIN_SYMBOLS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import { useCluster } from '@/contexts/ClusterContext';
+import IDL from '@/lib/program/idl';
 import { sendTransaction } from '@/lib/program/transaction-helper';
 import { handleTransactionError } from '@/lib/utils/errors';
+import { formatNumber } from '@/lib/utils/formatters';
 import toast from 'react-hot-toast';
 import Link from 'next/link';
-import { ArrowLeft, Plus } from 'lucide-react';
+import { ArrowLeft, AlertCircle, Trash2 } from 'lucide-react';
 
 export default function StableCoinsPage() {
   const { connection } = useConnection();
   const wallet = useWallet();
+  const cluster = useCluster();
   const [stableCoins, setStableCoins] = useState([]);
   const [loading, setLoading] = useState(false);
   const [newCoinAddress, setNewCoinAddress] = useState('');
   const [isOwner, setIsOwner] = useState(false);
+  const [poolsByPairToken, setPoolsByPairToken] = useState({});
+  const [pendingRemoval, setPendingRemoval] = useState(null);
 
   useEffect(() => {
     if (wallet.connected && wallet.publicKey) {
@@ -52,11 +58,38 @@ export default function StableCoinsPage() {
       const config = await program.account.config.fetch(configPda);
       setIsOwner(config.owner.equals(wallet.publicKey));
       
-      const coins = config.stableCoins.map((coin) => ({
-        mint: coin.mint,
-        decimals: coin.decimals
+      // Read decimals and supply from each mint account
+      const coins = await Promise.all(config.stableCoins.map(async (coin) => {
+        try {
+          const { value: supply } = await connection.getTokenSupply(coin.mint);
+          return {
+            mint: coin.mint,
+            decimals: coin.decimals,
+            mintDecimals: supply.decimals,
+            supply: supply.uiAmount,
+          };
+        } catch (error) {
+          console.error(`Error fetching mint ${coin.mint.toBase58()}:`, error);
+          return { mint: coin.mint, decimals: coin.decimals, mintDecimals: null, supply: null };
+        }
       }));
       setStableCoins(coins);
+
+      // Index created pools by the stable coin they are paired with
+      const poolPdas = config.createdTokens.map((mint) =>
+        PublicKey.findProgramAddressSync([POOL_SEED, mint.toBuffer()], PROGRAM_ID)[0]
+      );
+      const poolAccounts = poolPdas.length > 0
+        ? await program.account.pool.fetchMultiple(poolPdas)
+        : [];
+
+      const usage = {};
+      poolAccounts.forEach((poolAccount) => {
+        if (!poolAccount) return;
+        const pairToken = poolAccount.params.pairToken.toBase58();
+        usage[pairToken] = [...(usage[pairToken] || []), poolAccount.params.symbol];
+      });
+      setPoolsByPairToken(usage);
     } catch (error) {
       console.error('Error fetching stable coins:', error);
       toast.error('Failed to fetch stable coins');
@@ -116,8 +149,52 @@ export default function StableCoinsPage() {
     }
   };
 
-  const handleAddUSDCDevnet = () => {
-    setNewCoinAddress(USDC_DEVNET.toBase58());
+  const handleRemoveStableCoin = async (mint) => {
+    if (!wallet.publicKey || !wallet.signTransaction) {
+      toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      const provider = new AnchorProvider(
+        connection,
+        wallet,
+        { commitment: 'confirmed' }
+      );
+      setProvider(provider);
+
+      const program = new Program(IDL, provider);
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      const ix = await program.methods
+        .removeStableCoins(mint)
+        .accounts({
+          configAcc: configPda,
+          signer: wallet.publicKey,
+        })
+        .instruction();
+
+      const txSig = await sendTransaction(connection, wallet, [ix]);
+
+      toast.success(SUCCESS_MESSAGES.TRANSACTION_CONFIRMED);
+      console.log('Remove stable coin transaction:', txSig);
+
+      setPendingRemoval(null);
+      await fetchStableCoins();
+    } catch (error) {
+      handleTransactionError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUseClusterCoin = (mint) => {
+    setNewCoinAddress(mint.toBase58());
   };
 
   if (!wallet.connected) {
@@ -154,19 +231,82 @@ export default function StableCoinsPage() {
               </div>
             ) : stableCoins.length > 0 ? (
               <div className="space-y-2">
-                {stableCoins.map((coin, index) => (
-                  <div key={index} className="bg-gray-700 rounded-lg p-3">
-                    <div className="flex justify-between items-center">
-                      <div>
-                        <p className="font-mono text-sm text-gray-300">{coin.mint.toString()}</p>
-                        <p className="text-xs text-gray-500">Decimals: {coin.decimals}</p>
+                {stableCoins.map((coin, index) => {
+                  const mintAddress = coin.mint.toBase58();
+                  const pairedPools = poolsByPairToken[mintAddress] || [];
+                  const decimalsMismatch = coin.mintDecimals !== null && coin.mintDecimals !== coin.decimals;
+
+                  return (
+                    <div key={index} className="bg-gray-700 rounded-lg p-3">
+                      <div className="flex justify-between items-center gap-2">
+                        <div className="min-w-0">
+                          <p className="font-mono text-sm text-gray-300 truncate">{mintAddress}</p>
+                          <p className="text-xs text-gray-500">
+                            Decimals: {coin.decimals}
+                            {coin.mintDecimals === null
+                              ? ' · Mint account not found'
+                              : ` · Supply: ${formatNumber(coin.supply, 2)}`}
+                          </p>
+                          <p className="text-xs text-gray-500">Paired pools: {pairedPools.length}</p>
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          {STABLE_COIN_SYMBOLS[mintAddress] && (
+                            <span className="text-xs bg-blue-600 text-white px-2 py-1 rounded">
+                              {STABLE_COIN_SYMBOLS[mintAddress]} {cluster.label}
+                            </span>
+                          )}
+                          {isOwner && (
+                            <button
+                              onClick={() => setPendingRemoval(pendingRemoval === mintAddress ? null : mintAddress)}
+                              disabled={loading}
+                              className="p-2 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                              aria-label="Remove stable coin"
+                            >
+                              <Trash2 size={14} />
+                            </button>
+                          )}
+                        </div>
                       </div>
-                      {coin.mint.equals(USDC_DEVNET) && (
-                        <span className="text-xs bg-blue-600 text-white px-2 py-1 rounded">USDC Devnet</span>
+
+                      {decimalsMismatch && (
+                        <p className="text-xs text-red-400 mt-2">
+                          Mint reports {coin.mintDecimals} decimals but config stores {coin.decimals}
+                        </p>
+                      )}
+
+                      {pendingRemoval === mintAddress && (
+                        <div className="mt-3 space-y-2">
+                          {pairedPools.length > 0 && (
+                            <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-3">
+                              <div className="flex items-start gap-2 text-yellow-400 text-sm">
+                                <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+                                <p>
+                                  {pairedPools.length} pool(s) are paired with this coin and will be orphaned: {pairedPools.join(', ')}
+                                </p>
+                              </div>
+                            </div>
+                          )}
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => setPendingRemoval(null)}
+                              disabled={loading}
+                              className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium rounded-lg transition-colors"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => handleRemoveStableCoin(coin.mint)}
+                              disabled={loading}
+                              className="flex-1 px-4 py-2 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm font-semibold rounded-lg transition-colors"
+                            >
+                              {loading ? 'Removing...' : 'Confirm Removal'}
+                            </button>
+                          </div>
+                        </div>
                       )}
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             ) : (
               <p className="text-gray-400 text-sm">No stable coins added yet</p>
@@ -189,12 +329,15 @@ export default function StableCoinsPage() {
                 </div>
                 
                 <div className="flex gap-2">
-                  <button
-                    onClick={handleAddUSDCDevnet}
-                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-all duration-200"
-                  >
-                    Use USDC Devnet
-                  </button>
+                  {cluster.stableCoins.map((coin) => (
+                    <button
+                      key={coin.mint.toBase58()}
+                      onClick={() => handleUseClusterCoin(coin.mint)}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-all duration-200"
+                    >
+                      Use {coin.symbol} {cluster.label}
+                    </button>
+                  ))}
                   
                   <button
                     onClick={handleAddStableCoin}
@@ -210,7 +353,7 @@ export default function StableCoinsPage() {
             <div className="border-t border-gray-700 pt-6">
               <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-4">
                 <p className="text-yellow-400 text-sm">
-                  {ERROR_MESSAGES.UNAUTHORIZED}: Only the config owner can add stable coins
+                  {ERROR_MESSAGES.UNAUTHORIZED}: Only the config owner can add or remove stable coins
                 </p>
               </div>
             </div>
@@ -1,8 +1,9 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Suspense } from 'react';
+import { useForm } from 'react-hook-form';
 import { useConnection, useWallet } from '@solana/wallet-adapter-react';
-import { PublicKey, Keypair, SystemProgram, SYSVAR_RENT_PUBKEY, ComputeBudgetProgram } from '@solana/web3.js';
+import { PublicKey, Keypair, SystemProgram, SYSVAR_RENT_PUBKEY } from '@solana/web3.js';
 import { 
   TOKEN_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID,
@@ -16,71 +17,145 @@ import {
   CONFIG_SEED,
   POOL_SEED,
   AUTHORITY_SEED,
-  RAYDIUM_CPMM_PROGRAM,
-  USDC_DEVNET,
   METADATA_PROGRAM_ID,
   METADATA_SEED,
-  DEFAULT_FORM_VALUES,
-  VALIDATION,
   TOKEN_STANDARDS,
-  RAYDIUM_FEE_OPTIONS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { sendTransaction } from '@/lib/program/transaction-helper';
-import { numberToBN } from '@/lib/utils/calculations';
+import { getReadOnlyProgram } from '@/lib/program/provider';
+import { derivePoolPDAs, resolvePoolStableCoin } from '@/lib/program/pool-helpers';
+import {
+  LAUNCH_STEPS,
+  getLaunchFieldRules,
+  buildLaunchParams,
+  launchParamsToFormData
+} from '@/lib/utils/launchParams';
+import { getDefaultFormData, loadDraft, saveDraft, clearDraft } from '@/lib/utils/launchDrafts';
 import { handleTransactionError } from '@/lib/utils/errors';
+import { getStableCoinSymbol } from '@/lib/utils/formatters';
+import { StepIndicator } from '@/components/create/StepIndicator';
+import { TokenDetailsStep } from '@/components/create/TokenDetailsStep';
+import { PricingStep } from '@/components/create/PricingStep';
+import { TaxesStep } from '@/components/create/TaxesStep';
+import { LimitsStep } from '@/components/create/LimitsStep';
+import { DexStep } from '@/components/create/DexStep';
+import { ReviewStep } from '@/components/create/ReviewStep';
+import { DraftControls } from '@/components/create/DraftControls';
+import { VanityMintPanel } from '@/components/create/VanityMintPanel';
 import toast from 'react-hot-toast';
-import { useRouter } from 'next/navigation';
-import { Info, AlertCircle } from 'lucide-react';
+import { useRouter, useSearchParams } from 'next/navigation';
 
+// useSearchParams needs a Suspense boundary in the app router
 export default function CreatePoolPage() {
+  return (
+    <Suspense fallback={null}>
+      <CreatePoolForm />
+    </Suspense>
+  );
+}
+
+function CreatePoolForm() {
   const { connection } = useConnection();
   const wallet = useWallet();
   const router = useRouter();
+  const searchParams = useSearchParams();
+  const cloneMint = searchParams.get('clone');
   const [loading, setLoading] = useState(false);
   const [stableCoins, setStableCoins] = useState([]);
   const [dexRouters, setDexRouters] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [step, setStep] = useState(0);
+  // Ground by VanityMintPanel; null creates the mint at a random address
+  const [vanityKeypair, setVanityKeypair] = useState(null);
   
   // Form state
-  const [formData, setFormData] = useState({
-    // Token Details
-    name: '',
-    symbol: '',
-    url: '',
-    
-    // Pool Configuration
-    dexRouter: '',
-    pairToken: '',
-    startPrice: '',
-    endPrice: '',
-    buyTax: DEFAULT_FORM_VALUES.BUY_TAX,
-    sellTax: DEFAULT_FORM_VALUES.SELL_TAX,
-    taxReceiver: '',
-    creatorPercentage: DEFAULT_FORM_VALUES.CREATOR_PERCENTAGE,
-    minDeposit: DEFAULT_FORM_VALUES.MIN_DEPOSIT,
-    maxDeposit: DEFAULT_FORM_VALUES.MAX_DEPOSIT,
-    
-    // Raydium Settings
-    useRaydium: false,
-    raydiumFeeTier: DEFAULT_FORM_VALUES.RAYDIUM_FEE_TIER,
-    
-    // Limit Parameters
-    gLimitPeriod: DEFAULT_FORM_VALUES.G_LIMIT_PERIOD,
-    gLimitPercent: DEFAULT_FORM_VALUES.G_LIMIT_PERCENT,
-    wLimitPeriod: DEFAULT_FORM_VALUES.W_LIMIT_PERIOD,
-    wLimitPercent: DEFAULT_FORM_VALUES.W_LIMIT_PERCENT,
-  });
+  const {
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    getValues,
+    setValue,
+    trigger,
+    clearErrors,
+    formState,
+  } = useForm({ defaultValues: getDefaultFormData(), mode: 'onTouched' });
+  const formData = watch();
+  const errors = Object.fromEntries(
+    Object.entries(formState.errors).map(([field, error]) => [field, error.message])
+  );
+  // Set once the wallet's draft (or clone source) is applied, so autosave can't overwrite it
+  const [draftWallet, setDraftWallet] = useState(null);
 
   useEffect(() => {
     if (wallet.publicKey) {
       fetchConfigData();
-      // Auto-fill tax receiver with wallet address
-      setFormData(prev => ({ ...prev, taxReceiver: wallet.publicKey.toBase58() }));
+      restoreDraft();
     }
   }, [wallet.publicKey]);
 
+  useEffect(() => {
+    if (!draftWallet) return;
+    const subscription = watch((values) => saveDraft(draftWallet, values));
+    return () => subscription.unsubscribe();
+  }, [watch, draftWallet]);
+
+  const restoreDraft = async () => {
+    const walletAddress = wallet.publicKey.toBase58();
+    setDraftWallet(null);
+
+    const draft = cloneMint ? await fetchCloneSource() : loadDraft(walletAddress);
+    // Auto-fill tax receiver with wallet address; Config defaults may already be set
+    reset({
+      ...getDefaultFormData(),
+      pairToken: getValues('pairToken'),
+      dexRouter: getValues('dexRouter'),
+      taxReceiver: walletAddress,
+      ...draft,
+    });
+    setStep(0);
+    setDraftWallet(walletAddress);
+
+    if (draft && !cloneMint) {
+      toast.success('Restored your saved draft');
+    }
+  };
+
+  const fetchCloneSource = async () => {
+    try {
+      const program = getReadOnlyProgram(connection);
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+      const { pool: poolPda } = await derivePoolPDAs(new PublicKey(cloneMint));
+
+      const [config, poolAccount] = await Promise.all([
+        program.account.config.fetch(configPda),
+        program.account.pool.fetchNullable(poolPda),
+      ]);
+
+      if (!poolAccount) {
+        toast.error('Pool to clone not found');
+        return null;
+      }
+
+      const { stableDecimals } = await resolvePoolStableCoin(connection, poolAccount, config.stableCoins);
+      const cloned = launchParamsToFormData(poolAccount.params, poolAccount.limits, stableDecimals);
+      toast.success(`Cloned settings from ${poolAccount.params.symbol}`);
+
+      // Taxes from the clone go to this wallet, not the original creator
+      return { ...cloned, taxReceiver: wallet.publicKey.toBase58() };
+    } catch (error) {
+      console.error('Error fetching pool to clone:', error);
+      toast.error('Failed to load pool to clone');
+      return null;
+    }
+  };
+
   const fetchConfigData = async () => {
     try {
       const provider = new AnchorProvider(
@@ -97,15 +172,16 @@ export default function CreatePoolPage() {
       );
 
       const config = await program.account.config.fetch(configPda);
+      setConfig(config);
       setStableCoins(config.stableCoins);
       setDexRouters(config.dexRouters);
       
-      // Set default values
-      if (config.stableCoins.length > 0) {
-        setFormData(prev => ({ ...prev, pairToken: config.stableCoins[0].mint.toString() }));
+      // Set default values, keeping any from a restored draft
+      if (config.stableCoins.length > 0 && !getValues('pairToken')) {
+        setValue('pairToken', config.stableCoins[0].mint.toString());
       }
-      if (config.dexRouters.length > 0) {
-        setFormData(prev => ({ ...prev, dexRouter: config.dexRouters[0].toString() }));
+      if (config.dexRouters.length > 0 && !getValues('dexRouter')) {
+        setValue('dexRouter', config.dexRouters[0].toString());
       }
     } catch (error) {
       console.error('Error fetching config:', error);
@@ -113,60 +189,63 @@ export default function CreatePoolPage() {
     }
   };
 
-  const handleInputChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }));
+  const selectedStableCoin = stableCoins.find((coin) => coin.mint.toString() === formData.pairToken);
+  const stableSymbol = selectedStableCoin ? getStableCoinSymbol(selectedStableCoin.mint) : 'Stable';
+
+  // Rules read Config through this context, so they follow it once it loads
+  const fieldRules = getLaunchFieldRules({ stableCoins, dexRouters });
+  const registerField = (name) => register(name, fieldRules[name]);
+
+  // Templates and imports can change any step, so they start the wizard over
+  const handleApplyValues = (values) => {
+    reset({ ...getValues(), ...values });
+    setStep(0);
   };
 
-  const validateForm = () => {
-    if (!formData.name || formData.name.length > VALIDATION.MAX_NAME_LENGTH) {
-      throw new Error(`Token name is required and must be ${VALIDATION.MAX_NAME_LENGTH} characters or less`);
-    }
-    if (!formData.symbol || formData.symbol.length > VALIDATION.MAX_SYMBOL_LENGTH) {
-      throw new Error(`Token symbol is required and must be ${VALIDATION.MAX_SYMBOL_LENGTH} characters or less`);
-    }
-    if (!formData.url || formData.url.length > VALIDATION.MAX_URL_LENGTH) {
-      throw new Error(`Token URL is required and must be ${VALIDATION.MAX_URL_LENGTH} characters or less`);
-    }
-    
-    const startPrice = parseFloat(formData.startPrice);
-    const endPrice = parseFloat(formData.endPrice);
-    
-    if (!startPrice || startPrice < VALIDATION.MIN_PRICE) {
-      throw new Error(`Start price must be greater than ${VALIDATION.MIN_PRICE}`);
-    }
-    if (!endPrice || endPrice <= startPrice) {
-      throw new Error('End price must be greater than start price');
-    }
-    
-    const buyTax = parseInt(formData.buyTax);
-    const sellTax = parseInt(formData.sellTax);
-    
-    if (buyTax < 0 || buyTax > VALIDATION.MAX_TAX_BASIS_POINTS) {
-      throw new Error('Buy tax must be between 0% and 100%');
-    }
-    if (sellTax < 0 || sellTax > VALIDATION.MAX_TAX_BASIS_POINTS) {
-      throw new Error('Sell tax must be between 0% and 100%');
+  const handleResetDraft = () => {
+    clearDraft(wallet.publicKey.toBase58());
+    reset({
+      ...getDefaultFormData(),
+      taxReceiver: wallet.publicKey.toBase58(),
+      pairToken: stableCoins[0]?.mint.toString() ?? '',
+      dexRouter: dexRouters[0]?.toString() ?? '',
+    });
+    setStep(0);
+  };
+
+  const handleNext = async () => {
+    if (await trigger(LAUNCH_STEPS[step].fields)) {
+      setStep(step + 1);
     }
-    
-    try {
-      new PublicKey(formData.taxReceiver);
-    } catch {
-      throw new Error('Invalid tax receiver address');
+  };
+
+  const handleBack = () => {
+    clearErrors();
+    setStep(step - 1);
+  };
+
+  const handleSelectStep = (index) => {
+    clearErrors();
+    setStep(index);
+  };
+
+  // Submit re-checks every step in case an earlier one was edited after moving on
+  const handleInvalid = (fieldErrors) => {
+    const invalidStep = LAUNCH_STEPS.findIndex((launchStep) =>
+      launchStep.fields.some((field) => fieldErrors[field])
+    );
+    if (invalidStep !== -1) {
+      setStep(invalidStep);
     }
   };
 
-  const handleCreatePool = async () => {
+  const handleCreatePool = async (values) => {
     if (!wallet.publicKey || !wallet.signTransaction) {
       toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
       return;
     }
 
     try {
-      validateForm();
       setLoading(true);
 
       const provider = new AnchorProvider(
@@ -179,7 +258,7 @@ export default function CreatePoolPage() {
       const program = new Program(IDL, provider);
 
       // Create mint keypair
-      const mintKeypair = Keypair.generate();
+      const mintKeypair = vanityKeypair ?? Keypair.generate();
       const mintPubkey = mintKeypair.publicKey;
 
       // Get config
@@ -199,39 +278,7 @@ export default function CreatePoolPage() {
         PROGRAM_ID
       );
 
-      // Check if using Raydium
-      const isRaydium = formData.dexRouter === RAYDIUM_CPMM_PROGRAM.toString();
-      
-      // Create params
-      const params = {
-        dexRouter: new PublicKey(formData.dexRouter),
-        name: formData.name,
-        symbol: formData.symbol,
-        buyTax: parseInt(formData.buyTax),
-        sellTax: parseInt(formData.sellTax),
-        taxReceiver: new PublicKey(formData.taxReceiver),
-        creator: wallet.publicKey,
-        creatorPercentage: parseInt(formData.creatorPercentage),
-        pairToken: new PublicKey(formData.pairToken),
-        startPrice: numberToBN(parseFloat(formData.startPrice), TOKEN_STANDARDS.USDC_DECIMALS),
-        endPrice: numberToBN(parseFloat(formData.endPrice), TOKEN_STANDARDS.USDC_DECIMALS),
-        minDeposit: numberToBN(parseFloat(formData.minDeposit), TOKEN_STANDARDS.USDC_DECIMALS),
-        maxDeposit: numberToBN(parseFloat(formData.maxDeposit), TOKEN_STANDARDS.USDC_DECIMALS),
-        url: formData.url,
-        raydiumFeeTier: isRaydium ? parseInt(formData.raydiumFeeTier) : 0,
-        useRaydium: isRaydium,
-      };
-
-      const limitParams = {
-        gLimitPeriod: numberToBN(parseInt(formData.gLimitPeriod), 0),
-        gLimitPercent: numberToBN(parseInt(formData.gLimitPercent) * TOKEN_STANDARDS.PERCENTAGE_DECIMALS, 0),
-        wLimitPeriod: numberToBN(parseInt(formData.wLimitPeriod), 0),
-        wLimitPercent: numberToBN(parseInt(formData.wLimitPercent) * TOKEN_STANDARDS.PERCENTAGE_DECIMALS, 0),
-        gTimestamp: numberToBN(0, 0),
-        wTimestamp: numberToBN(0, 0),
-        gPrice: numberToBN(0, 0),
-        wPrice: numberToBN(0, 0),
-      };
+      const { params, limitParams } = buildLaunchParams(values, wallet.publicKey, selectedStableCoin);
 
       // Get rent
       const rentExemptionAmount = await connection.getMinimumBalanceForRentExemption(MINT_SIZE);
@@ -243,17 +290,17 @@ export default function CreatePoolPage() {
         true
       );
       const poolStableAta = await getAssociatedTokenAddress(
-        new PublicKey(formData.pairToken),
+        new PublicKey(values.pairToken),
         poolAuthorityPda,
         true
       );
       const creatorStableAta = await getAssociatedTokenAddress(
-        new PublicKey(formData.pairToken),
+        new PublicKey(values.pairToken),
         wallet.publicKey
       );
       const config = await program.account.config.fetch(configPda);
       const feeReceiverAta = await getAssociatedTokenAddress(
-        new PublicKey(formData.pairToken),
+        new PublicKey(values.pairToken),
         config.feeReceiver
       );
 
@@ -270,11 +317,6 @@ export default function CreatePoolPage() {
       // Build instructions
       const instructions = [];
 
-
-//       instructions.push(
-//   ComputeBudgetProgram.setComputeUnitLimit({ units: 800_000 }),
-// );
-
       // 1. Create mint account
       instructions.push(
         SystemProgram.createAccount({
@@ -313,7 +355,7 @@ export default function CreatePoolPage() {
           poolProjectAta: poolProjectAta,
           poolStableAta: poolStableAta,
           systemProgram: SystemProgram.programId,
-          stableMint: new PublicKey(formData.pairToken),
+          stableMint: new PublicKey(values.pairToken),
           tokenMetadataProgram: METADATA_PROGRAM_ID,
           tokenProgram: TOKEN_PROGRAM_ID,
           associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
@@ -331,6 +373,9 @@ export default function CreatePoolPage() {
         [mintKeypair]
       );
 
+      setDraftWallet(null);
+      setVanityKeypair(null);
+      clearDraft(wallet.publicKey.toBase58());
       toast.success(SUCCESS_MESSAGES.POOL_CREATED);
       console.log('Pool creation transaction:', txSig);
       console.log('Token mint:', mintPubkey.toString());
@@ -356,347 +401,84 @@ export default function CreatePoolPage() {
     );
   }
 
+  const stepId = LAUNCH_STEPS[step].id;
+  const isReview = stepId === 'review';
+  const launchArgs = isReview ? buildLaunchParams(formData, wallet.publicKey, selectedStableCoin) : null;
+
   return (
     <div className="max-w-4xl mx-auto">
       <h1 className="text-3xl font-bold mb-8">Create New Token Pool</h1>
 
-      <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
-        <form onSubmit={(e) => { e.preventDefault(); handleCreatePool(); }}>
-          {/* Token Details Section */}
-          <div className="mb-8">
-            <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <span className="text-purple-400">1.</span> Token Details
-            </h2>
-            <div className="grid md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Token Name *
-                </label>
-                <input
-                  type="text"
-                  name="name"
-                  value={formData.name}
-                  onChange={handleInputChange}
-                  maxLength={VALIDATION.MAX_NAME_LENGTH}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                  placeholder="My Awesome Token"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Token Symbol *
-                </label>
-                <input
-                  type="text"
-                  name="symbol"
-                  value={formData.symbol}
-                  onChange={handleInputChange}
-                  maxLength={VALIDATION.MAX_SYMBOL_LENGTH}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                  placeholder="TOKEN"
-                />
-              </div>
-              
-              <div className="md:col-span-2">
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Metadata URL *
-                </label>
-                <input
-                  type="text"
-                  name="url"
-                  value={formData.url}
-                  onChange={handleInputChange}
-                  maxLength={VALIDATION.MAX_URL_LENGTH}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                  placeholder="https://your-token-metadata.json"
-                />
-              </div>
-            </div>
-          </div>
+      <DraftControls formData={formData} onApply={handleApplyValues} onReset={handleResetDraft} />
 
-          {/* Pool Configuration Section */}
-          <div className="mb-8">
-            <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <span className="text-purple-400">2.</span> Pool Configuration
-            </h2>
-            <div className="grid md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  DEX Router *
-                </label>
-                <select
-                  name="dexRouter"
-                  value={formData.dexRouter}
-                  onChange={handleInputChange}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500"
-                >
-                  <option value="">Select DEX Router</option>
-                  {dexRouters.map((router, index) => (
-                    <option key={index} value={router.toString()}>
-                      {router.equals(RAYDIUM_CPMM_PROGRAM) ? 'Raydium CPMM' : `Router ${index + 1}`}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Stable Coin Pair *
-                </label>
-                <select
-                  name="pairToken"
-                  value={formData.pairToken}
-                  onChange={handleInputChange}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500"
-                >
-                  <option value="">Select Stable Coin</option>
-                  {stableCoins.map((coin, index) => (
-                    <option key={index} value={coin.mint.toString()}>
-                      {coin.mint.equals(USDC_DEVNET) ? 'USDC (Devnet)' : `Stable ${index + 1}`}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Start Price (USD) *
-                </label>
-                <input
-                  type="number"
-                  name="startPrice"
-                  value={formData.startPrice}
-                  onChange={handleInputChange}
-                  step="0.000001"
-                  min={VALIDATION.MIN_PRICE}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                  placeholder="0.00001"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  End Price (USD) *
-                </label>
-                <input
-                  type="number"
-                  name="endPrice"
-                  value={formData.endPrice}
-                  onChange={handleInputChange}
-                  step="0.000001"
-                  min={VALIDATION.MIN_PRICE}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                  placeholder="0.001"
-                />
-              </div>
-            </div>
-          </div>
+      <StepIndicator steps={LAUNCH_STEPS} current={step} onSelect={handleSelectStep} />
 
-          {/* Tax Configuration */}
+      <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
+        <form
+          noValidate
+          onSubmit={
+            isReview
+              ? handleSubmit(handleCreatePool, handleInvalid)
+              : (e) => {
+                  e.preventDefault();
+                  handleNext();
+                }
+          }
+        >
+          {/* Every step stays mounted so the whole schema is checked on submit */}
           <div className="mb-8">
-            <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <span className="text-purple-400">3.</span> Tax Configuration
-            </h2>
-            <div className="grid md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Buy Tax (%)
-                </label>
-                <input
-                  type="number"
-                  name="buyTax"
-                  value={formData.buyTax}
-                  onChange={handleInputChange}
-                  min="0"
-                  max="100"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Sell Tax (%)
-                </label>
-                <input
-                  type="number"
-                  name="sellTax"
-                  value={formData.sellTax}
-                  onChange={handleInputChange}
-                  min="0"
-                  max="100"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
-              
-              <div className="md:col-span-2">
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Tax Receiver Address *
-                </label>
-                <input
-                  type="text"
-                  name="taxReceiver"
-                  value={formData.taxReceiver}
-                  onChange={handleInputChange}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                  placeholder="Tax receiver wallet address"
-                />
-              </div>
+            <div className={stepId === 'token' ? '' : 'hidden'}>
+              <TokenDetailsStep errors={errors} register={registerField} />
+              <VanityMintPanel keypair={vanityKeypair} onChange={setVanityKeypair} />
             </div>
-          </div>
-
-          {/* Bundle Configuration */}
-          <div className="mb-8">
-            <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <span className="text-purple-400">4.</span> Bundle Settings
-            </h2>
-            <div className="grid md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Min Deposit (USDC)
-                </label>
-                <input
-                  type="number"
-                  name="minDeposit"
-                  value={formData.minDeposit}
-                  onChange={handleInputChange}
-                  min={VALIDATION.MIN_DEPOSIT_USD}
-                  step="0.01"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Max Deposit (USDC)
-                </label>
-                <input
-                  type="number"
-                  name="maxDeposit"
-                  value={formData.maxDeposit}
-                  onChange={handleInputChange}
-                  min="0"
-                  step="0.01"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
+            <div className={stepId === 'pricing' ? '' : 'hidden'}>
+              <PricingStep
+                formData={formData}
+                errors={errors}
+                register={registerField}
+                stableCoins={stableCoins}
+                stableSymbol={stableSymbol}
+                config={config}
+              />
             </div>
-          </div>
-
-          {/* Raydium Settings - Only show if Raydium is selected */}
-          {formData.dexRouter === RAYDIUM_CPMM_PROGRAM.toString() && (
-            <div className="mb-8">
-              <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
-                <span className="text-purple-400">5.</span> Raydium Settings
-              </h2>
-              <div className="bg-blue-900/20 border border-blue-600/50 rounded-lg p-4 mb-4">
-                <p className="text-blue-400 text-sm flex items-center gap-2">
-                  <Info size={16} />
-                  Your pool will transition to Raydium CPMM when complete
-                </p>
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Fee Tier
-                </label>
-                <select
-                  name="raydiumFeeTier"
-                  value={formData.raydiumFeeTier}
-                  onChange={handleInputChange}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500"
-                >
-                  {RAYDIUM_FEE_OPTIONS.map((option) => (
-                    <option key={option.value} value={option.value}>
-                      {option.label}
-                    </option>
-                  ))}
-                </select>
-              </div>
+            <div className={stepId === 'taxes' ? '' : 'hidden'}>
+              <TaxesStep errors={errors} register={registerField} />
             </div>
-          )}
-
-          {/* Trading Limits */}
-          <div className="mb-8">
-            <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <span className="text-purple-400">6.</span> Trading Limits
-            </h2>
-            <div className="bg-yellow-900/20 border border-yellow-600/50 rounded-lg p-4 mb-4">
-              <p className="text-yellow-400 text-sm flex items-center gap-2">
-                <AlertCircle size={16} />
-                Set to 0 to disable limits
-              </p>
+            <div className={stepId === 'limits' ? '' : 'hidden'}>
+              <LimitsStep errors={errors} register={registerField} stableSymbol={stableSymbol} />
             </div>
-            <div className="grid md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Global Limit Period (seconds)
-                </label>
-                <input
-                  type="number"
-                  name="gLimitPeriod"
-                  value={formData.gLimitPeriod}
-                  onChange={handleInputChange}
-                  min="0"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Global Limit (%)
-                </label>
-                <input
-                  type="number"
-                  name="gLimitPercent"
-                  value={formData.gLimitPercent}
-                  onChange={handleInputChange}
-                  min="0"
-                  max="100"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Wallet Limit Period (seconds)
-                </label>
-                <input
-                  type="number"
-                  name="wLimitPeriod"
-                  value={formData.wLimitPeriod}
-                  onChange={handleInputChange}
-                  min="0"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Wallet Limit (%)
-                </label>
-                <input
-                  type="number"
-                  name="wLimitPercent"
-                  value={formData.wLimitPercent}
-                  onChange={handleInputChange}
-                  min="0"
-                  max="100"
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
-                />
-              </div>
+            <div className={stepId === 'dex' ? '' : 'hidden'}>
+              <DexStep
+                formData={formData}
+                errors={errors}
+                register={registerField}
+                dexRouters={dexRouters}
+              />
             </div>
+            {isReview && <ReviewStep {...launchArgs} mint={vanityKeypair?.publicKey} />}
           </div>
 
-          {/* Submit Button */}
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-all duration-200"
-          >
-            {loading ? 'Creating Pool...' : 'Create Pool'}
-          </button>
+          <div className="flex gap-3">
+            {step > 0 && (
+              <button
+                type="button"
+                onClick={handleBack}
+                disabled={loading}
+                className="px-6 py-3 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-semibold rounded-lg transition-colors"
+              >
+                Back
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-all duration-200"
+            >
+              {isReview ? (loading ? 'Creating Pool...' : 'Create Pool') : 'Next'}
+            </button>
+          </div>
         </form>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,314 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { PublicKey } from '@solana/web3.js';
+import {
+  PROGRAM_ID,
+  CONFIG_SEED,
+  TOKEN_STANDARDS,
+  ERROR_MESSAGES
+} from '@/lib/constants';
+import { getReadOnlyProgram } from '@/lib/program/provider';
+import {
+  fetchPoolViews,
+  fetchTaxReceiverBalances,
+  canPerformInitialBuy,
+  getPoolPhase
+} from '@/lib/program/pool-helpers';
+import { bnToNumber } from '@/lib/utils/calculations';
+import {
+  formatTokenAmount,
+  formatUSD,
+  formatPrice,
+  formatPoolStatus
+} from '@/lib/utils/formatters';
+import { InitialBuyModal } from '@/components/modals/InitialBuyModal';
+import { FinalizePoolModal } from '@/components/modals/FinalizePoolModal';
+import { CreateRaydiumPoolModal } from '@/components/modals/CreateRaydiumPoolModal';
+import { UpdateMetadataUriModal } from '@/components/modals/UpdateMetadataUriModal';
+import toast from 'react-hot-toast';
+import Link from 'next/link';
+import { RefreshCw } from 'lucide-react';
+
+/**
+ * What the creator has left to do in each pool phase
+ */
+const PHASE_HINTS = {
+  INITIALIZED: 'Make the initial buy to open trading',
+  ACTIVE: 'Trading on the bonding curve',
+  COMPLETE: 'Curve sold out, finalize the pool',
+  FINALIZED: 'Finalized',
+  LIVE_ON_RAYDIUM: 'Trading on Raydium',
+};
+
+/**
+ * Labelled progress bar
+ */
+function ProgressBar({ label, value, percent }) {
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-400">{label}</span>
+        <span>{value}</span>
+      </div>
+      <div className="w-full bg-gray-700 rounded-full h-2">
+        <div
+          className="bg-gradient-to-r from-purple-500 to-pink-500 h-2 rounded-full transition-all duration-300"
+          style={{ width: `${Math.min(percent, 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default function CreatorPage() {
+  const { connection } = useConnection();
+  const wallet = useWallet();
+  const [pools, setPools] = useState([]);
+  const [taxBalances, setTaxBalances] = useState(new Map());
+  const [requireRaiseUsd, setRequireRaiseUsd] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selectedModal, setSelectedModal] = useState(null);
+
+  useEffect(() => {
+    if (wallet.publicKey) {
+      fetchLaunches();
+    } else {
+      setPools([]);
+      setLoading(false);
+    }
+  }, [connection, wallet.publicKey?.toString()]);
+
+  const fetchLaunches = async () => {
+    try {
+      setLoading(true);
+
+      const program = getReadOnlyProgram(connection);
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      const config = await program.account.config.fetch(configPda);
+      const allPools = await fetchPoolViews(connection, program, config.createdTokens, config.stableCoins);
+      const ownPools = allPools.filter((pool) => pool.creator.equals(wallet.publicKey));
+
+      setPools(ownPools);
+      setRequireRaiseUsd(Number(config.requireRaiseUsd.toString()));
+      setTaxBalances(await fetchTaxReceiverBalances(connection, ownPools));
+    } catch (error) {
+      console.error('Error fetching launches:', error);
+      toast.error('Failed to fetch your pools');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await fetchLaunches();
+  };
+
+  const handleModalClose = () => {
+    setSelectedModal(null);
+  };
+
+  const handleModalSuccess = () => {
+    setSelectedModal(null);
+    fetchLaunches();
+  };
+
+  if (!wallet.connected) {
+    return (
+      <div className="max-w-4xl mx-auto text-center py-20">
+        <h1 className="text-3xl font-bold mb-4">My Launches</h1>
+        <p className="text-gray-400">{ERROR_MESSAGES.WALLET_NOT_CONNECTED}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-4xl font-bold">My Launches</h1>
+        <div className="flex gap-2">
+          <button
+            onClick={handleRefresh}
+            disabled={refreshing || loading}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-medium rounded-lg transition-all duration-200"
+          >
+            <RefreshCw size={16} className={refreshing ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+          <Link
+            href="/create"
+            className="px-6 py-2 bg-purple-600 hover:bg-purple-700 text-white font-semibold rounded-lg transition-colors"
+          >
+            Create Pool
+          </Link>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-20">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
+          <p className="mt-4 text-gray-400">Loading your pools...</p>
+        </div>
+      ) : pools.length === 0 ? (
+        <div className="text-center py-20 bg-gray-800 rounded-lg">
+          <p className="text-2xl text-gray-400 mb-4">You haven&apos;t launched any pools yet</p>
+          <Link href="/create" className="text-purple-400 hover:text-purple-300">
+            Create your first pool
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {pools.map((pool) => {
+            const key = pool.address.toBase58();
+            const status = formatPoolStatus(pool);
+            const phase = getPoolPhase(pool.poolAccount);
+            const taxBalance = taxBalances.get(key);
+            const taxed = pool.buyTax > 0 || pool.sellTax > 0;
+            const raisePercent = requireRaiseUsd > 0 ? (pool.reserveStable / requireRaiseUsd) * 100 : 0;
+
+            const canInitialBuy = canPerformInitialBuy(pool.poolAccount, wallet.publicKey);
+            const canFinalize = pool.isComplete && !pool.isFinalized;
+            const canCreateRaydium = pool.isFinalized && !pool.isRaydiumInitialized && pool.params.useRaydium;
+
+            return (
+              <div key={key} className="bg-gray-800 rounded-lg p-6">
+                <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+                  <div>
+                    <Link
+                      href={`/pools/${pool.projectMint.toBase58()}`}
+                      className="text-xl font-semibold hover:text-purple-400"
+                    >
+                      {pool.tokenName} ({pool.tokenSymbol})
+                    </Link>
+                    <p className="text-sm text-gray-400 mt-1">{PHASE_HINTS[phase]}</p>
+                  </div>
+                  <span className={`text-xs text-${status.color}-400 bg-${status.color}-900/20 border border-${status.color}-600/30 rounded-full px-3 py-1`}>
+                    {status.text}
+                  </span>
+                </div>
+
+                <div className="grid md:grid-cols-2 gap-4 mb-4">
+                  <ProgressBar
+                    label="Raised"
+                    value={requireRaiseUsd > 0
+                      ? `${formatUSD(pool.reserveStable)} / ${formatUSD(requireRaiseUsd)}`
+                      : formatUSD(pool.reserveStable)}
+                    percent={pool.isComplete ? 100 : raisePercent}
+                  />
+                  <ProgressBar
+                    label="Curve Sold"
+                    value={`${pool.progress}%`}
+                    percent={pool.progress}
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm mb-4">
+                  <div>
+                    <p className="text-gray-400">Price</p>
+                    <p>{formatPrice(pool.currentPrice)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Taxes (buy / sell)</p>
+                    <p>{(pool.buyTax / 100).toFixed(1)}% / {(pool.sellTax / 100).toFixed(1)}%</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Tax Receiver Balance</p>
+                    <p>
+                      {taxed && taxBalance
+                        ? formatTokenAmount(bnToNumber(taxBalance, TOKEN_STANDARDS.TOKEN_DECIMALS), pool.tokenSymbol)
+                        : '-'}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                  {canInitialBuy && (
+                    <button
+                      onClick={() => setSelectedModal({ type: 'initialBuy', pool })}
+                      className="px-4 py-2 bg-yellow-600 hover:bg-yellow-700 text-white font-medium rounded-lg transition-colors"
+                    >
+                      Initial Buy
+                    </button>
+                  )}
+                  {canFinalize && (
+                    <button
+                      onClick={() => setSelectedModal({ type: 'finalize', pool })}
+                      className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-medium rounded-lg transition-colors"
+                    >
+                      Finalize Pool
+                    </button>
+                  )}
+                  {canCreateRaydium && (
+                    <button
+                      onClick={() => setSelectedModal({ type: 'createRaydium', pool })}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors animate-pulse"
+                    >
+                      Create Raydium Pool
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setSelectedModal({ type: 'metadata', pool })}
+                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition-colors"
+                  >
+                    Update Metadata
+                  </button>
+                  <Link
+                    href={`/create?clone=${pool.projectMint.toBase58()}`}
+                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition-colors"
+                  >
+                    Clone Settings
+                  </Link>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Modals */}
+      {selectedModal?.type === 'initialBuy' && (
+        <InitialBuyModal
+          pool={selectedModal.pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal?.type === 'finalize' && (
+        <FinalizePoolModal
+          pool={selectedModal.pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal?.type === 'createRaydium' && (
+        <CreateRaydiumPoolModal
+          pool={selectedModal.pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal?.type === 'metadata' && (
+        <UpdateMetadataUriModal
+          pool={selectedModal.pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { Inter } from 'next/font/google';
 import './globals.css';
+import { ClusterProvider } from '@/contexts/ClusterContext';
 import { WalletContextProvider } from '@/components/wallet/WalletProvider';
 import { ProgramProvider } from '@/contexts/ProgramContext';
 import { Navbar } from '@/components/layout/Navbar';
@@ -16,27 +17,29 @@ export default function RootLayout({ children }) {
   return (
     <html lang="en">
       <body className={inter.className}>
-        <WalletContextProvider>
-          <ProgramProvider>
-            <div className="min-h-screen bg-gray-900 text-white">
-              <Navbar />
-              <main className="container mx-auto px-4 py-8">
-                {children}
-              </main>
-            </div>
-            <Toaster
-              position="bottom-right"
-              toastOptions={{
-                duration: 5000,
-                style: {
-                  background: '#1F2937',
-                  color: '#fff',
-                  border: '1px solid #374151',
-                },
-              }}
-            />
-          </ProgramProvider>
-        </WalletContextProvider>
+        <ClusterProvider>
+          <WalletContextProvider>
+            <ProgramProvider>
+              <div className="min-h-screen bg-gray-900 text-white">
+                <Navbar />
+                <main className="container mx-auto px-4 py-8">
+                  {children}
+                </main>
+              </div>
+              <Toaster
+                position="bottom-right"
+                toastOptions={{
+                  duration: 5000,
+                  style: {
+                    background: '#1F2937',
+                    color: '#fff',
+                    border: '1px solid #374151',
+                  },
+                }}
+              />
+            </ProgramProvider>
+          </WalletContextProvider>
+        </ClusterProvider>
       </body>
     </html>
   );
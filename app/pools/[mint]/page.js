@@ -0,0 +1,358 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'next/navigation';
+import { useConnection } from '@solana/wallet-adapter-react';
+import { PublicKey } from '@solana/web3.js';
+import {
+  PROGRAM_ID,
+  CONFIG_SEED,
+  TOKEN_STANDARDS,
+  RAYDIUM_FEE_OPTIONS,
+  ERROR_MESSAGES
+} from '@/lib/constants';
+import { getReadOnlyProgram } from '@/lib/program/provider';
+import { PoolActions } from '@/components/pools/PoolActions';
+import { TradeHistory } from '@/components/pools/TradeHistory';
+import { PriceChart } from '@/components/pools/PriceChart';
+import {
+  derivePoolPDAs,
+  resolvePoolStableCoin,
+  buildPoolView
+} from '@/lib/program/pool-helpers';
+import { bnToNumber } from '@/lib/utils/calculations';
+import {
+  formatTokenAmount,
+  formatUSD,
+  formatBasisPoints,
+  formatTimeRemaining,
+  shortenAddress,
+  formatPoolStatus,
+  getExplorerLink,
+  getDexRouterLabel
+} from '@/lib/utils/formatters';
+import toast from 'react-hot-toast';
+import Link from 'next/link';
+import { ArrowLeft, Copy, CopyPlus, ExternalLink, RefreshCw } from 'lucide-react';
+
+/**
+ * Label/value row used by every detail section
+ */
+function DetailRow({ label, children }) {
+  return (
+    <div className="flex justify-between gap-4 py-1 text-sm">
+      <span className="text-gray-400">{label}</span>
+      <span className="text-right break-all">{children}</span>
+    </div>
+  );
+}
+
+/**
+ * Shortened address linking to the explorer
+ */
+function AddressLink({ address }) {
+  if (!address || address.equals(PublicKey.default)) {
+    return <span className="text-gray-500">Not set</span>;
+  }
+
+  return (
+    <a
+      href={getExplorerLink(address.toBase58())}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="inline-flex items-center gap-1 font-mono text-purple-400 hover:text-purple-300"
+    >
+      {shortenAddress(address.toBase58())}
+      <ExternalLink size={12} />
+    </a>
+  );
+}
+
+/**
+ * Format an on-chain unix timestamp
+ * @param {BN} timestamp - Seconds since epoch
+ * @returns {string} Local date/time or dash when unset
+ */
+function formatTimestamp(timestamp) {
+  const seconds = timestamp.toNumber();
+  return seconds > 0 ? new Date(seconds * 1000).toLocaleString() : '-';
+}
+
+/**
+ * Format a sell limit window length
+ * @param {BN} period - Window length in seconds
+ * @returns {string} Duration or Disabled when zero
+ */
+function formatPeriod(period) {
+  const seconds = period.toNumber();
+  return seconds > 0 ? formatTimeRemaining(seconds) : 'Disabled';
+}
+
+export default function PoolDetailPage() {
+  const { mint } = useParams();
+  const { connection } = useConnection();
+  const [pool, setPool] = useState(null);
+  const [config, setConfig] = useState(null);
+  const [tradeHistory, setTradeHistory] = useState({ trades: [], hasMore: false });
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    fetchPool();
+  }, [connection, mint]);
+
+  const fetchPool = async () => {
+    try {
+      setLoading(true);
+
+      let projectMint;
+      try {
+        projectMint = new PublicKey(mint);
+      } catch {
+        setNotFound(true);
+        return;
+      }
+
+      const program = getReadOnlyProgram(connection);
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+      const { pool: poolPda, bundlePool: bundlePoolPda } = await derivePoolPDAs(projectMint);
+
+      const [config, poolAccount, bundlePoolAccount] = await Promise.all([
+        program.account.config.fetch(configPda),
+        program.account.pool.fetchNullable(poolPda),
+        program.account.bundleBuyPool.fetchNullable(bundlePoolPda),
+      ]);
+
+      if (!poolAccount) {
+        setNotFound(true);
+        return;
+      }
+
+      const stableCoin = await resolvePoolStableCoin(connection, poolAccount, config.stableCoins);
+      setConfig(config);
+      setPool(buildPoolView(poolPda, poolAccount, stableCoin, bundlePoolAccount));
+      setNotFound(false);
+    } catch (error) {
+      console.error('Error fetching pool:', error);
+      toast.error('Failed to fetch pool');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  if (loading && !pool) {
+    return (
+      <div className="text-center py-20">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
+        <p className="mt-4 text-gray-400">Loading pool...</p>
+      </div>
+    );
+  }
+
+  if (notFound || !pool) {
+    return (
+      <div className="max-w-4xl mx-auto text-center py-20">
+        <h1 className="text-4xl font-bold mb-4">Pool Details</h1>
+        <p className="text-gray-400 mb-6">{ERROR_MESSAGES.POOL_NOT_FOUND}</p>
+        <Link href="/pools" className="text-purple-400 hover:text-purple-300">
+          Back to Pools
+        </Link>
+      </div>
+    );
+  }
+
+  const { params, limits, poolAccount, bundlePool } = pool;
+  const status = formatPoolStatus(pool);
+  const feeTier = RAYDIUM_FEE_OPTIONS.find((opt) => opt.value === params.raydiumFeeTier.toString());
+  const tokenDecimals = TOKEN_STANDARDS.TOKEN_DECIMALS;
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <Link
+          href="/pools"
+          className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition-colors"
+        >
+          <ArrowLeft size={16} />
+          Back to Pools
+        </Link>
+        <div className="flex gap-2">
+          <button
+            onClick={handleCopyLink}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition-all duration-200"
+          >
+            <Copy size={16} />
+            Share
+          </button>
+          <Link
+            href={`/create?clone=${pool.projectMint.toBase58()}`}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition-all duration-200"
+          >
+            <CopyPlus size={16} />
+            Clone
+          </Link>
+          <button
+            onClick={fetchPool}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-medium rounded-lg transition-all duration-200"
+          >
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 mb-6">
+        {/* Header */}
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <div className="flex items-center gap-3 mb-1">
+              <h1 className="text-3xl font-bold">{pool.tokenName}</h1>
+              <span className="text-gray-400">({pool.tokenSymbol})</span>
+              <div className={`flex items-center gap-1 bg-${status.color}-900/20 border border-${status.color}-600/30 rounded-full px-3 py-1`}>
+                <div className={`w-2 h-2 bg-${status.color}-400 rounded-full`}></div>
+                <span className={`text-xs text-${status.color}-400`}>{status.text}</span>
+              </div>
+            </div>
+            <p className="text-sm text-gray-500 font-mono">{pool.projectMint.toBase58()}</p>
+          </div>
+          <div className="text-right">
+            <p className="text-sm text-gray-400">Current Price</p>
+            <p className="text-2xl font-bold text-green-400">{formatUSD(pool.currentPrice)}</p>
+          </div>
+        </div>
+
+        {/* Progress Bar */}
+        <div className="mb-6">
+          <div className="flex justify-between text-sm text-gray-400 mb-1">
+            <span>Progress</span>
+            <span>{pool.progress}%</span>
+          </div>
+          <div className="w-full bg-gray-700 rounded-full h-3">
+            <div
+              className="bg-gradient-to-r from-purple-500 to-pink-500 h-3 rounded-full transition-all duration-500"
+              style={{ width: `${pool.progress}%` }}
+            />
+          </div>
+        </div>
+
+        <PoolActions pool={pool} onUpdate={fetchPool} />
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Params */}
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-3">Parameters</h2>
+          <DetailRow label="Creator"><AddressLink address={params.creator} /></DetailRow>
+          <DetailRow label="Creator Percentage">{params.creatorPercentage}%</DetailRow>
+          <DetailRow label="Buy Tax">{formatBasisPoints(params.buyTax)}</DetailRow>
+          <DetailRow label="Sell Tax">{formatBasisPoints(params.sellTax)}</DetailRow>
+          <DetailRow label="Tax Receiver"><AddressLink address={params.taxReceiver} /></DetailRow>
+          <DetailRow label="Pair Token">
+            {pool.stableSymbol} <AddressLink address={params.pairToken} />
+          </DetailRow>
+          <DetailRow label="Start Price">{formatUSD(pool.startPrice)}</DetailRow>
+          <DetailRow label="End Price">{formatUSD(pool.endPrice)}</DetailRow>
+          <DetailRow label="Min Deposit">{formatUSD(bnToNumber(params.minDeposit, pool.stableDecimals))}</DetailRow>
+          <DetailRow label="Max Deposit">{formatUSD(bnToNumber(params.maxDeposit, pool.stableDecimals))}</DetailRow>
+          <DetailRow label="DEX Router">{getDexRouterLabel(params.dexRouter)}</DetailRow>
+          <DetailRow label="Use Raydium">{params.useRaydium ? 'Yes' : 'No'}</DetailRow>
+          <DetailRow label="Raydium Fee Tier">{feeTier?.label || 'N/A'}</DetailRow>
+          <DetailRow label="URL">
+            {params.url ? (
+              <a href={params.url} target="_blank" rel="noopener noreferrer" className="text-purple-400 hover:text-purple-300">
+                {params.url}
+              </a>
+            ) : '-'}
+          </DetailRow>
+        </div>
+
+        {/* Limits */}
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-3">Sell Limits</h2>
+          <h3 className="text-sm font-medium text-gray-300 mt-2">Global</h3>
+          <DetailRow label="Period">{formatPeriod(limits.gLimitPeriod)}</DetailRow>
+          <DetailRow label="Max Price Drop">{formatBasisPoints(limits.gLimitPercent.toNumber())}</DetailRow>
+          <DetailRow label="Window Start">{formatTimestamp(limits.gTimestamp)}</DetailRow>
+          <DetailRow label="Reference Price (raw)">{limits.gPrice.toString()}</DetailRow>
+          <h3 className="text-sm font-medium text-gray-300 mt-4">Per Wallet</h3>
+          <DetailRow label="Period">{formatPeriod(limits.wLimitPeriod)}</DetailRow>
+          <DetailRow label="Max Sell">{formatBasisPoints(limits.wLimitPercent.toNumber())}</DetailRow>
+          <DetailRow label="Window Start">{formatTimestamp(limits.wTimestamp)}</DetailRow>
+          <DetailRow label="Reference Price (raw)">{limits.wPrice.toString()}</DetailRow>
+        </div>
+
+        {/* Reserves */}
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-3">Reserves</h2>
+          <DetailRow label="Project Tokens">
+            {formatTokenAmount(pool.reserveProject, pool.tokenSymbol)}
+          </DetailRow>
+          <DetailRow label={`${pool.stableSymbol} Raised`}>{formatUSD(pool.reserveStable)}</DetailRow>
+          <DetailRow label="Virtual Tokens">
+            {formatTokenAmount(bnToNumber(poolAccount.tokenReserveVirtual, tokenDecimals), pool.tokenSymbol)}
+          </DetailRow>
+          <DetailRow label={`Virtual ${pool.stableSymbol}`}>
+            {formatUSD(bnToNumber(poolAccount.stableReserveVirtual, pool.stableDecimals))}
+          </DetailRow>
+          <DetailRow label="Total Sell Amount">
+            {formatTokenAmount(pool.totalSellAmount, pool.tokenSymbol)}
+          </DetailRow>
+          <DetailRow label="Complete">{pool.isComplete ? 'Yes' : 'No'}</DetailRow>
+          <DetailRow label="Finalized">{pool.isFinalized ? 'Yes' : 'No'}</DetailRow>
+        </div>
+
+        {/* Bundle Pool */}
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-3">Bundle Pool</h2>
+          {bundlePool ? (
+            <>
+              <DetailRow label="Total Deposits">
+                {formatUSD(bnToNumber(bundlePool.totalDeposits, pool.stableDecimals))}
+              </DetailRow>
+              <DetailRow label="Executed">{bundlePool.isExecuted ? 'Yes' : 'No'}</DetailRow>
+            </>
+          ) : (
+            <p className="text-sm text-gray-400">No bundle deposits yet</p>
+          )}
+        </div>
+
+        {/* Raydium */}
+        <div className="bg-gray-800 rounded-lg p-6 md:col-span-2">
+          <h2 className="text-xl font-semibold mb-3">Raydium</h2>
+          <DetailRow label="Initialized">{pool.isRaydiumInitialized ? 'Yes' : 'No'}</DetailRow>
+          <DetailRow label="Pool State"><AddressLink address={poolAccount.raydiumPoolState} /></DetailRow>
+          <DetailRow label="AMM Config"><AddressLink address={poolAccount.raydiumAmmConfig} /></DetailRow>
+          <DetailRow label="Token 0 Vault"><AddressLink address={poolAccount.raydiumToken0Vault} /></DetailRow>
+          <DetailRow label="Token 1 Vault"><AddressLink address={poolAccount.raydiumToken1Vault} /></DetailRow>
+          <DetailRow label="LP Mint"><AddressLink address={poolAccount.raydiumLpMint} /></DetailRow>
+          <DetailRow label="Token 0">{poolAccount.token0IsProject ? pool.tokenSymbol : pool.stableSymbol}</DetailRow>
+        </div>
+
+        <PriceChart
+          pool={pool}
+          trades={tradeHistory.trades}
+          config={config}
+          hasOlderTrades={tradeHistory.hasMore}
+        />
+
+        <TradeHistory
+          pool={pool}
+          onTradesChange={(trades, hasMore) => setTradeHistory({ trades, hasMore })}
+        />
+      </div>
+    </div>
+  );
+}
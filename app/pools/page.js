@@ -1,52 +1,79 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, Suspense } from 'react';
+import { useRouter, usePathname, useSearchParams } from 'next/navigation';
 import { useConnection, useWallet } from '@solana/wallet-adapter-react';
 import { PublicKey } from '@solana/web3.js';
-import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
 import { 
   PROGRAM_ID, 
-  CONFIG_SEED, 
-  POOL_SEED,
-  ERROR_MESSAGES
+  CONFIG_SEED
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import { getReadOnlyProgram } from '@/lib/program/provider';
 import { PoolCard } from '@/components/pools/PoolCard';
-import { 
-  calculateCurrentPrice, 
-  calculatePoolProgress, 
-  bnToNumber,
-  isPoolLiveOnRaydium
-} from '@/lib/utils/calculations';
-// import { isPoolLiveOnRaydium } from '@/lib/program/pool-helpers';
+import { PoolFilters } from '@/components/pools/PoolFilters';
+import { fetchPoolViews, fetchUserPoolPositions } from '@/lib/program/pool-helpers';
+import {
+  parsePoolQuery,
+  buildPoolQueryString,
+  filterPools,
+  sortPools
+} from '@/lib/utils/poolFilters';
 import toast from 'react-hot-toast';
 import { RefreshCw } from 'lucide-react';
 
+function LoadingPools() {
+  return (
+    <div className="text-center py-20">
+      <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
+      <p className="mt-4 text-gray-400">Loading pools...</p>
+    </div>
+  );
+}
+
+// useSearchParams needs a Suspense boundary in the app router
 export default function PoolsPage() {
+  return (
+    <Suspense fallback={<LoadingPools />}>
+      <PoolsList />
+    </Suspense>
+  );
+}
+
+function PoolsList() {
   const { connection } = useConnection();
   const wallet = useWallet();
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
   const [pools, setPools] = useState([]);
+  const [positions, setPositions] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
+  const query = useMemo(() => parsePoolQuery(searchParams), [searchParams]);
+
+  // Pool data doesn't depend on the wallet, so browsing works signed out
   useEffect(() => {
-    if (wallet.publicKey) {
-      fetchPools();
-    }
+    fetchPools();
+  }, [connection]);
+
+  // Holdings belong to the previous wallet after a switch
+  useEffect(() => {
+    setPositions(null);
   }, [wallet.publicKey?.toString()]);
 
+  // Holdings are only needed by the "I hold / have deposits" filter
+  useEffect(() => {
+    if (query.holding && wallet.publicKey && !positions && pools.length > 0) {
+      fetchPositions();
+    }
+  }, [query.holding, wallet.publicKey?.toString(), positions, pools]);
+
   const fetchPools = async () => {
     try {
       setLoading(true);
-      
-      const provider = new AnchorProvider(
-        connection,
-        wallet,
-        { commitment: 'confirmed' }
-      );
-      setProvider(provider);
-      
-      const program = new Program(IDL, provider);
+
+      const program = getReadOnlyProgram(connection);
 
       const [configPda] = PublicKey.findProgramAddressSync(
         [CONFIG_SEED],
@@ -54,61 +81,15 @@ export default function PoolsPage() {
       );
 
       const config = await program.account.config.fetch(configPda);
-      const poolDataList = [];
-
-      for (const tokenMint of config.createdTokens) {
-        try {
-          const [poolPda] = PublicKey.findProgramAddressSync(
-            [POOL_SEED, tokenMint.toBuffer()],
-            PROGRAM_ID
-          );
-
-          const poolAccount = await program.account.pool.fetch(poolPda);
-          
-          // Calculate derived values
-          const currentPrice = calculateCurrentPrice(poolAccount);
-          const progress = calculatePoolProgress(poolAccount);
-          const isLiveOnRaydium = isPoolLiveOnRaydium(poolAccount);
-          
-          poolDataList.push({
-            address: poolPda,
-            projectMint: poolAccount.projectMint,
-            tokenName: poolAccount.params.name,
-            tokenSymbol: poolAccount.params.symbol,
-            creator: poolAccount.params.creator,
-            isComplete: poolAccount.isComplete,
-            isFinalized: poolAccount.isFinalized,
-            isRaydiumInitialized: poolAccount.isRaydiumInitialized,
-            isLiveOnRaydium: isLiveOnRaydium,
-            currentPrice: currentPrice,
-            startPrice: bnToNumber(poolAccount.params.startPrice, 6),
-            endPrice: bnToNumber(poolAccount.params.endPrice, 6),
-            progress: progress,
-            reserveProject: bnToNumber(poolAccount.reserveProjectMint, 9),
-            reserveStable: bnToNumber(poolAccount.reserveStableMint, 6),
-            totalSellAmount: bnToNumber(poolAccount.totalSellAmount, 9),
-            hasWalletLimits: poolAccount.limits.wLimitPercent.toNumber() > 0,
-            buyTax: poolAccount.params.buyTax,
-            sellTax: poolAccount.params.sellTax,
-            params: poolAccount.params,
-            limits: poolAccount.limits,
-            raydiumPoolState: poolAccount.raydiumPoolState,
-            raydiumFeeTier: poolAccount.params.raydiumFeeTier,
-            token0IsProject: poolAccount.token0IsProject,
-            poolAccount: poolAccount, // Pass the full account for calculations
-              // raydiumPoolState: poolAccount.raydiumPoolState,
-            raydiumAmmConfig: poolAccount.raydiumAmmConfig,
-            raydiumToken0Vault: poolAccount.raydiumToken0Vault,
-            raydiumToken1Vault: poolAccount.raydiumToken1Vault,
-            raydiumLpMint: poolAccount.raydiumLpMint,
-  // token0IsProject: poolAccount.token0IsProject,
-          });
-        } catch (err) {
-          console.error(`Error fetching pool for token ${tokenMint.toString()}:`, err);
-        }
-      }
+      const poolDataList = await fetchPoolViews(
+        connection,
+        program,
+        config.createdTokens,
+        config.stableCoins
+      );
 
       setPools(poolDataList);
+      setPositions(null);
     } catch (error) {
       console.error('Error fetching pools:', error);
       toast.error('Failed to fetch pools');
@@ -118,20 +99,35 @@ export default function PoolsPage() {
     }
   };
 
+  const fetchPositions = async () => {
+    try {
+      const program = getReadOnlyProgram(connection);
+      setPositions(await fetchUserPoolPositions(connection, program, pools, wallet.publicKey));
+    } catch (error) {
+      console.error('Error fetching holdings:', error);
+      toast.error('Failed to fetch your holdings');
+      setPositions(new Map());
+    }
+  };
+
+  const handleQueryChange = (nextQuery) => {
+    const queryString = buildPoolQueryString(nextQuery);
+    router.replace(queryString ? `${pathname}?${queryString}` : pathname, { scroll: false });
+  };
+
+  const visiblePools = useMemo(
+    () => sortPools(
+      filterPools(pools, query, { owner: wallet.publicKey, positions }),
+      query.sort
+    ),
+    [pools, query, wallet.publicKey?.toString(), positions]
+  );
+
   const handleRefresh = async () => {
     setRefreshing(true);
     await fetchPools();
   };
 
-  if (!wallet.connected) {
-    return (
-      <div className="max-w-6xl mx-auto text-center py-20">
-        <h1 className="text-4xl font-bold mb-4">Token Pools</h1>
-        <p className="text-gray-400">{ERROR_MESSAGES.WALLET_NOT_CONNECTED}</p>
-      </div>
-    );
-  }
-
   return (
     <div className="max-w-6xl mx-auto">
       <div className="flex justify-between items-center mb-8">
@@ -146,19 +142,29 @@ export default function PoolsPage() {
         </button>
       </div>
 
+      <PoolFilters
+        query={query}
+        onChange={handleQueryChange}
+        walletConnected={wallet.connected}
+      />
+
       {loading ? (
-        <div className="text-center py-20">
-          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
-          <p className="mt-4 text-gray-400">Loading pools...</p>
-        </div>
+        <LoadingPools />
       ) : pools.length === 0 ? (
         <div className="text-center py-20 bg-gray-800 rounded-lg">
           <p className="text-2xl text-gray-400 mb-4">No pools created yet</p>
           <p className="text-gray-500">Be the first to launch a token!</p>
         </div>
+      ) : query.holding && wallet.publicKey && !positions ? (
+        <LoadingPools />
+      ) : visiblePools.length === 0 ? (
+        <div className="text-center py-20 bg-gray-800 rounded-lg">
+          <p className="text-2xl text-gray-400 mb-4">No pools match your filters</p>
+          <p className="text-gray-500">Try a different search or clear the filters.</p>
+        </div>
       ) : (
         <div className="grid gap-6">
-          {pools.map((pool) => (
+          {visiblePools.map((pool) => (
             <PoolCard
               key={pool.address.toString()}
               pool={pool}
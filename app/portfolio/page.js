@@ -0,0 +1,283 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { PublicKey } from '@solana/web3.js';
+import {
+  PROGRAM_ID,
+  CONFIG_SEED,
+  ERROR_MESSAGES
+} from '@/lib/constants';
+import { getReadOnlyProgram } from '@/lib/program/provider';
+import {
+  fetchPoolViews,
+  fetchUserPoolPositions,
+  fetchMarketPrice
+} from '@/lib/program/pool-helpers';
+import { fetchWalletTrades } from '@/lib/program/trade-history';
+import { buildPortfolioPosition, calculateCostBasis } from '@/lib/utils/portfolio';
+import {
+  formatTokenAmount,
+  formatUSD,
+  formatPrice,
+  formatPercentage,
+  formatPoolStatus
+} from '@/lib/utils/formatters';
+import toast from 'react-hot-toast';
+import Link from 'next/link';
+import { RefreshCw } from 'lucide-react';
+
+/**
+ * Unrealized PnL cell, green for gains and red for losses
+ */
+function PnL({ value, costBasis }) {
+  if (costBasis === null || costBasis === undefined) {
+    return <span className="text-gray-500">-</span>;
+  }
+
+  const pnl = value - costBasis;
+  const percent = costBasis > 0 ? (pnl / costBasis) * 100 : 0;
+
+  return (
+    <span className={pnl >= 0 ? 'text-green-400' : 'text-red-400'}>
+      {pnl >= 0 ? '+' : '-'}{formatUSD(Math.abs(pnl))}
+      <span className="text-xs ml-1">({formatPercentage(percent, true)})</span>
+    </span>
+  );
+}
+
+export default function PortfolioPage() {
+  const { connection } = useConnection();
+  const wallet = useWallet();
+  const [positions, setPositions] = useState([]);
+  const [costBases, setCostBases] = useState(new Map());
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  // Bumped on every load so an older load's results are dropped
+  const latestRequest = useRef(0);
+
+  useEffect(() => {
+    if (wallet.publicKey) {
+      fetchPortfolio();
+    } else {
+      latestRequest.current += 1;
+      setPositions([]);
+      setCostBases(new Map());
+      setLoading(false);
+    }
+  }, [connection, wallet.publicKey?.toString()]);
+
+  const fetchPortfolio = async () => {
+    const owner = wallet.publicKey;
+    const requestId = ++latestRequest.current;
+    const isStale = () => requestId !== latestRequest.current;
+
+    try {
+      setLoading(true);
+
+      const program = getReadOnlyProgram(connection);
+      const [configPda] = PublicKey.findProgramAddressSync(
+        [CONFIG_SEED],
+        PROGRAM_ID
+      );
+
+      const config = await program.account.config.fetch(configPda);
+      const pools = await fetchPoolViews(connection, program, config.createdTokens, config.stableCoins);
+      const rawPositions = await fetchUserPoolPositions(connection, program, pools, owner);
+      if (isStale()) return;
+
+      const now = Math.floor(Date.now() / 1000);
+      const held = [];
+      for (const pool of pools) {
+        const position = rawPositions.get(pool.address.toBase58());
+        if (!position?.hasPosition) continue;
+
+        let price = pool.currentPrice;
+        try {
+          price = await fetchMarketPrice(connection, pool);
+        } catch (priceError) {
+          console.error(`Error fetching price for ${pool.tokenSymbol}:`, priceError);
+        }
+
+        held.push({
+          pool,
+          raw: position,
+          price,
+          ...buildPortfolioPosition(pool, position, price, now),
+        });
+      }
+
+      if (isStale()) return;
+      setPositions(held);
+      setCostBases(new Map());
+      setLoading(false);
+
+      // Cost basis needs each position's trade history, so it fills in afterwards
+      for (const position of held) {
+        if (isStale()) return;
+        const key = position.pool.address.toBase58();
+        try {
+          const trades = await fetchWalletTrades(connection, program, position.pool, owner);
+          if (isStale()) return;
+          const costBasis = calculateCostBasis(trades, position.pool, position.raw, position.totalTokens);
+          setCostBases((current) => new Map(current).set(key, costBasis));
+        } catch (historyError) {
+          console.error(`Error fetching trades for ${position.pool.tokenSymbol}:`, historyError);
+          if (isStale()) return;
+          setCostBases((current) => new Map(current).set(key, null));
+        }
+      }
+    } catch (error) {
+      if (isStale()) return;
+      console.error('Error fetching portfolio:', error);
+      toast.error('Failed to fetch portfolio');
+    } finally {
+      if (!isStale()) {
+        setLoading(false);
+        setRefreshing(false);
+      }
+    }
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await fetchPortfolio();
+  };
+
+  if (!wallet.connected) {
+    return (
+      <div className="max-w-4xl mx-auto text-center py-20">
+        <h1 className="text-3xl font-bold mb-4">Portfolio</h1>
+        <p className="text-gray-400">{ERROR_MESSAGES.WALLET_NOT_CONNECTED}</p>
+      </div>
+    );
+  }
+
+  const totalValue = positions.reduce((sum, position) => sum + position.value, 0);
+  const pricedPositions = positions.filter((position) => typeof costBases.get(position.pool.address.toBase58()) === 'number');
+  const totalCost = pricedPositions.reduce((sum, position) => sum + costBases.get(position.pool.address.toBase58()), 0);
+  const pricedValue = pricedPositions.reduce((sum, position) => sum + position.value, 0);
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-4xl font-bold">Portfolio</h1>
+        <button
+          onClick={handleRefresh}
+          disabled={refreshing || loading}
+          className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-medium rounded-lg transition-all duration-200"
+        >
+          <RefreshCw size={16} className={refreshing ? 'animate-spin' : ''} />
+          Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-20">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
+          <p className="mt-4 text-gray-400">Loading positions...</p>
+        </div>
+      ) : positions.length === 0 ? (
+        <div className="text-center py-20 bg-gray-800 rounded-lg">
+          <p className="text-2xl text-gray-400 mb-4">No positions yet</p>
+          <Link href="/pools" className="text-purple-400 hover:text-purple-300">
+            Browse pools
+          </Link>
+        </div>
+      ) : (
+        <>
+          <div className="grid md:grid-cols-3 gap-4 mb-6">
+            <div className="bg-gray-800 rounded-lg p-4">
+              <p className="text-sm text-gray-400">Total Value</p>
+              <p className="text-2xl font-semibold">{formatUSD(totalValue)}</p>
+            </div>
+            <div className="bg-gray-800 rounded-lg p-4">
+              <p className="text-sm text-gray-400">Cost Basis</p>
+              <p className="text-2xl font-semibold">
+                {pricedPositions.length > 0 ? formatUSD(totalCost) : '-'}
+              </p>
+            </div>
+            <div className="bg-gray-800 rounded-lg p-4">
+              <p className="text-sm text-gray-400">Unrealized PnL</p>
+              <p className="text-2xl font-semibold">
+                <PnL value={pricedValue} costBasis={pricedPositions.length > 0 ? totalCost : null} />
+              </p>
+            </div>
+          </div>
+
+          <div className="bg-gray-800 rounded-lg p-6 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-4 font-medium">Token</th>
+                  <th className="py-2 pr-4 font-medium text-right">Holdings</th>
+                  <th className="py-2 pr-4 font-medium text-right">Sellable Now</th>
+                  <th className="py-2 pr-4 font-medium text-right">Price</th>
+                  <th className="py-2 pr-4 font-medium text-right">Value</th>
+                  <th className="py-2 pr-4 font-medium text-right">Cost Basis</th>
+                  <th className="py-2 font-medium text-right">PnL</th>
+                </tr>
+              </thead>
+              <tbody>
+                {positions.map((position) => {
+                  const { pool } = position;
+                  const key = pool.address.toBase58();
+                  const costBasis = costBases.get(key);
+                  const status = formatPoolStatus(pool);
+
+                  return (
+                    <tr key={key} className="border-b border-gray-700/50 align-top">
+                      <td className="py-3 pr-4">
+                        <Link
+                          href={`/pools/${pool.projectMint.toBase58()}`}
+                          className="font-semibold hover:text-purple-400"
+                        >
+                          {pool.tokenName} ({pool.tokenSymbol})
+                        </Link>
+                        <p className={`text-xs text-${status.color}-400`}>{status.text}</p>
+                      </td>
+                      <td className="py-3 pr-4 text-right whitespace-nowrap">
+                        <p>{formatTokenAmount(position.totalTokens, pool.tokenSymbol)}</p>
+                        {position.walletTokens > 0 && (position.lockedTokens > 0 || position.bundleShare > 0) && (
+                          <p className="text-xs text-gray-400">Wallet {formatTokenAmount(position.walletTokens)}</p>
+                        )}
+                        {position.lockedTokens > 0 && (
+                          <p className="text-xs text-yellow-400">Locked {formatTokenAmount(position.lockedTokens)}</p>
+                        )}
+                        {position.bundleShare > 0 && (
+                          <p className="text-xs text-blue-400">Unclaimed bundle {formatTokenAmount(position.bundleShare)}</p>
+                        )}
+                        {position.pendingDeposit > 0 && (
+                          <p className="text-xs text-blue-400">
+                            Bundle deposit {formatUSD(position.pendingDeposit)} (pending)
+                          </p>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4 text-right whitespace-nowrap">
+                        {formatTokenAmount(position.sellableNow)}
+                      </td>
+                      <td className="py-3 pr-4 text-right whitespace-nowrap">{formatPrice(position.price)}</td>
+                      <td className="py-3 pr-4 text-right whitespace-nowrap">{formatUSD(position.value)}</td>
+                      <td className="py-3 pr-4 text-right whitespace-nowrap">
+                        {costBasis === undefined ? (
+                          <span className="text-gray-500">Loading...</span>
+                        ) : costBasis === null ? (
+                          <span className="text-gray-500">-</span>
+                        ) : (
+                          formatUSD(costBasis)
+                        )}
+                      </td>
+                      <td className="py-3 text-right whitespace-nowrap">
+                        {costBasis === undefined ? null : <PnL value={position.value} costBasis={costBasis} />}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+'use client';
+
+import { formatPrice, formatTokenAmount, formatUSD } from '@/lib/utils/formatters';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 72, bottom: 24, left: 8 };
+
+/**
+ * Price against tokens sold for a launch curve preview
+ * @param {Array<Object>} points - From calculateLaunchCurve
+ */
+export function CurveChart({ points }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const last = points[points.length - 1];
+  const minPrice = points[0].price;
+  const priceRange = last.price - minPrice || last.price;
+
+  const x = (sold) => PADDING.left + (sold / last.sold) * plotWidth;
+  const y = (price) => PADDING.top + (1 - (price - minPrice) / priceRange) * plotHeight;
+
+  const line = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.sold)},${y(point.price)}`).join(' ');
+  const area = `${line} L${x(last.sold)},${HEIGHT - PADDING.bottom} L${x(0)},${HEIGHT - PADDING.bottom} Z`;
+  const midpoint = points[Math.floor(points.length / 2)];
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        <path d={area} className="fill-purple-500/10" />
+        <path d={line} className="stroke-purple-400 fill-none" strokeWidth={2} />
+
+        {[points[0], last].map((point) => (
+          <g key={point.sold}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(point.price)}
+              y2={y(point.price)}
+              className="stroke-gray-600"
+              strokeDasharray="4 4"
+            />
+            <text x={WIDTH - PADDING.right + 4} y={y(point.price) + 4} className="fill-gray-400 text-[10px]">
+              {formatPrice(point.price)}
+            </text>
+          </g>
+        ))}
+
+        <circle cx={x(midpoint.sold)} cy={y(midpoint.price)} r={3} className="fill-purple-400" />
+        <text x={x(midpoint.sold) + 6} y={y(midpoint.price) - 6} className="fill-gray-400 text-[10px]">
+          {formatPrice(midpoint.price)} at {formatUSD(midpoint.raised)} raised
+        </text>
+
+        <text x={PADDING.left} y={HEIGHT - 6} className="fill-gray-500 text-[10px]">0</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" className="fill-gray-500 text-[10px]">
+          {formatTokenAmount(last.sold)} sold
+        </text>
+      </svg>
+    </div>
+  );
+}
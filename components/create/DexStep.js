@@ -0,0 +1,55 @@
+'use client';
+
+import { RAYDIUM_CPMM_PROGRAM, RAYDIUM_FEE_OPTIONS } from '@/lib/constants';
+import { getDexRouterLabel } from '@/lib/utils/formatters';
+import { FormField, StepHeading, INPUT_CLASS } from '@/components/create/FormField';
+import { Info } from 'lucide-react';
+
+export function DexStep({ formData, errors, register, dexRouters }) {
+  const isRaydium = formData.dexRouter === RAYDIUM_CPMM_PROGRAM.toString();
+
+  return (
+    <div>
+      <StepHeading number={5} title="DEX & Raydium" />
+      <div className="grid md:grid-cols-2 gap-4">
+        <FormField label="DEX Router *" error={errors.dexRouter}>
+          <select
+            {...register('dexRouter')}
+            className={INPUT_CLASS}
+          >
+            <option value="">Select DEX Router</option>
+            {dexRouters.map((router, index) => (
+              <option key={index} value={router.toString()}>
+                {getDexRouterLabel(router)}
+              </option>
+            ))}
+          </select>
+        </FormField>
+
+        {isRaydium && (
+          <FormField label="Fee Tier" error={errors.raydiumFeeTier}>
+            <select
+              {...register('raydiumFeeTier')}
+              className={INPUT_CLASS}
+            >
+              {RAYDIUM_FEE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </FormField>
+        )}
+      </div>
+
+      {isRaydium && (
+        <div className="bg-blue-900/20 border border-blue-600/50 rounded-lg p-4 mt-4">
+          <p className="text-blue-400 text-sm flex items-center gap-2">
+            <Info size={16} />
+            Your pool will transition to Raydium CPMM when complete
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import {
+  BUILT_IN_TEMPLATES,
+  loadSavedTemplates,
+  saveTemplate,
+  deleteTemplate,
+  exportLaunchConfig,
+  parseLaunchConfig
+} from '@/lib/utils/launchDrafts';
+import toast from 'react-hot-toast';
+import { Download, Upload, Save, Trash2, RotateCcw } from 'lucide-react';
+
+const BUTTON_CLASS = 'flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-sm text-white rounded-lg transition-colors';
+const INPUT_CLASS = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-sm text-white placeholder-gray-400 focus:outline-none focus:border-purple-500';
+
+/**
+ * Templates, JSON export/import and reset for the create wizard
+ * onApply merges values into the form; onReset starts a blank draft.
+ */
+export function DraftControls({ formData, onApply, onReset }) {
+  const [savedTemplates, setSavedTemplates] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    setSavedTemplates(loadSavedTemplates());
+  }, []);
+
+  const templates = [...BUILT_IN_TEMPLATES, ...savedTemplates];
+  const selectedTemplate = templates.find((template) => template.name === selected);
+
+  const handleApply = () => {
+    if (!selectedTemplate) return;
+    onApply(selectedTemplate.values);
+    toast.success(`Applied "${selectedTemplate.name}"`);
+  };
+
+  const handleSave = () => {
+    const name = templateName.trim();
+    if (!name) return;
+    if (BUILT_IN_TEMPLATES.some((template) => template.name === name)) {
+      toast.error('That name is taken by a built-in template');
+      return;
+    }
+
+    setSavedTemplates(saveTemplate(name, formData));
+    setSelected(name);
+    setTemplateName('');
+    toast.success(`Saved template "${name}"`);
+  };
+
+  const handleDelete = () => {
+    if (!selectedTemplate || selectedTemplate.builtIn) return;
+    setSavedTemplates(deleteTemplate(selectedTemplate.name));
+    setSelected('');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportLaunchConfig(formData)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${formData.symbol || 'launch'}-config.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      onApply(parseLaunchConfig(await file.text()));
+      toast.success('Launch config imported');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6 flex flex-wrap items-center gap-2">
+      <select
+        value={selected}
+        onChange={(e) => setSelected(e.target.value)}
+        className={INPUT_CLASS}
+      >
+        <option value="">Templates...</option>
+        {templates.map((template) => (
+          <option key={template.name} value={template.name}>
+            {template.name}{template.builtIn ? '' : ' (saved)'}
+          </option>
+        ))}
+      </select>
+      <button type="button" onClick={handleApply} disabled={!selectedTemplate} className={BUTTON_CLASS}>
+        Apply
+      </button>
+      {selectedTemplate && !selectedTemplate.builtIn && (
+        <button type="button" onClick={handleDelete} className={BUTTON_CLASS} title="Delete template">
+          <Trash2 size={14} />
+        </button>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={templateName}
+          onChange={(e) => setTemplateName(e.target.value)}
+          placeholder="Template name"
+          className={INPUT_CLASS}
+        />
+        <button type="button" onClick={handleSave} disabled={!templateName.trim()} className={BUTTON_CLASS}>
+          <Save size={14} />
+          Save
+        </button>
+      </div>
+
+      <div className="flex gap-2 ml-auto">
+        <button type="button" onClick={handleExport} className={BUTTON_CLASS} title="Export as JSON">
+          <Download size={14} />
+          Export
+        </button>
+        <button type="button" onClick={() => fileInput.current?.click()} className={BUTTON_CLASS} title="Import JSON">
+          <Upload size={14} />
+          Import
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          className="hidden"
+        />
+        <button type="button" onClick={onReset} className={BUTTON_CLASS} title="Start over">
+          <RotateCcw size={14} />
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+'use client';
+
+export const INPUT_CLASS = 'w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500';
+
+/**
+ * Label, control, hint and inline error for one create form field
+ */
+export function FormField({ label, error, hint, className = '', children }) {
+  return (
+    <div className={className}>
+      <label className="block text-sm font-medium text-gray-300 mb-2">
+        {label}
+      </label>
+      {children}
+      {error ? (
+        <p className="text-xs text-red-400 mt-1">{error}</p>
+      ) : hint ? (
+        <p className="text-xs text-gray-400 mt-1">{hint}</p>
+      ) : null}
+    </div>
+  );
+}
+
+/**
+ * Step heading shared by the wizard steps
+ */
+export function StepHeading({ number, title }) {
+  return (
+    <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+      <span className="text-purple-400">{number}.</span> {title}
+    </h2>
+  );
+}
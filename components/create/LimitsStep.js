@@ -0,0 +1,93 @@
+'use client';
+
+import { VALIDATION } from '@/lib/constants';
+import { FormField, StepHeading, INPUT_CLASS } from '@/components/create/FormField';
+import { AlertCircle } from 'lucide-react';
+
+export function LimitsStep({ errors, register, stableSymbol }) {
+  return (
+    <div>
+      <StepHeading number={4} title="Limits" />
+
+      <h3 className="text-sm font-semibold text-gray-300 mb-3">Bundle Deposits</h3>
+      <div className="grid md:grid-cols-2 gap-4 mb-6">
+        <FormField label={`Min Deposit (${stableSymbol})`} error={errors.minDeposit}>
+          <input
+            type="number"
+            {...register('minDeposit')}
+            min={VALIDATION.MIN_DEPOSIT_USD}
+            step="0.01"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+
+        <FormField label={`Max Deposit (${stableSymbol})`} error={errors.maxDeposit}>
+          <input
+            type="number"
+            {...register('maxDeposit')}
+            min="0"
+            step="0.01"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+      </div>
+
+      <h3 className="text-sm font-semibold text-gray-300 mb-3">Trading Limits</h3>
+      <div className="bg-yellow-900/20 border border-yellow-600/50 rounded-lg p-4 mb-4">
+        <p className="text-yellow-400 text-sm flex items-center gap-2">
+          <AlertCircle size={16} />
+          Set to 0 to disable limits. With a wallet limit, curve buys are locked and released over time.
+        </p>
+      </div>
+      <div className="grid md:grid-cols-2 gap-4">
+        <FormField label="Global Limit Period (seconds)" error={errors.gLimitPeriod}>
+          <input
+            type="number"
+            {...register('gLimitPeriod')}
+            min="0"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+
+        <FormField
+          label="Global Limit (%)"
+          error={errors.gLimitPercent}
+          hint="Largest price drop sells can cause within one period"
+        >
+          <input
+            type="number"
+            {...register('gLimitPercent')}
+            min="0"
+            max="100"
+            step="0.01"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+
+        <FormField label="Wallet Limit Period (seconds)" error={errors.wLimitPeriod}>
+          <input
+            type="number"
+            {...register('wLimitPeriod')}
+            min="0"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+
+        <FormField
+          label="Wallet Limit (%)"
+          error={errors.wLimitPercent}
+          hint="Share of its locked balance a wallet can sell per period"
+        >
+          <input
+            type="number"
+            {...register('wLimitPercent')}
+            min="0"
+            max="100"
+            step="0.01"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+      </div>
+    </div>
+  );
+}
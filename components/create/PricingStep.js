@@ -0,0 +1,110 @@
+'use client';
+
+import { VALIDATION, FEES } from '@/lib/constants';
+import { calculateLaunchCurve } from '@/lib/utils/launchCurve';
+import { formatPrice, formatTokenAmount, formatUSD, formatBasisPoints, getStableCoinSymbol } from '@/lib/utils/formatters';
+import { FormField, StepHeading, INPUT_CLASS } from '@/components/create/FormField';
+import { CurveChart } from '@/components/create/CurveChart';
+
+/**
+ * Label/value row for the curve summary
+ */
+function SummaryRow({ label, children }) {
+  return (
+    <div className="flex justify-between gap-4 py-1 text-sm">
+      <span className="text-gray-400">{label}</span>
+      <span className="text-right">{children}</span>
+    </div>
+  );
+}
+
+export function PricingStep({ formData, errors, register, stableCoins, stableSymbol, config }) {
+  const raise = config ? Number(config.requireRaiseUsd.toString()) : 0;
+  const finalizeFeeBps = config ? config.fee.toNumber() : FEES.DEFAULT_PROTOCOL_FEE;
+
+  const curve = calculateLaunchCurve({
+    startPrice: parseFloat(formData.startPrice),
+    endPrice: parseFloat(formData.endPrice),
+    raise,
+    finalizeFeeBps,
+  });
+
+  return (
+    <div>
+      <StepHeading number={2} title="Pricing Curve" />
+      <div className="grid md:grid-cols-3 gap-4 mb-6">
+        <FormField label="Stable Coin Pair *" error={errors.pairToken}>
+          <select
+            {...register('pairToken')}
+            className={INPUT_CLASS}
+          >
+            <option value="">Select Stable Coin</option>
+            {stableCoins.map((coin, index) => (
+              <option key={index} value={coin.mint.toString()}>
+                {getStableCoinSymbol(coin.mint)}
+              </option>
+            ))}
+          </select>
+        </FormField>
+
+        <FormField label={`Start Price (${stableSymbol}) *`} error={errors.startPrice}>
+          <input
+            type="number"
+            {...register('startPrice')}
+            step="0.000001"
+            min={VALIDATION.MIN_PRICE}
+            className={INPUT_CLASS}
+            placeholder="0.00001"
+          />
+        </FormField>
+
+        <FormField label={`End Price (${stableSymbol}) *`} error={errors.endPrice}>
+          <input
+            type="number"
+            {...register('endPrice')}
+            step="0.000001"
+            min={VALIDATION.MIN_PRICE}
+            className={INPUT_CLASS}
+            placeholder="0.001"
+          />
+        </FormField>
+      </div>
+
+      {curve ? (
+        <div className="grid md:grid-cols-5 gap-6">
+          <div className="md:col-span-3">
+            <CurveChart points={curve.points} />
+          </div>
+          <div className="md:col-span-2">
+            <SummaryRow label="Raise at sell-out (fixed by Config)">{formatUSD(raise)}</SummaryRow>
+            <SummaryRow label="Tokens sold on the curve">{formatTokenAmount(curve.tokensForSale)}</SummaryRow>
+            <SummaryRow label="Average sale price">{formatPrice(curve.averagePrice)}</SummaryRow>
+            <SummaryRow label="Price multiple">
+              {(parseFloat(formData.endPrice) / parseFloat(formData.startPrice)).toFixed(2)}x
+            </SummaryRow>
+            <div className="border-t border-gray-700 my-2" />
+            <SummaryRow label="Tokens reserved for liquidity">{formatTokenAmount(curve.liquidityTokens)}</SummaryRow>
+            <SummaryRow label={`Liquidity ${stableSymbol}`}>{formatUSD(curve.liquidityStable)}</SummaryRow>
+            <SummaryRow label="Finalize fee">{formatBasisPoints(finalizeFeeBps)}</SummaryRow>
+            <SummaryRow label="Implied supply">{formatTokenAmount(curve.totalSupply)}</SummaryRow>
+            <SummaryRow label="Valuation at end price">
+              {formatUSD(curve.totalSupply * parseFloat(formData.endPrice))}
+            </SummaryRow>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-400">
+          {raise > 0
+            ? 'Enter a start price and a higher end price to preview the curve'
+            : 'Loading the required raise from Config...'}
+        </p>
+      )}
+
+      <p className="text-xs text-gray-500 mt-4">
+        The raise is fixed by the Config required raise; your start and end price only set how many
+        tokens the curve sells to reach it. The preview assumes unsold tokens are paired with the raise
+        at the end price on finalize.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+'use client';
+
+import { serializeLaunchStruct } from '@/lib/utils/launchParams';
+import { StepHeading } from '@/components/create/FormField';
+
+/**
+ * One create_prelaunch argument as it will be encoded
+ */
+function StructBlock({ title, struct }) {
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-300 mb-2">{title}</h3>
+      <pre className="bg-gray-900 rounded-lg p-4 text-xs text-gray-300 overflow-x-auto">
+        {JSON.stringify(serializeLaunchStruct(struct), null, 2)}
+      </pre>
+    </div>
+  );
+}
+
+export function ReviewStep({ params, limitParams, mint }) {
+  return (
+    <div>
+      <StepHeading number={6} title="Review" />
+      <p className="text-sm text-gray-400 mb-4">
+        These are the exact arguments sent to create_prelaunch. Prices and deposits are in the
+        pair&apos;s base units, taxes and limit percents in basis points, periods in seconds.
+        {mint ? (
+          <>
+            {' '}The token mint will be your vanity address{' '}
+            <span className="font-mono text-purple-400 break-all">{mint.toBase58()}</span>.
+          </>
+        ) : (
+          ' The token mint is generated when you submit.'
+        )}
+      </p>
+      <div className="grid md:grid-cols-2 gap-4">
+        <StructBlock title="Params" struct={params} />
+        <StructBlock title="LimitParams" struct={limitParams} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+'use client';
+
+import { Check } from 'lucide-react';
+
+/**
+ * Wizard progress across the top of /create
+ * Completed steps can be clicked to jump back.
+ */
+export function StepIndicator({ steps, current, onSelect }) {
+  return (
+    <ol className="flex items-center gap-2 mb-6 overflow-x-auto">
+      {steps.map((step, index) => {
+        const done = index < current;
+        const active = index === current;
+
+        return (
+          <li key={step.id} className="flex items-center gap-2 flex-shrink-0">
+            <button
+              type="button"
+              onClick={() => done && onSelect(index)}
+              disabled={!done}
+              className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm transition-colors ${
+                active
+                  ? 'bg-purple-600 text-white'
+                  : done
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                    : 'bg-gray-800 text-gray-500 cursor-default'
+              }`}
+            >
+              <span className="w-5 h-5 flex items-center justify-center rounded-full bg-black/20 text-xs">
+                {done ? <Check size={12} /> : index + 1}
+              </span>
+              {step.label}
+            </button>
+            {index < steps.length - 1 && <span className="w-4 h-px bg-gray-600" />}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
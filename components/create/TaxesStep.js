@@ -0,0 +1,63 @@
+'use client';
+
+import { FormField, StepHeading, INPUT_CLASS } from '@/components/create/FormField';
+
+export function TaxesStep({ errors, register }) {
+  return (
+    <div>
+      <StepHeading number={3} title="Taxes & Creator Share" />
+      <div className="grid md:grid-cols-2 gap-4">
+        <FormField label="Buy Tax (%)" error={errors.buyTax} hint="Taken from tokens bought on the curve">
+          <input
+            type="number"
+            {...register('buyTax')}
+            min="0"
+            max="100"
+            step="0.01"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+
+        <FormField label="Sell Tax (%)" error={errors.sellTax} hint="Taken from tokens sold back to the curve">
+          <input
+            type="number"
+            {...register('sellTax')}
+            min="0"
+            max="100"
+            step="0.01"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+
+        <FormField
+          label="Tax Receiver Address *"
+          error={errors.taxReceiver}
+          hint="Taxes are paid in the project token to this wallet"
+          className="md:col-span-2"
+        >
+          <input
+            type="text"
+            {...register('taxReceiver')}
+            className={INPUT_CLASS}
+            placeholder="Tax receiver wallet address"
+          />
+        </FormField>
+
+        <FormField
+          label="Creator Share (%)"
+          error={errors.creatorPercentage}
+          hint="Creator's share of the fee taken when the pool finalizes"
+        >
+          <input
+            type="number"
+            {...register('creatorPercentage')}
+            min="0"
+            max="100"
+            step="1"
+            className={INPUT_CLASS}
+          />
+        </FormField>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+'use client';
+
+import { VALIDATION } from '@/lib/constants';
+import { FormField, StepHeading, INPUT_CLASS } from '@/components/create/FormField';
+
+export function TokenDetailsStep({ errors, register }) {
+  return (
+    <div>
+      <StepHeading number={1} title="Token Details" />
+      <div className="grid md:grid-cols-2 gap-4">
+        <FormField label="Token Name *" error={errors.name}>
+          <input
+            type="text"
+            {...register('name')}
+            maxLength={VALIDATION.MAX_NAME_LENGTH}
+            className={INPUT_CLASS}
+            placeholder="My Awesome Token"
+          />
+        </FormField>
+
+        <FormField label="Token Symbol *" error={errors.symbol}>
+          <input
+            type="text"
+            {...register('symbol')}
+            maxLength={VALIDATION.MAX_SYMBOL_LENGTH}
+            className={INPUT_CLASS}
+            placeholder="TOKEN"
+          />
+        </FormField>
+
+        <FormField
+          label="Metadata URL *"
+          error={errors.url}
+          hint="Link to the token's metadata JSON; it can be changed later from the creator dashboard"
+          className="md:col-span-2"
+        >
+          <input
+            type="text"
+            {...register('url')}
+            maxLength={VALIDATION.MAX_URL_LENGTH}
+            className={INPUT_CLASS}
+            placeholder="https://your-token-metadata.json"
+          />
+        </FormField>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { validateVanityPattern, estimateVanityAttempts } from '@/lib/utils/vanity';
+import { startVanitySearch } from '@/lib/workers/vanitySearch';
+import { formatNumber, formatTimeRemaining } from '@/lib/utils/formatters';
+import { FormField, INPUT_CLASS } from '@/components/create/FormField';
+import toast from 'react-hot-toast';
+import { Sparkles, X } from 'lucide-react';
+
+/**
+ * Optional vanity mint address for the new token
+ * The found keypair is handed to the page through onChange and signs the
+ * create transaction in place of a random one; null means a random mint.
+ */
+export function VanityMintPanel({ keypair, onChange }) {
+  const [enabled, setEnabled] = useState(false);
+  const [pattern, setPattern] = useState({ prefix: '', suffix: '', ignoreCase: true });
+  const [progress, setProgress] = useState(null);
+  const [running, setRunning] = useState(false);
+  const search = useRef(null);
+
+  // Stop the workers if the page goes away mid-search
+  useEffect(() => () => search.current?.cancel(), []);
+
+  const patternError = validateVanityPattern(pattern);
+  const expectedAttempts = patternError ? null : estimateVanityAttempts(pattern);
+
+  const handlePatternChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPattern(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value.trim() }));
+  };
+
+  const handleToggle = (e) => {
+    if (!e.target.checked) {
+      handleCancel();
+      onChange(null);
+    }
+    setEnabled(e.target.checked);
+  };
+
+  const handleStart = () => {
+    onChange(null);
+    setProgress({ attempts: 0, rate: 0 });
+    setRunning(true);
+
+    search.current = startVanitySearch(pattern, {
+      onProgress: setProgress,
+      onFound: (found, attempts) => {
+        setRunning(false);
+        setProgress(prev => ({ ...prev, attempts }));
+        onChange(found);
+        toast.success(`Found ${found.publicKey.toBase58()}`);
+      },
+      onError: (error) => {
+        console.error('Vanity search failed:', error);
+        setRunning(false);
+        toast.error('Vanity search failed');
+      },
+    });
+  };
+
+  const handleCancel = () => {
+    search.current?.cancel();
+    search.current = null;
+    setRunning(false);
+  };
+
+  // Attempts are independent, so the expected time left doesn't shrink as attempts pile up
+  const eta = progress?.rate > 0 && expectedAttempts ? Math.ceil(expectedAttempts / progress.rate) : null;
+
+  return (
+    <div className="border border-gray-700 rounded-lg p-4 mt-6">
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+        <input type="checkbox" checked={enabled} onChange={handleToggle} />
+        <Sparkles size={16} className="text-purple-400" />
+        Vanity mint address
+      </label>
+
+      {enabled && (
+        <div className="mt-4">
+          <div className="grid md:grid-cols-3 gap-4">
+            <FormField label="Starts with">
+              <input
+                type="text"
+                name="prefix"
+                value={pattern.prefix}
+                onChange={handlePatternChange}
+                disabled={running}
+                className={INPUT_CLASS}
+                placeholder="ABC"
+              />
+            </FormField>
+            <FormField label="Ends with">
+              <input
+                type="text"
+                name="suffix"
+                value={pattern.suffix}
+                onChange={handlePatternChange}
+                disabled={running}
+                className={INPUT_CLASS}
+                placeholder="pump"
+              />
+            </FormField>
+            <label className="flex items-center gap-2 text-sm text-gray-300 md:mt-8">
+              <input
+                type="checkbox"
+                name="ignoreCase"
+                checked={pattern.ignoreCase}
+                onChange={handlePatternChange}
+                disabled={running}
+              />
+              Ignore case
+            </label>
+          </div>
+
+          {(pattern.prefix || pattern.suffix) && patternError && (
+            <p className="text-xs text-red-400 mt-2">{patternError}</p>
+          )}
+          {expectedAttempts && !running && !keypair && (
+            <p className="text-xs text-gray-400 mt-2">
+              About {formatNumber(expectedAttempts, 0)} attempts expected. Grinding runs in your browser on
+              every core; you can keep filling in the form meanwhile.
+            </p>
+          )}
+
+          {progress && (
+            <div className="grid grid-cols-3 gap-4 mt-4 text-sm">
+              <div>
+                <p className="text-gray-400">Attempts</p>
+                <p>{formatNumber(progress.attempts, 0)}</p>
+              </div>
+              <div>
+                <p className="text-gray-400">Rate</p>
+                <p>{formatNumber(progress.rate, 0)}/s</p>
+              </div>
+              <div>
+                <p className="text-gray-400">ETA</p>
+                <p>{running ? (eta ? `~${formatTimeRemaining(eta)}` : '...') : '-'}</p>
+              </div>
+            </div>
+          )}
+
+          {keypair && (
+            <div className="bg-green-900/20 border border-green-600/50 rounded-lg p-3 mt-4 flex items-center justify-between gap-2">
+              <p className="text-green-400 text-sm font-mono break-all">{keypair.publicKey.toBase58()}</p>
+              <button
+                type="button"
+                onClick={() => onChange(null)}
+                className="text-gray-400 hover:text-white"
+                title="Use a random address instead"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          )}
+
+          <div className="mt-4">
+            {running ? (
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-medium rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleStart}
+                disabled={!!patternError}
+                className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium rounded-lg transition-colors"
+              >
+                {keypair ? 'Find Another' : 'Start Search'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,8 +3,9 @@
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
 import { WalletButton } from '@/components/wallet/WalletButton';
+import { NetworkSwitcher } from '@/components/layout/NetworkSwitcher';
 import { useProgram } from '@/contexts/ProgramContext';
-import { Home, Layers, Plus, Settings } from 'lucide-react';
+import { Home, Layers, Plus, Rocket, Settings, Wallet } from 'lucide-react';
 
 export function Navbar() {
   const pathname = usePathname();
@@ -13,7 +14,9 @@ export function Navbar() {
   const navItems = [
     { href: '/', label: 'Home', icon: Home },
     { href: '/pools', label: 'Pools', icon: Layers },
+    { href: '/portfolio', label: 'Portfolio', icon: Wallet },
     { href: '/create', label: 'Create Pool', icon: Plus },
+    { href: '/creator', label: 'My Launches', icon: Rocket },
     { href: '/admin', label: 'Admin', icon: Settings },
   ];
 
@@ -59,6 +62,7 @@ export function Navbar() {
             {!programStatus.isInitialized && !programStatus.isLoading && (
               <span className="text-yellow-400 text-sm">⚠️ Program not initialized</span>
             )}
+            <NetworkSwitcher />
             <WalletButton />
           </div>
         </div>
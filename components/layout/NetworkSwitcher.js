@@ -0,0 +1,96 @@
+'use client';
+
+import { useState } from 'react';
+import { CLUSTERS, selectCluster, getClusterConfigError } from '@/lib/clusters';
+import { useCluster } from '@/contexts/ClusterContext';
+import toast from 'react-hot-toast';
+import { Globe, ChevronDown } from 'lucide-react';
+
+export function NetworkSwitcher() {
+  const activeCluster = useCluster();
+  const [open, setOpen] = useState(false);
+  const [clusterId, setClusterId] = useState(activeCluster.id);
+  const [customRpc, setCustomRpc] = useState(activeCluster.customRpc || '');
+
+  const handleApply = () => {
+    try {
+      selectCluster(clusterId, customRpc.trim());
+    } catch (error) {
+      toast.error(error.message || 'Invalid network settings');
+    }
+  };
+
+  const colorClasses = {
+    localnet: 'bg-gray-500',
+    devnet: 'bg-yellow-400',
+    'mainnet-beta': 'bg-green-400',
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 px-3 py-2 bg-gray-800 hover:bg-gray-700 rounded-lg text-sm font-medium text-gray-300 transition-colors"
+      >
+        <span className={`w-2 h-2 rounded-full ${colorClasses[activeCluster.id]}`} />
+        <Globe size={16} />
+        {activeCluster.label}
+        {activeCluster.customRpc && <span className="text-xs text-gray-500">(custom RPC)</span>}
+        <ChevronDown size={14} />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-gray-800 border border-gray-700 rounded-lg shadow-xl p-4 z-50 space-y-4">
+          <div className="space-y-2">
+            {Object.values(CLUSTERS).map((cluster) => (
+              <label
+                key={cluster.id}
+                title={getClusterConfigError(cluster) || undefined}
+                className={`flex items-center gap-3 px-3 py-2 bg-gray-700 rounded-lg transition-colors ${
+                  cluster.missingEnv.length > 0 ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:bg-gray-600'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="cluster"
+                  value={cluster.id}
+                  checked={clusterId === cluster.id}
+                  onChange={(e) => setClusterId(e.target.value)}
+                  disabled={cluster.missingEnv.length > 0}
+                  className="accent-purple-500"
+                />
+                <span className="text-sm">{cluster.label}</span>
+                {cluster.missingEnv.length > 0 && (
+                  <span className="text-xs text-gray-400 ml-auto">Not configured</span>
+                )}
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Custom RPC URL
+            </label>
+            <input
+              type="text"
+              value={customRpc}
+              onChange={(e) => setCustomRpc(e.target.value)}
+              placeholder={CLUSTERS[clusterId]?.endpoint}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500 text-sm"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Leave empty to use the default endpoint. The page reloads to apply changes.
+            </p>
+          </div>
+
+          <button
+            onClick={handleApply}
+            className="w-full px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold rounded-lg transition-colors"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
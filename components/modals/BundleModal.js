@@ -2,8 +2,8 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { useWalletModal } from '@solana/wallet-adapter-react-ui';
 import { PublicKey, SystemProgram } from '@solana/web3.js';
-import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
 import { 
   TOKEN_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID,
@@ -11,12 +11,10 @@ import {
 } from '@solana/spl-token';
 import { 
   PROGRAM_ID,
-  USDC_DEVNET,
   ERROR_MESSAGES,
-  SUCCESS_MESSAGES,
-  TOKEN_STANDARDS
+  SUCCESS_MESSAGES
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import { getReadOnlyProgram, getWalletProgram } from '@/lib/program/provider';
 import { 
   ModalBase, 
   ModalSection, 
@@ -39,6 +37,7 @@ import { Info } from 'lucide-react';
 export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
   const { connection } = useConnection();
   const wallet = useWallet();
+  const { setVisible: setWalletModalVisible } = useWalletModal();
   
   // State
   const [loading, setLoading] = useState(false);
@@ -48,27 +47,26 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
   const [activeTab, setActiveTab] = useState('deposit');
   const [loadingInfo, setLoadingInfo] = useState(true);
 
-  // Get program instance
-  const getProgram = useCallback(() => {
-    if (!wallet.publicKey) return null;
-    const provider = new AnchorProvider(
-      connection,
-      wallet,
-      { commitment: 'confirmed' }
-    );
-    setProvider(provider);
-    return new Program(IDL, provider);
-  }, [connection, wallet.publicKey]);
+  // Get program instance, null while signed out
+  const getProgram = useCallback(
+    () => getWalletProgram(connection, wallet),
+    [connection, wallet.publicKey]
+  );
+
+  // Fetches and quotes fall back to a read-only program while signed out
+  const getReadProgram = useCallback(
+    () => getProgram() ?? getReadOnlyProgram(connection),
+    [getProgram, connection]
+  );
 
   // Fetch bundle information
   useEffect(() => {
     const fetchBundleInfo = async () => {
-      if (!wallet.publicKey || !isOpen) return;
+      if (!isOpen) return;
       
       setLoadingInfo(true);
       try {
-        const program = getProgram();
-        if (!program) return;
+        const program = getReadProgram();
 
         // Get bundle pool PDA
         const { bundlePool: bundlePoolPda } = await derivePoolPDAs(pool.projectMint);
@@ -78,7 +76,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
         try {
           bundlePoolData = await program.account.bundleBuyPool.fetch(bundlePoolPda);
           setBundleInfo({
-            totalDeposits: bnToNumber(bundlePoolData.totalDeposits, TOKEN_STANDARDS.USDC_DECIMALS),
+            totalDeposits: bnToNumber(bundlePoolData.totalDeposits, pool.stableDecimals),
             isExecuted: bundlePoolData.isExecuted
           });
         } catch (e) {
@@ -86,6 +84,11 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
         }
 
         // Check user deposit
+        if (!wallet.publicKey) {
+          setUserDeposit(0);
+          return;
+        }
+
         const { bundleDeposit: bundleDepositPda } = await deriveUserPoolPDAs(
           pool.address, 
           wallet.publicKey
@@ -93,7 +96,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
 
         try {
           const deposit = await program.account.bundleDeposit.fetch(bundleDepositPda);
-          setUserDeposit(bnToNumber(deposit.amount, TOKEN_STANDARDS.USDC_DECIMALS));
+          setUserDeposit(bnToNumber(deposit.amount, pool.stableDecimals));
         } catch (e) {
           setUserDeposit(0);
         }
@@ -105,12 +108,13 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
     };
 
     fetchBundleInfo();
-  }, [wallet.publicKey, isOpen, pool, getProgram]);
+  }, [wallet.publicKey, isOpen, pool, getReadProgram]);
 
   // Handle deposit
   const handleDeposit = async () => {
     if (!wallet.publicKey || !wallet.signTransaction) {
       toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      setWalletModalVisible(true);
       return;
     }
 
@@ -125,7 +129,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
       const program = getProgram();
       if (!program) throw new Error('Failed to initialize program');
 
-      const depositAmount = numberToBN(parseFloat(amount), TOKEN_STANDARDS.USDC_DECIMALS);
+      const depositAmount = numberToBN(parseFloat(amount), pool.stableDecimals);
 
       // Derive PDAs
       const { pool: poolPda, poolAuthority: poolAuthorityPda, bundlePool: bundlePoolPda } = 
@@ -133,9 +137,9 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
       const { bundleDeposit: bundleDepositPda } = 
         await deriveUserPoolPDAs(pool.address, wallet.publicKey);
       const { poolStableAta } = 
-        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, USDC_DEVNET);
+        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, pool.stableMint);
 
-      const depositorStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
+      const depositorStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
 
       // Build transaction
       const builder = createPoolTransactionBuilder(connection, wallet);
@@ -144,7 +148,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
       await builder.addCreateATAIfNeeded(
         depositorStableAta, 
         wallet.publicKey, 
-        USDC_DEVNET
+        pool.stableMint
       );
 
       // Create deposit instruction
@@ -153,7 +157,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
         .accounts({
           poolAcc: pool.address,
           projectMint: pool.projectMint,
-          stableMint: USDC_DEVNET,
+          stableMint: pool.stableMint,
           poolStableAta: poolStableAta,
           poolAuthority: poolAuthorityPda,
           bundleDeposit: bundleDepositPda,
@@ -189,6 +193,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
   const handleWithdraw = async () => {
     if (!wallet.publicKey || !wallet.signTransaction) {
       toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      setWalletModalVisible(true);
       return;
     }
 
@@ -209,9 +214,9 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
       const { bundleDeposit: bundleDepositPda } = 
         await deriveUserPoolPDAs(pool.address, wallet.publicKey);
       const { poolStableAta } = 
-        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, USDC_DEVNET);
+        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, pool.stableMint);
 
-      const withdrawerStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
+      const withdrawerStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
 
       // Build transaction
       const builder = createPoolTransactionBuilder(connection, wallet);
@@ -222,7 +227,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
         .accounts({
           pool: pool.address,
           projectMint: pool.projectMint,
-          stableMint: USDC_DEVNET,
+          stableMint: pool.stableMint,
           depositRec: bundleDepositPda,
           bundlePool: bundlePoolPda,
           withdrawer: wallet.publicKey,
@@ -254,8 +259,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
 
   // Helper to fetch bundle info
   const fetchBundleInfo = async () => {
-    const program = getProgram();
-    if (!program) return;
+    const program = getReadProgram();
 
     const { bundlePool: bundlePoolPda } = await derivePoolPDAs(pool.projectMint);
     const { bundleDeposit: bundleDepositPda } = await deriveUserPoolPDAs(
@@ -266,7 +270,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
     try {
       const bundlePoolData = await program.account.bundleBuyPool.fetch(bundlePoolPda);
       setBundleInfo({
-        totalDeposits: bnToNumber(bundlePoolData.totalDeposits, TOKEN_STANDARDS.USDC_DECIMALS),
+        totalDeposits: bnToNumber(bundlePoolData.totalDeposits, pool.stableDecimals),
         isExecuted: bundlePoolData.isExecuted
       });
     } catch (e) {
@@ -275,7 +279,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
 
     try {
       const deposit = await program.account.bundleDeposit.fetch(bundleDepositPda);
-      setUserDeposit(bnToNumber(deposit.amount, TOKEN_STANDARDS.USDC_DECIMALS));
+      setUserDeposit(bnToNumber(deposit.amount, pool.stableDecimals));
     } catch (e) {
       setUserDeposit(0);
     }
@@ -293,7 +297,7 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
           <div className="flex items-start gap-2">
             <Info size={16} className="mt-0.5 flex-shrink-0" />
             <span className="text-sm">
-              Bundle buys allow users to deposit USDC that will be used to buy tokens 
+              Bundle buys allow users to deposit {pool.stableSymbol} that will be used to buy tokens 
               when the pool completes. All bundle participants get tokens at the same final price.
             </span>
           </div>
@@ -347,22 +351,22 @@ export function BundleModal({ pool, isOpen, onClose, onSuccess }) {
         {/* Tab Content */}
         {activeTab === 'deposit' ? (
           <>
-            <ModalSection title="Deposit Amount (USDC)">
+            <ModalSection title={`Deposit Amount (${pool.stableSymbol})`}>
               <input
                 type="number"
                 value={amount}
                 onChange={(e) => setAmount(e.target.value)}
                 placeholder="0.00"
                 step="0.01"
-                min={pool.params?.minDeposit ? pool.params.minDeposit / 1e6 : 0}
-                max={pool.params?.maxDeposit ? pool.params.maxDeposit / 1e6 : undefined}
+                min={pool.params?.minDeposit ? bnToNumber(pool.params.minDeposit, pool.stableDecimals) : 0}
+                max={pool.params?.maxDeposit ? bnToNumber(pool.params.maxDeposit, pool.stableDecimals) : undefined}
                 className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
                 disabled={loading}
               />
               {pool.params?.minDeposit > 0 && (
                 <p className="text-xs text-gray-500 mt-1">
-                  Min: {formatUSD(pool.params.minDeposit / 1e6)}
-                  {pool.params.maxDeposit > 0 && ` | Max: ${formatUSD(pool.params.maxDeposit / 1e6)}`}
+                  Min: {formatUSD(bnToNumber(pool.params.minDeposit, pool.stableDecimals))}
+                  {pool.params.maxDeposit > 0 && ` | Max: ${formatUSD(bnToNumber(pool.params.maxDeposit, pool.stableDecimals))}`}
                 </p>
               )}
             </ModalSection>
@@ -2,8 +2,9 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { useWalletModal } from '@solana/wallet-adapter-react-ui';
 import { PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY } from '@solana/web3.js';
-import { Program, AnchorProvider, setProvider, BN } from '@coral-xyz/anchor';
+import { BN } from '@coral-xyz/anchor';
 import { 
   TOKEN_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID,
@@ -12,16 +13,14 @@ import {
 import { 
   PROGRAM_ID, 
   CONFIG_SEED,
-  USDC_DEVNET,
   RAYDIUM_AUTHORITY,
-  FEES,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   UI_CONSTANTS,
   TOKEN_STANDARDS,
   RAYDIUM_CPMM_PROGRAM
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import { getReadOnlyProgram, getWalletProgram } from '@/lib/program/provider';
 import { 
   ModalBase, 
   ModalSection, 
@@ -30,18 +29,29 @@ import {
   ModalButton 
 } from '@/components/modals/shared/ModalBase';
 import { createTradingTransactionBuilder } from '@/components/modals/shared/TransactionBuilder';
+import { SlippageSettings } from '@/components/modals/shared/SlippageSettings';
+import { simulateOutputGuard } from '@/lib/program/transaction-helper';
 import { 
   derivePoolPDAs, 
   deriveUserPoolPDAs, 
   getPoolTokenAccounts,
-  hasWalletLimits 
+  hasWalletLimits,
+  quoteSwapOnChain,
+  fetchRaydiumReserves
 } from '@/lib/program/pool-helpers';
 import { 
-  calculateBuyOutput,
-  calculateBuyTokensOut, 
-  calculateCurrentPrice,
-  numberToBN 
+  calculateRaydiumBuyOutput,
+  bnToNumber,
+  decimalStringToBN,
+  getTradingFeeBps
 } from '@/lib/utils/calculations';
+import { calculateBuyOutput, calculateCurrentPrice } from '@/lib/utils/bondingCurve';
+import {
+  getSlippageTolerance,
+  saveSlippageTolerance,
+  applySlippage,
+  readTokenAccountAmount
+} from '@/lib/utils/slippage';
 import { 
   formatTokenAmount, 
   formatUSD, 
@@ -51,44 +61,74 @@ import { handleTransactionError } from '@/lib/utils/errors';
 import toast from 'react-hot-toast';
 import { Info } from 'lucide-react';
 
+// What the amount input means
+const BUY_MODES = {
+  EXACT_IN: 'exactIn',   // stable coin to spend
+  EXACT_OUT: 'exactOut', // tokens to receive
+};
+
+// Client estimates further than this from the on-chain view are flagged (basis points)
+const QUOTE_MISMATCH_BPS = 50;
+
 export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
   const { connection } = useConnection();
   const wallet = useWallet();
+  const { setVisible: setWalletModalVisible } = useWalletModal();
   
   // State
   const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState(BUY_MODES.EXACT_IN);
   const [amount, setAmount] = useState('');
   const [estimatedTokens, setEstimatedTokens] = useState(null);
   const [calculating, setCalculating] = useState(false);
   const [poolData, setPoolData] = useState(null);
   const [config, setConfig] = useState(null);
+  const [raydiumReserves, setRaydiumReserves] = useState(null);
+  const [slippage, setSlippage] = useState(UI_CONSTANTS.DEFAULT_SLIPPAGE);
 
   const isRaydium = pool.isFinalized && pool.raydiumPoolState && pool.raydiumPoolState !== PublicKey.default.toString();
 
-  // Get program instance
-  const getProgram = useCallback(() => {
-    if (!wallet.publicKey) return null;
-    const provider = new AnchorProvider(
-      connection,
-      wallet,
-      { commitment: 'confirmed' }
-    );
-    setProvider(provider);
-    return new Program(IDL, provider);
-  }, [connection, wallet.publicKey]);
+  // Get program instance, null while signed out
+  const getProgram = useCallback(
+    () => getWalletProgram(connection, wallet),
+    [connection, wallet.publicKey]
+  );
+
+  // Fetches and quotes fall back to a read-only program while signed out
+  const getReadProgram = useCallback(
+    () => getProgram() ?? getReadOnlyProgram(connection),
+    [getProgram, connection]
+  );
+
+  // Load the saved slippage tolerance
+  useEffect(() => {
+    if (isOpen) setSlippage(getSlippageTolerance());
+  }, [isOpen]);
+
+  const handleSlippageChange = (bps) => {
+    setSlippage(bps);
+    saveSlippageTolerance(bps);
+  };
 
   // Fetch pool data
   useEffect(() => {
     const fetchData = async () => {
-      if (!wallet.publicKey || !isOpen) return;
+      if (!isOpen) return;
       
       try {
-        const program = getProgram();
-        if (!program) return;
+        const program = getReadProgram();
         
         // Fetch pool data
         const poolAccount = await program.account.pool.fetch(pool.address);
         setPoolData(poolAccount);
+
+        // Migrated pools are quoted from the Raydium vaults
+        try {
+          setRaydiumReserves(await fetchRaydiumReserves(connection, poolAccount));
+        } catch (reserveError) {
+          console.error('Error fetching Raydium reserves:', reserveError);
+          setRaydiumReserves(null);
+        }
         
         // Fetch config
         const [configPda] = PublicKey.findProgramAddressSync(
@@ -103,52 +143,131 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
     };
 
     fetchData();
-  }, [wallet.publicKey, isOpen, pool.address, getProgram]);
+  }, [isOpen, pool.address, getReadProgram]);
 
-  // Calculate estimated tokens
+  // Quote the trade: client-side curve estimate checked against the program's own view
   useEffect(() => {
+    // Set once a newer amount, mode or pool state supersedes this run
+    let stale = false;
+
+    // Each quote remembers the input it was made for, so handleBuy can't send an older one
+    const applyQuote = (quote) => {
+      if (!stale) setEstimatedTokens(quote && { ...quote, amount, mode });
+    };
+
     const calculateEstimate = async () => {
       if (!amount || parseFloat(amount) <= 0 || !poolData || !config) {
-        setEstimatedTokens(null);
+        applyQuote(null);
+        setCalculating(false);
         return;
       }
 
       setCalculating(true);
       try {
-        if (isRaydium) {
-          // For Raydium pools, we can't calculate client-side accurately
-          setEstimatedTokens({ 
-            tokensOut: 0, 
-            priceImpact: 0, 
-            fee: parseFloat(amount) * FEES.TRADING_FEE_DECIMAL,
-            tax: 0,
+        const program = getReadProgram();
+        const payer = wallet.publicKey || pool.creator;
+
+        if (mode === BUY_MODES.EXACT_OUT) {
+          const tokensOutRaw = decimalStringToBN(amount, TOKEN_STANDARDS.TOKEN_DECIMALS);
+          const stableInRaw = await quoteSwapOnChain(connection, program, pool, {
+            side: 'buy',
+            exactOut: true,
+            amount: tokensOutRaw,
+            payer,
+          });
+
+          applyQuote({
+            tokensOut: parseFloat(amount),
+            tokensOutRaw,
+            stableIn: bnToNumber(stableInRaw, pool.stableDecimals),
+            stableInRaw,
+            verified: true,
+          });
+          return;
+        }
+
+        const stableInRaw = decimalStringToBN(amount, pool.stableDecimals);
+        // Migrated pools are quoted from the Raydium vaults, the rest from the curve
+        const clientQuote = isRaydium
+          ? (raydiumReserves && calculateRaydiumBuyOutput(poolData, raydiumReserves, stableInRaw, config, pool.stableDecimals))
+          : calculateBuyOutput(poolData, stableInRaw, config, pool.stableDecimals);
+
+        let onChainOut = null;
+        try {
+          onChainOut = await quoteSwapOnChain(connection, program, pool, {
+            side: 'buy',
+            exactOut: false,
+            amount: stableInRaw,
+            payer,
+          });
+        } catch (viewError) {
+          console.error('On-chain quote failed:', viewError);
+        }
+
+        if (!clientQuote && !onChainOut) {
+          applyQuote({
+            tokensOut: 0,
+            tokensOutRaw: null,
+            stableIn: parseFloat(amount),
+            stableInRaw,
+            priceImpact: 0,
+            fee: parseFloat(amount) * getTradingFeeBps(config) / TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS,
             message: 'Final amount calculated on confirmation'
           });
-        } else {
-          // Bonding curve calculation
-          const result = calculateBuyOutput(
-            poolData, 
-            parseFloat(amount), 
-            
-          );
-          setEstimatedTokens(result);
+          return;
         }
+
+        // Flag estimates that drift from what the program would actually do
+        const mismatch = !!(clientQuote && onChainOut && !onChainOut.isZero() &&
+          clientQuote.tokensOutRaw.sub(onChainOut).abs()
+            .muln(TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS)
+            .div(onChainOut)
+            .gtn(QUOTE_MISMATCH_BPS));
+
+        const tokensOutRaw = onChainOut || clientQuote.tokensOutRaw;
+        applyQuote({
+          ...clientQuote,
+          tokensOut: bnToNumber(tokensOutRaw, TOKEN_STANDARDS.TOKEN_DECIMALS),
+          tokensOutRaw,
+          stableIn: parseFloat(amount),
+          stableInRaw,
+          verified: !!onChainOut && !mismatch,
+          mismatch,
+          clientTokensOut: clientQuote?.tokensOut,
+        });
       } catch (err) {
         console.error('Error calculating estimate:', err);
-        setEstimatedTokens(null);
+        applyQuote({ error: 'Unable to quote this amount. The pool may not have enough tokens left.' });
       } finally {
-        setCalculating(false);
+        if (!stale) setCalculating(false);
       }
     };
 
     const debounceTimer = setTimeout(calculateEstimate, UI_CONSTANTS.DEBOUNCE_DELAY);
-    return () => clearTimeout(debounceTimer);
-  }, [amount, poolData, config, isRaydium]);
+    return () => {
+      stale = true;
+      clearTimeout(debounceTimer);
+    };
+  }, [amount, mode, poolData, config, raydiumReserves, isRaydium, pool.stableDecimals, getReadProgram]);
+
+  const handleModeChange = (nextMode) => {
+    setMode(nextMode);
+    setAmount('');
+    setEstimatedTokens(null);
+  };
+
+  // Drop the old quote right away; the new one lands after the debounce
+  const handleAmountChange = (value) => {
+    setAmount(value);
+    setEstimatedTokens(null);
+    setCalculating(parseFloat(value) > 0);
+  };
 
   // Handle buy
   const handleBuy = async () => {
     if (!wallet.publicKey || !wallet.signTransaction) {
       toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      setWalletModalVisible(true);
       return;
     }
 
@@ -157,13 +276,20 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
       return;
     }
 
+    // Exact-output buys spend whatever the on-chain view said the tokens cost
+    if (!estimatedTokens?.stableInRaw || calculating ||
+        estimatedTokens.amount !== amount || estimatedTokens.mode !== mode) {
+      toast.error('Wait for the quote to finish');
+      return;
+    }
+
     try {
       setLoading(true);
 
       const program = getProgram();
       if (!program) throw new Error('Failed to initialize program');
 
-      const stableAmountIn = numberToBN(parseFloat(amount), TOKEN_STANDARDS.USDC_DECIMALS);
+      const stableAmountIn = estimatedTokens.stableInRaw;
 
       // Derive PDAs
       const { pool: poolPda, poolAuthority: poolAuthorityPda } = await derivePoolPDAs(pool.projectMint);
@@ -171,7 +297,7 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
       const { poolProjectAta, poolStableAta } = await getPoolTokenAccounts(
         pool.projectMint,
         poolAuthorityPda,
-        USDC_DEVNET
+        pool.stableMint
       );
 
       const [configPda] = PublicKey.findProgramAddressSync([CONFIG_SEED], PROGRAM_ID);
@@ -182,8 +308,8 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
       const hasLimits = hasWalletLimits(poolAccount);
 
       // Get token accounts
-      const senderStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
-      const feeReceiverStableAta = await getAssociatedTokenAddress(USDC_DEVNET, configAccount.feeReceiver);
+      const senderStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
+      const feeReceiverStableAta = await getAssociatedTokenAddress(pool.stableMint, configAccount.feeReceiver);
       const taxReceiverAta = await getAssociatedTokenAddress(pool.projectMint, poolAccount.params.taxReceiver);
 
       let recipientProjectAta = null;
@@ -196,7 +322,7 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
 
       // Add ATA creation instructions
       await builder.addMultipleATAs([
-        { ata: senderStableAta, owner: wallet.publicKey, mint: USDC_DEVNET },
+        { ata: senderStableAta, owner: wallet.publicKey, mint: pool.stableMint },
         ...(recipientProjectAta ? [{ ata: recipientProjectAta, owner: wallet.publicKey, mint: pool.projectMint }] : []),
         { ata: taxReceiverAta, owner: poolAccount.params.taxReceiver, mint: pool.projectMint }
       ]);
@@ -206,7 +332,7 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
         configAcc: configPda,
         poolAcc: pool.address,
         projectMint: pool.projectMint,
-        stableMint: USDC_DEVNET,
+        stableMint: pool.stableMint,
         sender: wallet.publicKey,
         senderStableAta: senderStableAta,
         recipient: wallet.publicKey,
@@ -271,6 +397,34 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
 
       builder.addInstruction(buyIx);
 
+      // Simulate first and refuse to sign if the fill is worse than the quote allows.
+      // Without any quote only the simulation result is checked.
+      const minimumOut = estimatedTokens.tokensOutRaw
+        ? applySlippage(estimatedTokens.tokensOutRaw, slippage)
+        : null;
+      const outputLocked = hasLimits && !isRaydium;
+
+      const guard = await simulateOutputGuard(connection, wallet.publicKey, builder.instructions, {
+        account: outputLocked ? lockedTokensPda : recipientProjectAta,
+        readAmount: outputLocked
+          ? (data) => (data?.length ? program.coder.accounts.decode('lockedTokens', data).amount : new BN(0))
+          : readTokenAccountAmount,
+        minimumOut,
+      });
+
+      if (guard.err) {
+        throw new Error((guard.logs || []).join('\n') || JSON.stringify(guard.err));
+      }
+
+      if (!guard.passed) {
+        const decimals = TOKEN_STANDARDS.TOKEN_DECIMALS;
+        toast.error(
+          `${ERROR_MESSAGES.SLIPPAGE_EXCEEDED} Expected at least ${formatTokenAmount(bnToNumber(minimumOut, decimals), pool.tokenSymbol)}, ` +
+          `simulation gave ${formatTokenAmount(bnToNumber(guard.received, decimals), pool.tokenSymbol)}.`
+        );
+        return;
+      }
+
       // Send transaction
       const txSig = await builder.buildAndSend();
 
@@ -290,7 +444,7 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
     }
   };
 
-  const currentPrice = poolData ? calculateCurrentPrice(poolData) : 0;
+  const currentPrice = poolData ? calculateCurrentPrice(poolData, pool.stableDecimals) : 0;
 
   return (
     <ModalBase
@@ -319,14 +473,34 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
           )}
         </div>
 
+        {/* Input Mode */}
+        <div className="flex bg-gray-700 rounded-lg p-1">
+          {[
+            { value: BUY_MODES.EXACT_IN, label: `Spend ${pool.stableSymbol}` },
+            { value: BUY_MODES.EXACT_OUT, label: `Receive ${pool.tokenSymbol}` },
+          ].map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => handleModeChange(option.value)}
+              disabled={loading}
+              className={`flex-1 px-3 py-1 text-sm font-medium rounded transition-colors ${
+                mode === option.value ? 'bg-purple-600 text-white' : 'text-gray-300 hover:text-white'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
         {/* Amount Input */}
-        <ModalSection title="Amount (USDC)">
+        <ModalSection title={mode === BUY_MODES.EXACT_OUT ? `Tokens to receive (${pool.tokenSymbol})` : `Amount (${pool.stableSymbol})`}>
           <input
             type="number"
             value={amount}
-            onChange={(e) => setAmount(e.target.value)}
+            onChange={(e) => handleAmountChange(e.target.value)}
             placeholder="0.00"
-            step="0.01"
+            step={mode === BUY_MODES.EXACT_OUT ? '1' : '0.01'}
             min="0"
             className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
             disabled={loading}
@@ -334,20 +508,55 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
         </ModalSection>
 
         {/* Estimated Output */}
-        {estimatedTokens && (
+        {estimatedTokens?.error ? (
+          <ModalInfoBox variant="error">{estimatedTokens.error}</ModalInfoBox>
+        ) : estimatedTokens && (
           <div className="bg-gray-700 rounded p-3 space-y-2">
-            <div className="flex justify-between items-center">
-              <span className="text-gray-400 text-sm">You will receive:</span>
-              <span className="text-lg font-semibold">
-                {calculating ? (
-                  <span className="text-gray-500">Calculating...</span>
-                ) : estimatedTokens.message ? (
-                  <span className="text-sm text-gray-400">{estimatedTokens.message}</span>
-                ) : (
-                  <>~{formatTokenAmount(estimatedTokens.tokensOut, pool.tokenSymbol)}</>
-                )}
-              </span>
-            </div>
+            {mode === BUY_MODES.EXACT_OUT ? (
+              <div className="flex justify-between items-center">
+                <span className="text-gray-400 text-sm">You will pay:</span>
+                <span className="text-lg font-semibold">
+                  {calculating ? (
+                    <span className="text-gray-500">Calculating...</span>
+                  ) : (
+                    <>~{formatUSD(estimatedTokens.stableIn)}</>
+                  )}
+                </span>
+              </div>
+            ) : (
+              <div className="flex justify-between items-center">
+                <span className="text-gray-400 text-sm">You will receive:</span>
+                <span className="text-lg font-semibold">
+                  {calculating ? (
+                    <span className="text-gray-500">Calculating...</span>
+                  ) : estimatedTokens.message ? (
+                    <span className="text-sm text-gray-400">{estimatedTokens.message}</span>
+                  ) : (
+                    <>~{formatTokenAmount(estimatedTokens.tokensOut, pool.tokenSymbol)}</>
+                  )}
+                </span>
+              </div>
+            )}
+            {!estimatedTokens.message && !calculating && (
+              <div className="flex justify-between text-xs text-gray-400">
+                <span>Minimum received:</span>
+                <span>
+                  {formatTokenAmount(
+                    estimatedTokens.tokensOut * (1 - slippage / TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS),
+                    pool.tokenSymbol
+                  )}
+                </span>
+              </div>
+            )}
+            {!calculating && estimatedTokens.verified && (
+              <div className="text-xs text-green-400">Quote verified on-chain</div>
+            )}
+            {!calculating && estimatedTokens.mismatch && (
+              <div className="text-xs text-yellow-400">
+                Local estimate ({formatTokenAmount(estimatedTokens.clientTokensOut, pool.tokenSymbol)}) differs
+                from the on-chain quote; the on-chain quote is used.
+              </div>
+            )}
             {estimatedTokens.priceImpact > 1 && (
               <div className="text-xs text-yellow-400">
                 Price Impact: {formatPercentage(estimatedTokens.priceImpact)}
@@ -356,6 +565,8 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
           </div>
         )}
 
+        <SlippageSettings value={slippage} onChange={handleSlippageChange} disabled={loading} />
+
         {/* Wallet Limits Warning */}
         {poolData && hasWalletLimits(poolData) && !isRaydium && (
           <ModalInfoBox variant="warning">
@@ -378,7 +589,7 @@ export function BuyTokenModal({ pool, isOpen, onClose, onSuccess }) {
           <ModalButton
             variant="primary"
             onClick={handleBuy}
-            disabled={!amount || parseFloat(amount) <= 0}
+            disabled={!amount || parseFloat(amount) <= 0 || calculating || !estimatedTokens?.stableInRaw}
             loading={loading}
           >
             {loading ? 'Buying...' : 'Buy Tokens'}
@@ -15,7 +15,7 @@ import {
   SUCCESS_MESSAGES,
   TOKEN_STANDARDS
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { 
   ModalBase, 
   ModalSection, 
@@ -140,7 +140,7 @@ export function ClaimLockedTokensModal({ pool, isOpen, onClose, onSuccess }) {
       const { lockedTokens: lockedTokensPda } = 
         await deriveUserPoolPDAs(pool.address, wallet.publicKey);
       const { poolProjectAta } = 
-        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda);
+        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, pool.stableMint);
 
       const claimerProjectAta = await getAssociatedTokenAddress(
         pool.projectMint, 
@@ -12,10 +12,9 @@ import {
 import { 
   PROGRAM_ID,
   ERROR_MESSAGES,
-  SUCCESS_MESSAGES,
-  TOKEN_STANDARDS
+  SUCCESS_MESSAGES
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { 
   ModalBase, 
   ModalSection, 
@@ -81,7 +80,7 @@ export function ClaimTokenModal({ pool, isOpen, onClose, onSuccess }) {
         try {
           bundlePoolData = await program.account.bundleBuyPool.fetch(bundlePoolPda);
           isExecuted = bundlePoolData.isExecuted;
-          totalDeposits = bnToNumber(bundlePoolData.totalDeposits, TOKEN_STANDARDS.USDC_DECIMALS);
+          totalDeposits = bnToNumber(bundlePoolData.totalDeposits, pool.stableDecimals);
         } catch (e) {
           // Bundle pool doesn't exist
           setClaimInfo({ error: 'No bundle pool found for this token' });
@@ -97,7 +96,7 @@ export function ClaimTokenModal({ pool, isOpen, onClose, onSuccess }) {
         let userDeposit = 0;
         try {
           const depositData = await program.account.bundleDeposit.fetch(bundleDepositPda);
-          userDeposit = bnToNumber(depositData.amount, TOKEN_STANDARDS.USDC_DECIMALS);
+          userDeposit = bnToNumber(depositData.amount, pool.stableDecimals);
         } catch (e) {
           setClaimInfo({ error: 'You have no bundle deposit to claim' });
           return;
@@ -112,7 +111,8 @@ export function ClaimTokenModal({ pool, isOpen, onClose, onSuccess }) {
         const { poolAuthority: poolAuthorityPda } = await derivePoolPDAs(pool.projectMint);
         const { poolProjectAta } = await getPoolTokenAccounts(
           pool.projectMint,
-          poolAuthorityPda
+          poolAuthorityPda,
+          pool.stableMint
         );
 
         let poolTokenBalance = 0;
@@ -172,7 +172,7 @@ export function ClaimTokenModal({ pool, isOpen, onClose, onSuccess }) {
       const { bundleDeposit: depositRecPda } = 
         await deriveUserPoolPDAs(pool.address, wallet.publicKey);
       const { poolProjectAta } = 
-        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda);
+        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, pool.stableMint);
 
       const claimerProjectAta = await getAssociatedTokenAddress(
         pool.projectMint, 
@@ -16,7 +16,6 @@ import {
 import { 
   PROGRAM_ID, 
   CONFIG_SEED,
-  USDC_DEVNET,
   RAYDIUM_CPMM_PROGRAM,
   RAYDIUM_AUTHORITY,
   RAYDIUM_FEE_TIERS,
@@ -28,7 +27,7 @@ import {
   EXTERNAL_LINKS,
   RAYDIUM_PROTOCOL_FEE_OWNER
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { 
   ModalBase, 
   ModalSection, 
@@ -97,7 +96,7 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
         const { poolProjectAta, poolStableAta } = await getPoolTokenAccounts(
           pool.projectMint,
           poolAuthorityPda,
-          USDC_DEVNET
+          pool.stableMint
         );
 
         let projectBalance = 0;
@@ -194,11 +193,11 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
       const { poolProjectAta, poolStableAta } = await getPoolTokenAccounts(
         pool.projectMint,
         poolAuthorityPda,
-        USDC_DEVNET
+        pool.stableMint
       );
 
       // Token ordering
-      const tokenOrder = getTokenOrder(pool.projectMint, USDC_DEVNET);
+      const tokenOrder = getTokenOrder(pool.projectMint, pool.stableMint);
       const { token0, token1, isFirstToken0 } = tokenOrder;
 
       console.log('Token ordering:', {
@@ -209,11 +208,14 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
 
       // Get AMM config and derive Raydium PDAs
       const ammConfig = RAYDIUM_FEE_TIERS[0];
+      if (!ammConfig || !RAYDIUM_PROTOCOL_FEE_OWNER) {
+        throw new Error('Raydium AMM config is not set for this network');
+      }
       const raydiumPDAs = await deriveRaydiumPDAs(ammConfig, token0, token1);
 
       // Get creator's token accounts
       const creatorProjectAta = await getAssociatedTokenAddress(pool.projectMint, wallet.publicKey);
-      const creatorStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
+      const creatorStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
       const creatorLpToken = await getAssociatedTokenAddress(raydiumPDAs.lpMint, wallet.publicKey, true);
 
       // Determine creator's token accounts based on ordering
@@ -225,9 +227,9 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
 
       // Create all necessary ATAs
       await builder.addMultipleATAs([
-        { ata: CREATOR_POOL_FEE_ATA, owner: RAYDIUM_PROTOCOL_FEE_OWNER, mint: USDC_DEVNET },
+        { ata: CREATOR_POOL_FEE_ATA, owner: RAYDIUM_PROTOCOL_FEE_OWNER, mint: pool.stableMint },
         { ata: creatorProjectAta, owner: wallet.publicKey, mint: pool.projectMint },
-        { ata: creatorStableAta, owner: wallet.publicKey, mint: USDC_DEVNET }
+        { ata: creatorStableAta, owner: wallet.publicKey, mint: pool.stableMint }
       ]);
 
       // Create Raydium pool instruction
@@ -242,7 +244,7 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
           bundlePool: bundlePoolPda,
           creator: wallet.publicKey,
           mintAccount: pool.projectMint,
-          stableMint: USDC_DEVNET,
+          stableMint: pool.stableMint,
           raydiumProgram: RAYDIUM_CPMM_PROGRAM,
           raydiumAmmConfig: ammConfig,
           raydiumAuthority: RAYDIUM_AUTHORITY,
@@ -305,7 +307,7 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
             <h3 className="text-xl font-semibold text-green-400 mb-2">Pool Created!</h3>
             <p className="text-gray-400 mb-4">Your token is now trading on Raydium!</p>
             <button
-              onClick={() => window.open(`${EXTERNAL_LINKS.RAYDIUM_SWAP}?inputMint=${pool.projectMint.toString()}&outputMint=${USDC_DEVNET.toString()}`, '_blank')}
+              onClick={() => window.open(`${EXTERNAL_LINKS.RAYDIUM_SWAP}?inputMint=${pool.projectMint.toString()}&outputMint=${pool.stableMint.toString()}`, '_blank')}
               className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
             >
               View on Raydium
@@ -343,7 +345,7 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
                         <span className="font-semibold">{formatTokenAmount(poolInfo.availableProjectBalance, pool.tokenSymbol)}</span>
                       </div>
                       <div className="flex justify-between">
-                        <span className="text-gray-400">USDC Amount:</span>
+                        <span className="text-gray-400">{pool.stableSymbol} Amount:</span>
                         <span className="font-semibold">{formatUSD(poolInfo.stableBalance)}</span>
                       </div>
                     </div>
@@ -356,7 +358,7 @@ export function CreateRaydiumPoolModal({ pool, isOpen, onClose, onSuccess }) {
                       <span>{formatTokenAmount(poolInfo.projectBalance, pool.tokenSymbol)}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">USDC Amount:</span>
+                      <span className="text-gray-400">{pool.stableSymbol} Amount:</span>
                       <span>{formatUSD(poolInfo.stableBalance)}</span>
                     </div>
                   </>
@@ -12,14 +12,13 @@ import {
 import { 
   PROGRAM_ID,
   CONFIG_SEED,
-  USDC_DEVNET,
   RAYDIUM_AUTHORITY,
   RAYDIUM_CPMM_PROGRAM,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   TOKEN_STANDARDS
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { 
   ModalBase, 
   ModalSection, 
@@ -108,7 +107,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
             return;
           }
 
-          const totalDeposits = bnToNumber(bundlePoolData.totalDeposits, TOKEN_STANDARDS.USDC_DECIMALS);
+          const totalDeposits = bnToNumber(bundlePoolData.totalDeposits, pool.stableDecimals);
           const bundleFee = config.bundleFee.toNumber() / TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS;
           const feeAmount = totalDeposits * bundleFee;
           const swapAmount = totalDeposits - feeAmount;
@@ -132,8 +131,8 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
           onClose();
         }
 
-        // Check executor's USDC balance
-        const executorStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
+        // Check executor's stable coin balance
+        const executorStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
         try {
           const balance = await connection.getTokenAccountBalance(executorStableAta);
           setExecutorBalance(parseFloat(balance.value.uiAmount || '0'));
@@ -166,7 +165,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
     // }
 
     if (executorBalance < bundleInfo.swapAmount) {
-      toast.error(`Insufficient USDC balance. You need ${formatUSD(bundleInfo.swapAmount)} but have ${formatUSD(executorBalance)}`);
+      toast.error(`Insufficient ${pool.stableSymbol} balance. You need ${formatUSD(bundleInfo.swapAmount)} but have ${formatUSD(executorBalance)}`);
       return;
     }
 
@@ -191,7 +190,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
       const { poolProjectAta, poolStableAta } = await getPoolTokenAccounts(
         pool.projectMint,
         poolAuthorityPda,
-        USDC_DEVNET
+        pool.stableMint
       );
 
       // Get observation state PDA
@@ -202,7 +201,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
 
       // Get executor's token accounts
       const executorStableAta = await getAssociatedTokenAddress(
-        USDC_DEVNET,
+        pool.stableMint,
         wallet.publicKey
       );
       const executorProjectAta = await getAssociatedTokenAddress(
@@ -212,7 +211,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
 
       // Get fee receiver ATA
       const feeReceiverStableAta = await getAssociatedTokenAddress(
-        USDC_DEVNET,
+        pool.stableMint,
         configData.feeReceiver
       );
 
@@ -222,7 +221,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
       // Add ATA creation if needed
       await builder.addMultipleATAs([
         { ata: executorProjectAta, owner: wallet.publicKey, mint: pool.projectMint },
-        { ata: feeReceiverStableAta, owner: configData.feeReceiver, mint: USDC_DEVNET }
+        { ata: feeReceiverStableAta, owner: configData.feeReceiver, mint: pool.stableMint }
       ]);
 
       // Create execute bundle buy instruction
@@ -248,7 +247,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
           raydiumToken1Vault: new PublicKey(pool.raydiumToken1Vault),
           raydiumObservationState: observationState,
           projectMint: pool.projectMint,
-          stableMint: USDC_DEVNET,
+          stableMint: pool.stableMint,
           tokenProgram: TOKEN_PROGRAM_ID,
           associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
           systemProgram: SystemProgram.programId,
@@ -296,7 +295,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
                 <div>
                   <p className="font-semibold mb-1">Executor-Fronted Swap Model</p>
                   <p className="text-sm">
-                    You will use your own USDC to perform the swap on Raydium. The pool will reimburse you 
+                    You will use your own {pool.stableSymbol} to perform the swap on Raydium. The pool will reimburse you 
                     and provide a 0.2% bonus as incentive for execution.
                   </p>
                 </div>
@@ -304,7 +303,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
             </ModalInfoBox>
 
             {/* Executor Balance Check */}
-            <ModalSection title="Your USDC Balance">
+            <ModalSection title={`Your ${pool.stableSymbol} Balance`}>
               <div className={`rounded p-4 ${hasEnoughBalance ? 'bg-green-900/20 border border-green-600/50' : 'bg-red-900/20 border border-red-600/50'}`}>
                 <div className="flex justify-between items-center mb-2">
                   <span className="text-gray-400">Current Balance:</span>
@@ -318,7 +317,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
                 </div>
                 {!hasEnoughBalance && (
                   <p className="text-red-400 text-sm mt-2">
-                    ⚠️ Insufficient balance. You need {formatUSD(bundleInfo.swapAmount - executorBalance)} more USDC.
+                    ⚠️ Insufficient balance. You need {formatUSD(bundleInfo.swapAmount - executorBalance)} more {pool.stableSymbol}.
                   </p>
                 )}
               </div>
@@ -402,7 +401,7 @@ export function ExecuteBundleBuyModal({ pool, isOpen, onClose, onSuccess }) {
                 <AlertTriangle size={48} className="mx-auto mb-4 text-red-400" />
                 <h3 className="text-lg font-semibold mb-2">Final Confirmation</h3>
                 <p className="text-sm mb-4">
-                  You are about to swap <span className="font-bold">{formatUSD(bundleInfo.swapAmount)}</span>  USDC on Raydium for all bundle participants.
+                  You are about to swap <span className="font-bold">{formatUSD(bundleInfo.swapAmount)}</span> {pool.stableSymbol} on Raydium for all bundle participants.
                 </p>
               </div>
             </ModalInfoBox>
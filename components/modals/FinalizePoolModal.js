@@ -12,13 +12,12 @@ import {
 import { 
   PROGRAM_ID, 
   CONFIG_SEED,
-  USDC_DEVNET,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   TOKEN_STANDARDS,
   FEES
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { 
   ModalBase, 
   ModalSection, 
@@ -96,7 +95,7 @@ export function FinalizePoolModal({ pool, isOpen, onClose, onSuccess }) {
         const { poolProjectAta, poolStableAta } = await getPoolTokenAccounts(
           pool.projectMint,
           poolAuthorityPda,
-          USDC_DEVNET
+          pool.stableMint
         );
 
         let projectBalance = 0;
@@ -190,14 +189,14 @@ export function FinalizePoolModal({ pool, isOpen, onClose, onSuccess }) {
       const { poolProjectAta, poolStableAta } = await getPoolTokenAccounts(
         pool.projectMint,
         poolAuthorityPda,
-        USDC_DEVNET
+        pool.stableMint
       );
 
       // Get all token accounts
       const creatorProjectAta = await getAssociatedTokenAddress(pool.projectMint, wallet.publicKey);
-      const creatorStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
+      const creatorStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
       const feeReceiverProjectAta = await getAssociatedTokenAddress(pool.projectMint, poolInfo.config.feeReceiver);
-      const feeReceiverStableAta = await getAssociatedTokenAddress(USDC_DEVNET, poolInfo.config.feeReceiver);
+      const feeReceiverStableAta = await getAssociatedTokenAddress(pool.stableMint, poolInfo.config.feeReceiver);
 
       // Build transaction
       const builder = createPoolTransactionBuilder(connection, wallet);
@@ -205,9 +204,9 @@ export function FinalizePoolModal({ pool, isOpen, onClose, onSuccess }) {
       // Add ATA creation instructions
       await builder.addMultipleATAs([
         { ata: creatorProjectAta, owner: wallet.publicKey, mint: pool.projectMint },
-        { ata: creatorStableAta, owner: wallet.publicKey, mint: USDC_DEVNET },
+        { ata: creatorStableAta, owner: wallet.publicKey, mint: pool.stableMint },
         { ata: feeReceiverProjectAta, owner: poolInfo.config.feeReceiver, mint: pool.projectMint },
-        { ata: feeReceiverStableAta, owner: poolInfo.config.feeReceiver, mint: USDC_DEVNET }
+        { ata: feeReceiverStableAta, owner: poolInfo.config.feeReceiver, mint: pool.stableMint }
       ]);
 
       // Check if bundle pool exists
@@ -230,7 +229,7 @@ export function FinalizePoolModal({ pool, isOpen, onClose, onSuccess }) {
           bundlePool: bundlePoolPda,
           creator: wallet.publicKey,
           mintAccount: pool.projectMint,
-          stableMint: USDC_DEVNET,
+          stableMint: pool.stableMint,
           creatorProjectAta: creatorProjectAta,
           creatorStableAta: creatorStableAta,
           feeReceiver: poolInfo.config.feeReceiver,
@@ -284,7 +283,7 @@ export function FinalizePoolModal({ pool, isOpen, onClose, onSuccess }) {
                     <span className="font-semibold">{formatTokenAmount(poolInfo.projectBalance, pool.tokenSymbol)}</span>
                   </div>
                   <div>
-                    <span className="text-gray-400 block">USDC Balance:</span>
+                    <span className="text-gray-400 block">{pool.stableSymbol} Balance:</span>
                     <span className="font-semibold">{formatUSD(poolInfo.stableBalance)}</span>
                   </div>
                 </div>
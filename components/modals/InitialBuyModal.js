@@ -12,12 +12,10 @@ import {
 import { 
   PROGRAM_ID,
   CONFIG_SEED,
-  USDC_DEVNET,
   ERROR_MESSAGES,
-  SUCCESS_MESSAGES,
-  TOKEN_STANDARDS
+  SUCCESS_MESSAGES
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import IDL from '@/lib/program/idl';
 import { 
   ModalBase, 
   ModalSection, 
@@ -70,7 +68,7 @@ export function InitialBuyModal({ pool, isOpen, onClose, onSuccess }) {
       
       const program = new Program(IDL, provider);
 
-      const stableAmountIn = numberToBN(parseFloat(amount), TOKEN_STANDARDS.USDC_DECIMALS);
+      const stableAmountIn = numberToBN(parseFloat(amount), pool.stableDecimals);
 
       // Derive PDAs
       const [configPda] = PublicKey.findProgramAddressSync(
@@ -83,14 +81,14 @@ export function InitialBuyModal({ pool, isOpen, onClose, onSuccess }) {
       const { lockedTokens: creatorLockedTokens } = 
         await deriveUserPoolPDAs(pool.address, wallet.publicKey);
       const { poolProjectAta, poolStableAta } = 
-        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, USDC_DEVNET);
+        await getPoolTokenAccounts(pool.projectMint, poolAuthorityPda, pool.stableMint);
 
       // Get pool data to check wallet limits
       const poolAccount = await program.account.pool.fetch(pool.address);
       const hasLimits = hasWalletLimits(poolAccount);
 
       // Get creator token accounts
-      const creatorStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
+      const creatorStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
       let creatorProjectAta = null;
       
       if (!hasLimits) {
@@ -170,7 +168,7 @@ export function InitialBuyModal({ pool, isOpen, onClose, onSuccess }) {
         <div className="bg-gray-700 rounded p-3 space-y-2 text-sm">
           <div className="flex justify-between">
             <span className="text-gray-400">Start Price:</span>
-            <span>{formatUSD((pool.params?.startPrice || 0) / 1e6)}</span>
+            <span>{formatUSD(pool.startPrice)}</span>
           </div>
           <div className="flex justify-between">
             <span className="text-gray-400">Buy Tax:</span>
@@ -179,7 +177,7 @@ export function InitialBuyModal({ pool, isOpen, onClose, onSuccess }) {
         </div>
 
         {/* Amount Input */}
-        <ModalSection title="Amount (USDC)">
+        <ModalSection title={`Amount (${pool.stableSymbol})`}>
           <input
             type="number"
             value={amount}
@@ -2,8 +2,9 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { useWalletModal } from '@solana/wallet-adapter-react-ui';
 import { PublicKey, SystemProgram } from '@solana/web3.js';
-import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
+import { BN } from '@coral-xyz/anchor';
 import { 
   TOKEN_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID,
@@ -12,7 +13,6 @@ import {
 import { 
   PROGRAM_ID, 
   CONFIG_SEED,
-  USDC_DEVNET,
   RAYDIUM_AUTHORITY,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
@@ -21,7 +21,7 @@ import {
   PERCENTAGE_PRESETS,
   RAYDIUM_CPMM_PROGRAM
 } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import { getReadOnlyProgram, getWalletProgram } from '@/lib/program/provider';
 import { 
   ModalBase, 
   ModalSection, 
@@ -30,21 +30,34 @@ import {
   ModalButton 
 } from '@/components/modals/shared/ModalBase';
 import { createTradingTransactionBuilder } from '@/components/modals/shared/TransactionBuilder';
+import { SlippageSettings } from '@/components/modals/shared/SlippageSettings';
+import { simulateOutputGuard } from '@/lib/program/transaction-helper';
 import { 
   derivePoolPDAs, 
   deriveUserPoolPDAs, 
   getPoolTokenAccounts,
-  hasWalletLimits 
+  hasWalletLimits,
+  fetchRaydiumReserves
 } from '@/lib/program/pool-helpers';
 import { 
-  calculateSellUsdcOut, 
-  calculateCurrentPrice,
-  numberToBN 
+  calculateRaydiumSellOutput,
+  bnToNumber,
+  bnToDecimalString,
+  decimalStringToBN
 } from '@/lib/utils/calculations';
+import { calculateSellOutput, calculateCurrentPrice } from '@/lib/utils/bondingCurve';
+import { calculateSellLimits } from '@/lib/utils/sellLimits';
+import {
+  getSlippageTolerance,
+  saveSlippageTolerance,
+  applySlippage,
+  readTokenAccountAmount
+} from '@/lib/utils/slippage';
 import { 
   formatTokenAmount, 
   formatUSD, 
-  formatPercentage 
+  formatPercentage,
+  formatTimeRemaining
 } from '@/lib/utils/formatters';
 import { handleTransactionError } from '@/lib/utils/errors';
 import toast from 'react-hot-toast';
@@ -53,43 +66,65 @@ import { AlertCircle } from 'lucide-react';
 export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
   const { connection } = useConnection();
   const wallet = useWallet();
+  const { setVisible: setWalletModalVisible } = useWalletModal();
   
   // State
   const [loading, setLoading] = useState(false);
   const [amount, setAmount] = useState('');
   const [estimatedUSDC, setEstimatedUSDC] = useState(null);
   const [calculating, setCalculating] = useState(false);
-  const [tokenBalance, setTokenBalance] = useState({ available: 0, locked: 0, total: 0 });
+  const [tokenBalance, setTokenBalance] = useState({ available: 0, locked: 0, total: 0, totalRaw: new BN(0) });
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
   const [loadingBalance, setLoadingBalance] = useState(true);
   const [poolData, setPoolData] = useState(null);
   const [config, setConfig] = useState(null);
+  const [raydiumReserves, setRaydiumReserves] = useState(null);
+  const [slippage, setSlippage] = useState(UI_CONSTANTS.DEFAULT_SLIPPAGE);
 
   const isRaydium = pool.isFinalized && pool.raydiumPoolState && pool.raydiumPoolState !== PublicKey.default.toString();
 
-  // Get program instance
-  const getProgram = useCallback(() => {
-    if (!wallet.publicKey) return null;
-    const provider = new AnchorProvider(
-      connection,
-      wallet,
-      { commitment: 'confirmed' }
-    );
-    setProvider(provider);
-    return new Program(IDL, provider);
-  }, [connection, wallet.publicKey]);
+  // Get program instance, null while signed out
+  const getProgram = useCallback(
+    () => getWalletProgram(connection, wallet),
+    [connection, wallet.publicKey]
+  );
+
+  // Fetches and quotes fall back to a read-only program while signed out
+  const getReadProgram = useCallback(
+    () => getProgram() ?? getReadOnlyProgram(connection),
+    [getProgram, connection]
+  );
+
+  // Load the saved slippage tolerance
+  useEffect(() => {
+    if (isOpen) setSlippage(getSlippageTolerance());
+  }, [isOpen]);
+
+  const handleSlippageChange = (bps) => {
+    setSlippage(bps);
+    saveSlippageTolerance(bps);
+  };
 
   // Fetch pool data and config
   useEffect(() => {
     const fetchData = async () => {
-      if (!wallet.publicKey || !isOpen) return;
+      if (!isOpen) return;
       
       try {
-        const program = getProgram();
-        if (!program) return;
+        const program = getReadProgram();
         
         // Fetch pool data
         const poolAccount = await program.account.pool.fetch(pool.address);
         setPoolData(poolAccount);
+
+        // Migrated pools are quoted from the Raydium vaults
+        try {
+          setRaydiumReserves(await fetchRaydiumReserves(connection, poolAccount));
+        } catch (reserveError) {
+          console.error('Error fetching Raydium reserves:', reserveError);
+          setRaydiumReserves(null);
+        }
         
         // Fetch config
         const [configPda] = PublicKey.findProgramAddressSync(
@@ -104,26 +139,32 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
     };
 
     fetchData();
-  }, [wallet.publicKey, isOpen, pool.address, getProgram]);
+  }, [isOpen, pool.address, getReadProgram]);
 
   // Fetch token balance
   useEffect(() => {
     const fetchBalance = async () => {
-      if (!wallet.publicKey || !isOpen || !poolData) return;
+      if (!isOpen || !poolData) return;
+      if (!wallet.publicKey) {
+        setTokenBalance({ available: 0, locked: 0, total: 0, totalRaw: new BN(0) });
+        setWalletBalance(null);
+        setLoadingBalance(false);
+        return;
+      }
       
       setLoadingBalance(true);
       try {
-        const program = getProgram();
-        if (!program) return;
+        const program = getReadProgram();
 
         let availableBalance = 0;
         let lockedBalance = 0;
+        let totalRaw = new BN(0);
 
         const hasLimits = hasWalletLimits(poolData);
 
         if (hasLimits && !isRaydium) {
           // Check for locked tokens
-          const { lockedTokens: lockedTokensPda } = await deriveUserPoolPDAs(
+          const { lockedTokens: lockedTokensPda, walletBalance: walletBalancePda } = await deriveUserPoolPDAs(
             pool.address, 
             wallet.publicKey
           );
@@ -131,15 +172,22 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
           try {
             const lockedTokens = await program.account.lockedTokens.fetch(lockedTokensPda);
             lockedBalance = lockedTokens.amount.toNumber() / Math.pow(10, TOKEN_STANDARDS.TOKEN_DECIMALS);
+            totalRaw = lockedTokens.amount;
           } catch (e) {
             // No locked tokens
           }
+
+          // Tracks how much of this window's allowance is used
+          setWalletBalance(await program.account.walletBalance.fetchNullable(walletBalancePda));
         } else {
+          setWalletBalance(null);
+
           // Check regular token balance
           const tokenAta = await getAssociatedTokenAddress(pool.projectMint, wallet.publicKey);
           try {
             const balance = await connection.getTokenAccountBalance(tokenAta);
             availableBalance = parseFloat(balance.value.uiAmount || '0');
+            totalRaw = new BN(balance.value.amount);
           } catch (e) {
             // No token account
           }
@@ -148,7 +196,8 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
         setTokenBalance({
           available: availableBalance,
           locked: lockedBalance,
-          total: availableBalance + lockedBalance
+          total: availableBalance + lockedBalance,
+          totalRaw
         });
 
       } catch (err) {
@@ -159,7 +208,7 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
     };
 
     fetchBalance();
-  }, [wallet.publicKey, pool, isOpen, poolData, connection, isRaydium, getProgram]);
+  }, [wallet.publicKey, pool, isOpen, poolData, connection, isRaydium, getReadProgram]);
 
   // Calculate estimated output
   useEffect(() => {
@@ -171,8 +220,8 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
 
       setCalculating(true);
       try {
-        if (isRaydium) {
-          // For Raydium, we can't calculate client-side accurately
+        if (isRaydium && !raydiumReserves) {
+          // Raydium pool not created yet or its vaults couldn't be read
           setEstimatedUSDC({ 
             usdcOut: 0, 
             priceImpact: 0, 
@@ -181,12 +230,11 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
             message: 'Final amount calculated on confirmation'
           });
         } else {
-          // Bonding curve calculation
-          const result = calculateSellUsdcOut(
-            poolData, 
-            parseFloat(amount), 
-            config
-          );
+          // Constant product against the Raydium vaults, or the bonding curve before migration
+          const tokenAmountIn = decimalStringToBN(amount, TOKEN_STANDARDS.TOKEN_DECIMALS);
+          const result = isRaydium
+            ? calculateRaydiumSellOutput(poolData, raydiumReserves, tokenAmountIn, config, pool.stableDecimals)
+            : calculateSellOutput(poolData, tokenAmountIn, config, pool.stableDecimals);
           setEstimatedUSDC(result);
         }
       } catch (err) {
@@ -199,22 +247,38 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
 
     const debounceTimer = setTimeout(calculateEstimate, UI_CONSTANTS.DEBOUNCE_DELAY);
     return () => clearTimeout(debounceTimer);
-  }, [amount, poolData, config, isRaydium]);
+  }, [amount, poolData, config, raydiumReserves, isRaydium]);
 
-  // Handle percentage buttons
+  // Sell limits only apply on the bonding curve
+  const sellLimits = poolData && !isRaydium && wallet.publicKey
+    ? calculateSellLimits(poolData, walletBalance, tokenBalance.totalRaw, now)
+    : null;
+  const hasSellLimits = !!(sellLimits && (sellLimits.wallet || sellLimits.global));
+
+  // Tick the reset countdown while a limit window is open
+  useEffect(() => {
+    if (!isOpen || !hasSellLimits) return;
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [isOpen, hasSellLimits]);
+
+  // Handle percentage buttons, never above what the limits allow right now
   const handlePercentageClick = (percentage) => {
-    const newAmount = (tokenBalance.total * percentage / 100).toFixed(4);
-    setAmount(newAmount);
+    let raw = tokenBalance.totalRaw.muln(percentage).divn(100);
+    if (sellLimits) raw = BN.min(raw, sellLimits.maxSellRaw);
+    setAmount(bnToDecimalString(raw, TOKEN_STANDARDS.TOKEN_DECIMALS));
   };
 
   // Handle sell
   const handleSell = async () => {
     if (!wallet.publicKey || !wallet.signTransaction) {
       toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      setWalletModalVisible(true);
       return;
     }
 
-    if (!amount || parseFloat(amount) <= 0) {
+    const projectAmountIn = decimalStringToBN(amount, TOKEN_STANDARDS.TOKEN_DECIMALS);
+    if (!projectAmountIn || projectAmountIn.isZero()) {
       toast.error(ERROR_MESSAGES.INVALID_AMOUNT);
       return;
     }
@@ -224,14 +288,21 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
       return;
     }
 
+    if (sellLimits?.limitedBy && projectAmountIn.gt(sellLimits.maxSellRaw)) {
+      toast.error(
+        sellLimits.limitedBy === 'global'
+          ? ERROR_MESSAGES.GLOBAL_LIMIT_EXCEEDED
+          : ERROR_MESSAGES.WALLET_LIMIT_EXCEEDED
+      );
+      return;
+    }
+
     try {
       setLoading(true);
 
       const program = getProgram();
       if (!program) throw new Error('Failed to initialize program');
 
-      const projectAmountIn = numberToBN(parseFloat(amount), TOKEN_STANDARDS.TOKEN_DECIMALS);
-
       // Derive PDAs
       const { pool: poolPda, poolAuthority: poolAuthorityPda } = await derivePoolPDAs(pool.projectMint);
       const { 
@@ -241,7 +312,7 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
       const { poolProjectAta, poolStableAta } = await getPoolTokenAccounts(
         pool.projectMint,
         poolAuthorityPda,
-        USDC_DEVNET
+        pool.stableMint
       );
 
       const [configPda] = PublicKey.findProgramAddressSync([CONFIG_SEED], PROGRAM_ID);
@@ -252,8 +323,8 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
       const hasLimits = hasWalletLimits(poolAccount);
 
       // Get token accounts
-      const recipientStableAta = await getAssociatedTokenAddress(USDC_DEVNET, wallet.publicKey);
-      const feeReceiverStableAta = await getAssociatedTokenAddress(USDC_DEVNET, configAccount.feeReceiver);
+      const recipientStableAta = await getAssociatedTokenAddress(pool.stableMint, wallet.publicKey);
+      const feeReceiverStableAta = await getAssociatedTokenAddress(pool.stableMint, configAccount.feeReceiver);
       const taxReceiverAta = await getAssociatedTokenAddress(pool.projectMint, poolAccount.params.taxReceiver);
 
       let senderProjectAta = null;
@@ -266,7 +337,7 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
 
       // Add ATA creation instructions
       await builder.addMultipleATAs([
-        { ata: recipientStableAta, owner: wallet.publicKey, mint: USDC_DEVNET },
+        { ata: recipientStableAta, owner: wallet.publicKey, mint: pool.stableMint },
         ...(!isRaydium ? [{ ata: taxReceiverAta, owner: poolAccount.params.taxReceiver, mint: pool.projectMint }] : [])
       ]);
 
@@ -275,7 +346,7 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
         configAcc: configPda,
         poolAcc: pool.address,
         projectMint: pool.projectMint,
-        stableMint: USDC_DEVNET,
+        stableMint: pool.stableMint,
         sender: wallet.publicKey,
         senderProjectAta: (hasLimits && !isRaydium) ? null : senderProjectAta,
         lockedTokens: (hasLimits && !isRaydium) ? lockedTokensPda : null,
@@ -337,6 +408,34 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
 
       builder.addInstruction(sellIx);
 
+      // Simulate first and refuse to sign if the fill is worse than the quote allows.
+      // Without a quote only the simulation result is checked.
+      let quoteRaw = null;
+      if (isRaydium && raydiumReserves) {
+        quoteRaw = calculateRaydiumSellOutput(poolData, raydiumReserves, projectAmountIn, config, pool.stableDecimals).usdcOutRaw;
+      } else if (!isRaydium && poolData && config) {
+        quoteRaw = calculateSellOutput(poolData, projectAmountIn, config, pool.stableDecimals).usdcOutRaw;
+      }
+      const minimumOut = quoteRaw ? applySlippage(quoteRaw, slippage) : null;
+
+      const guard = await simulateOutputGuard(connection, wallet.publicKey, builder.instructions, {
+        account: recipientStableAta,
+        readAmount: readTokenAccountAmount,
+        minimumOut,
+      });
+
+      if (guard.err) {
+        throw new Error((guard.logs || []).join('\n') || JSON.stringify(guard.err));
+      }
+
+      if (!guard.passed) {
+        toast.error(
+          `${ERROR_MESSAGES.SLIPPAGE_EXCEEDED} Expected at least ${formatUSD(bnToNumber(minimumOut, pool.stableDecimals))}, ` +
+          `simulation gave ${formatUSD(bnToNumber(guard.received, pool.stableDecimals))}.`
+        );
+        return;
+      }
+
       // Send transaction
       const txSig = await builder.buildAndSend();
 
@@ -356,7 +455,7 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
     }
   };
 
-  const currentPrice = poolData ? calculateCurrentPrice(poolData) : 0;
+  const currentPrice = poolData ? calculateCurrentPrice(poolData, pool.stableDecimals) : 0;
 
   return (
     <ModalBase
@@ -447,6 +546,14 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
                 )}
               </span>
             </div>
+            {!estimatedUSDC.message && !calculating && (
+              <div className="flex justify-between text-xs text-gray-400">
+                <span>Minimum received:</span>
+                <span>
+                  {formatUSD(estimatedUSDC.usdcOut * (1 - slippage / TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS))}
+                </span>
+              </div>
+            )}
             {estimatedUSDC.priceImpact > 1 && (
               <div className="text-xs text-yellow-400">
                 Price Impact: {formatPercentage(estimatedUSDC.priceImpact)}
@@ -455,12 +562,33 @@ export function SellTokenModal({ pool, isOpen, onClose, onSuccess }) {
           </div>
         )}
 
-        {/* Wallet Limits Warning */}
-        {poolData && hasWalletLimits(poolData) && !isRaydium && (
+        <SlippageSettings value={slippage} onChange={handleSlippageChange} disabled={loading} />
+
+        {/* Sell Limits */}
+        {hasSellLimits && !loadingBalance && (
           <ModalInfoBox variant="warning">
             <div className="flex items-start gap-2">
               <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
-              <span>This pool has wallet limits. You may be restricted in how much you can sell.</span>
+              <div className="flex-1 space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <span>Max sellable now:</span>
+                  <span className="font-semibold">
+                    {formatTokenAmount(bnToNumber(sellLimits.maxSellRaw, TOKEN_STANDARDS.TOKEN_DECIMALS), pool.tokenSymbol)}
+                  </span>
+                </div>
+                {sellLimits.wallet?.resetsIn > 0 && (
+                  <div className="flex justify-between text-xs">
+                    <span>Wallet limit resets in:</span>
+                    <span>{formatTimeRemaining(sellLimits.wallet.resetsIn)}</span>
+                  </div>
+                )}
+                {sellLimits.global?.resetsIn > 0 && (
+                  <div className="flex justify-between text-xs">
+                    <span>Global limit resets in:</span>
+                    <span>{formatTimeRemaining(sellLimits.global.resetsIn)}</span>
+                  </div>
+                )}
+              </div>
             </div>
           </ModalInfoBox>
         )}
@@ -0,0 +1,329 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
+import {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  VALIDATION,
+  METADATA_GATEWAYS
+} from '@/lib/constants';
+import IDL from '@/lib/program/idl';
+import {
+  ModalBase,
+  ModalSection,
+  ModalInfoBox,
+  ModalButtonGroup,
+  ModalButton
+} from '@/components/modals/shared/ModalBase';
+import { createPoolTransactionBuilder } from '@/components/modals/shared/TransactionBuilder';
+import {
+  fetchMetadataJson,
+  validateMetadataUri,
+  validateMetadataJson,
+  composeMetadataUri,
+  resolveMetadataUrl,
+  getMetadataLinks
+} from '@/lib/utils/metadata';
+import { handleTransactionError } from '@/lib/utils/errors';
+import toast from 'react-hot-toast';
+import { ExternalLink } from 'lucide-react';
+
+const INPUT_CLASS = 'w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500';
+
+/**
+ * Rendered metadata JSON: image, name, symbol, description and links
+ */
+function MetadataPreview({ metadata }) {
+  const links = getMetadataLinks(metadata);
+
+  return (
+    <div className="bg-gray-700 rounded p-3 flex gap-3">
+      {typeof metadata.image === 'string' && metadata.image ? (
+        <img
+          src={resolveMetadataUrl(metadata.image)}
+          alt={metadata.name || 'Token image'}
+          className="w-16 h-16 rounded-lg object-cover flex-shrink-0 bg-gray-800"
+        />
+      ) : (
+        <div className="w-16 h-16 rounded-lg bg-gray-800 flex-shrink-0" />
+      )}
+      <div className="min-w-0 text-sm space-y-1">
+        <p className="font-semibold">
+          {String(metadata.name ?? '-')} <span className="text-gray-400">({String(metadata.symbol ?? '-')})</span>
+        </p>
+        {typeof metadata.description === 'string' && metadata.description && (
+          <p className="text-gray-300 break-words">{metadata.description}</p>
+        )}
+        {links.length > 0 && (
+          <div className="flex flex-wrap gap-3">
+            {links.map((link) => (
+              <a
+                key={link.url}
+                href={link.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-1 text-purple-400 hover:text-purple-300"
+              >
+                {link.label}
+                <ExternalLink size={12} />
+              </a>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function UpdateMetadataUriModal({ pool, isOpen, onClose, onSuccess }) {
+  const { connection } = useConnection();
+  const wallet = useWallet();
+
+  // State
+  const [loading, setLoading] = useState(false);
+  const [current, setCurrent] = useState({ loading: true, metadata: null, error: null });
+  const [mode, setMode] = useState('paste');
+  const [pastedUri, setPastedUri] = useState('');
+  const [gateway, setGateway] = useState(METADATA_GATEWAYS[0].value);
+  const [contentId, setContentId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  const uri = mode === 'paste' ? pastedUri.trim() : composeMetadataUri(gateway, contentId);
+  const uriError = uri ? validateMetadataUri(uri) : null;
+  const unchanged = uri === pool.params.url;
+
+  // The preview only counts for the URL it was fetched from
+  const activePreview = preview?.uri === uri ? preview : null;
+  const canSubmit = !!uri && !uriError && !unchanged &&
+    !!activePreview?.metadata && activePreview.errors.length === 0;
+
+  // Load the metadata the pool points at today
+  useEffect(() => {
+    if (!pool.params.url) {
+      setCurrent({ loading: false, metadata: null, error: 'No metadata URL set' });
+      return;
+    }
+
+    let cancelled = false;
+    fetchMetadataJson(pool.params.url)
+      .then((metadata) => !cancelled && setCurrent({ loading: false, metadata, error: null }))
+      .catch((error) => !cancelled && setCurrent({ loading: false, metadata: null, error: error.message }));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pool.params.url]);
+
+  // Fetch and check the JSON behind the new URL
+  const handlePreview = async () => {
+    if (!uri || uriError) return;
+
+    try {
+      setPreviewing(true);
+      const metadata = await fetchMetadataJson(uri);
+      setPreview({ uri, metadata, ...validateMetadataJson(metadata, pool) });
+    } catch (error) {
+      setPreview({ uri, metadata: null, errors: [error.message], warnings: [] });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  // Handle metadata update
+  const handleUpdate = async () => {
+    if (!wallet.publicKey || !wallet.signTransaction) {
+      toast.error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+      return;
+    }
+
+    if (!pool.creator.equals(wallet.publicKey)) {
+      toast.error(ERROR_MESSAGES.UNAUTHORIZED);
+      return;
+    }
+
+    const error = validateMetadataUri(uri);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      const provider = new AnchorProvider(
+        connection,
+        wallet,
+        { commitment: 'confirmed' }
+      );
+      setProvider(provider);
+
+      const program = new Program(IDL, provider);
+
+      const builder = createPoolTransactionBuilder(connection, wallet);
+
+      const updateIx = await program.methods
+        .updateMetadataUri(uri)
+        .accounts({
+          poolAcc: pool.address,
+          projectMint: pool.projectMint,
+          creator: wallet.publicKey,
+        })
+        .instruction();
+
+      builder.addInstruction(updateIx);
+
+      const txSig = await builder.buildAndSend();
+
+      toast.success(SUCCESS_MESSAGES.METADATA_UPDATED);
+      console.log('Update metadata URI transaction:', txSig);
+
+      onSuccess();
+      onClose();
+    } catch (error) {
+      handleTransactionError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ModalBase
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Update Metadata"
+      maxWidth="max-w-xl"
+    >
+      <div className="space-y-4 max-h-[70vh] overflow-y-auto">
+        {/* Current Metadata */}
+        <ModalSection title="Current Metadata">
+          <p className="text-xs text-gray-400 break-all">{pool.params.url || '-'}</p>
+          {current.loading ? (
+            <p className="text-sm text-gray-400">Loading metadata...</p>
+          ) : current.metadata ? (
+            <MetadataPreview metadata={current.metadata} />
+          ) : (
+            <ModalInfoBox variant="warning">{current.error}</ModalInfoBox>
+          )}
+        </ModalSection>
+
+        {/* New URL */}
+        <ModalSection title="New Metadata URL">
+          <div className="flex gap-1">
+            {[
+              { value: 'paste', label: 'Paste URL' },
+              { value: 'compose', label: 'From content id' },
+            ].map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setMode(option.value)}
+                className={`px-3 py-1 text-xs rounded transition-colors ${
+                  mode === option.value
+                    ? 'bg-purple-600 text-white'
+                    : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                }`}
+                disabled={loading}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'paste' ? (
+            <input
+              type="url"
+              value={pastedUri}
+              onChange={(e) => setPastedUri(e.target.value)}
+              placeholder="https://..."
+              maxLength={VALIDATION.MAX_URL_LENGTH}
+              className={INPUT_CLASS}
+              disabled={loading}
+            />
+          ) : (
+            <div className="flex gap-2">
+              <select
+                value={gateway}
+                onChange={(e) => setGateway(e.target.value)}
+                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500"
+                disabled={loading}
+              >
+                {METADATA_GATEWAYS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={contentId}
+                onChange={(e) => setContentId(e.target.value)}
+                placeholder={gateway === 'ipfs' ? 'CID or CID/metadata.json' : 'Transaction id'}
+                className={INPUT_CLASS}
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          <div className="flex justify-between gap-4 text-xs">
+            <span className="text-gray-400 break-all">{mode === 'compose' && uri}</span>
+            <span className={uri.length > VALIDATION.MAX_URL_LENGTH ? 'text-red-400' : 'text-gray-400'}>
+              {uri.length}/{VALIDATION.MAX_URL_LENGTH}
+            </span>
+          </div>
+          {uriError && <p className="text-xs text-red-400">{uriError}</p>}
+          {unchanged && <p className="text-xs text-gray-400">This is the current URL</p>}
+
+          <button
+            onClick={handlePreview}
+            disabled={loading || previewing || !uri || !!uriError}
+            className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors disabled:opacity-50"
+          >
+            {previewing ? 'Fetching metadata...' : 'Preview'}
+          </button>
+        </ModalSection>
+
+        {/* Preview */}
+        {activePreview && (
+          <ModalSection title="Preview">
+            {activePreview.metadata && <MetadataPreview metadata={activePreview.metadata} />}
+            {activePreview.errors.length > 0 && (
+              <ModalInfoBox variant="error">
+                <ul className="list-disc list-inside space-y-1">
+                  {activePreview.errors.map((message) => <li key={message}>{message}</li>)}
+                </ul>
+              </ModalInfoBox>
+            )}
+            {activePreview.warnings.length > 0 && (
+              <ModalInfoBox variant="warning">
+                <ul className="list-disc list-inside space-y-1">
+                  {activePreview.warnings.map((message) => <li key={message}>{message}</li>)}
+                </ul>
+              </ModalInfoBox>
+            )}
+          </ModalSection>
+        )}
+
+        {/* Action Buttons */}
+        <ModalButtonGroup>
+          <ModalButton
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </ModalButton>
+          <ModalButton
+            variant="primary"
+            onClick={handleUpdate}
+            disabled={!canSubmit}
+            loading={loading}
+          >
+            {loading ? 'Processing...' : 'Update URL'}
+          </ModalButton>
+        </ModalButtonGroup>
+      </div>
+    </ModalBase>
+  );
+}
@@ -0,0 +1,74 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { SLIPPAGE_PRESETS, isValidSlippage } from '@/lib/utils/slippage';
+import { formatBasisPoints } from '@/lib/utils/formatters';
+import { UI_CONSTANTS } from '@/lib/constants';
+
+/**
+ * Slippage tolerance picker with presets and a custom percentage
+ * @param {number} value - Current tolerance in basis points
+ * @param {Function} onChange - Called with the new tolerance in basis points
+ */
+export function SlippageSettings({ value, onChange, disabled = false }) {
+  const isPreset = SLIPPAGE_PRESETS.includes(value);
+  const [custom, setCustom] = useState(isPreset ? '' : (value / 100).toString());
+
+  useEffect(() => {
+    if (SLIPPAGE_PRESETS.includes(value)) setCustom('');
+  }, [value]);
+
+  const handleCustomChange = (input) => {
+    setCustom(input);
+    const bps = Math.round(parseFloat(input) * 100);
+    if (isValidSlippage(bps)) {
+      onChange(bps);
+    }
+  };
+
+  const customInvalid = custom !== '' && !isValidSlippage(Math.round(parseFloat(custom) * 100));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-300 font-medium">Slippage Tolerance</span>
+        <span className="text-gray-400">{formatBasisPoints(value)}</span>
+      </div>
+      <div className="flex gap-2">
+        {SLIPPAGE_PRESETS.map((bps) => (
+          <button
+            key={bps}
+            type="button"
+            onClick={() => onChange(bps)}
+            disabled={disabled}
+            className={`flex-1 px-2 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+              value === bps && custom === ''
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+            }`}
+          >
+            {formatBasisPoints(bps)}
+          </button>
+        ))}
+        <input
+          type="number"
+          value={custom}
+          onChange={(e) => handleCustomChange(e.target.value)}
+          placeholder="Custom %"
+          step="0.1"
+          min="0"
+          max={UI_CONSTANTS.MAX_SLIPPAGE / 100}
+          disabled={disabled}
+          className={`w-24 px-2 py-1 bg-gray-700 border rounded text-sm text-white placeholder-gray-500 focus:outline-none ${
+            customInvalid ? 'border-red-500' : 'border-gray-600 focus:border-purple-500'
+          }`}
+        />
+      </div>
+      {customInvalid && (
+        <p className="text-xs text-red-400">
+          Enter a value between 0% and {formatBasisPoints(UI_CONSTANTS.MAX_SLIPPAGE)}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,357 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useWallet } from '@solana/wallet-adapter-react';
+import { useConnection } from '@solana/wallet-adapter-react';
+import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
+import { 
+  Users, 
+  Lock,
+  ExternalLink,
+  Gift,
+  Unlock,
+  PlayCircle
+} from 'lucide-react';
+import { BuyTokenModal } from '@/components/modals/BuyTokenModal';
+import { SellTokenModal } from '@/components/modals/SellTokenModal';
+import { InitialBuyModal } from '@/components/modals/InitialBuyModal';
+import { BundleModal } from '@/components/modals/BundleModal';
+import { FinalizePoolModal } from '@/components/modals/FinalizePoolModal';
+import { CreateRaydiumPoolModal } from '@/components/modals/CreateRaydiumPoolModal';
+import { ClaimTokenModal } from '@/components/modals/ClaimTokenModal';
+import { ClaimLockedTokensModal } from '@/components/modals/ClaimLockedTokensModal';
+import { ExecuteBundleBuyModal } from '@/components/modals/ExecuteBundleBuyModal';
+import { UpdateMetadataUriModal } from '@/components/modals/UpdateMetadataUriModal';
+import { 
+  canPerformInitialBuy, 
+  deriveUserPoolPDAs
+} from '@/lib/program/pool-helpers';
+import { EXTERNAL_LINKS } from '@/lib/constants';
+import IDL from '@/lib/program/idl';
+
+/**
+ * Feature badges, action buttons and trade modals for a pool
+ * Shared by PoolCard and the pool detail page.
+ */
+export function PoolActions({ pool, onUpdate }) {
+  const wallet = useWallet();
+  const { connection } = useConnection();
+  const [selectedModal, setSelectedModal] = useState(null);
+  
+  // User-specific state
+  const [userBundleDeposit, setUserBundleDeposit] = useState(false);
+  const [userLockedTokens, setUserLockedTokens] = useState(false);
+  const [loadingUserData, setLoadingUserData] = useState(false);
+
+  const isCreator = wallet.publicKey && pool.creator.equals(wallet.publicKey);
+  const canInitialBuy = !!wallet.publicKey && canPerformInitialBuy(pool.poolAccount || pool, wallet.publicKey);
+  const bundleExecuted = pool.bundlePool?.isExecuted || false;
+  const bundleExists = pool.bundlePool ? !pool.bundlePool.totalDeposits.isZero() : false;
+
+  // Fetch user-specific data
+  const fetchUserData = useCallback(async () => {
+    if (!wallet.publicKey || !wallet.connected) return;
+    
+    setLoadingUserData(true);
+    try {
+      const provider = new AnchorProvider(
+        connection,
+        wallet,
+        { commitment: 'confirmed' }
+      );
+      setProvider(provider);
+      
+      const program = new Program(IDL, provider);
+
+      // Check for bundle deposit
+      const { 
+        bundleDeposit: bundleDepositPda,
+        lockedTokens: lockedTokensPda
+      } = await deriveUserPoolPDAs(pool.address, wallet.publicKey);
+      
+      try {
+        const deposit = await program.account.bundleDeposit.fetch(bundleDepositPda);
+        setUserBundleDeposit(deposit.amount.toNumber() > 0);
+      } catch (e) {
+        setUserBundleDeposit(false);
+      }
+
+      // Check for locked tokens if pool has wallet limits
+      if (pool.hasWalletLimits) {
+        try {
+          const locked = await program.account.lockedTokens.fetch(lockedTokensPda);
+          setUserLockedTokens(locked.amount.toNumber() > 0);
+        } catch (e) {
+          setUserLockedTokens(false);
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching user data:', error);
+    } finally {
+      setLoadingUserData(false);
+    }
+  }, [wallet.publicKey?.toString(), wallet.connected, pool.address?.toString(), pool.hasWalletLimits, connection]);
+
+  useEffect(() => {
+    fetchUserData();
+  }, [fetchUserData]);
+
+  const handleModalClose = () => {
+    setSelectedModal(null);
+  };
+
+  const handleModalSuccess = () => {
+    setSelectedModal(null);
+    onUpdate();
+    fetchUserData();
+  };
+
+  return (
+    <>
+      {/* Features */}
+      <div className="flex gap-2 mb-4">
+        {pool.hasWalletLimits && (
+          <div className="flex items-center gap-1 bg-purple-900/30 border border-purple-600/50 rounded px-2 py-1 text-xs text-purple-400">
+            <Lock size={12} />
+            Wallet Limits
+          </div>
+        )}
+        {pool.params?.useRaydium && (
+          <div className="text-xs bg-blue-900/30 border border-blue-600/50 rounded px-2 py-1 text-blue-400">
+            Raydium Ready
+          </div>
+        )}
+        {userBundleDeposit && (
+          <div className="flex items-center gap-1 bg-yellow-900/30 border border-yellow-600/50 rounded px-2 py-1 text-xs text-yellow-400">
+            <Gift size={12} />
+            Bundle Deposit
+          </div>
+        )}
+        {userLockedTokens && (
+          <div className="flex items-center gap-1 bg-orange-900/30 border border-orange-600/50 rounded px-2 py-1 text-xs text-orange-400">
+            <Lock size={12} />
+            Has Locked Tokens
+          </div>
+        )}
+        {bundleExists && !bundleExecuted && (
+          <div className="flex items-center gap-1 bg-purple-900/30 border border-purple-600/50 rounded px-2 py-1 text-xs text-purple-400">
+            <Users size={12} />
+            Bundle Ready
+          </div>
+        )}
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex flex-wrap gap-2">
+        {/* Initial Buy - Creator only, when pool has no liquidity */}
+        {canInitialBuy && (
+          <button
+            onClick={() => setSelectedModal('initialBuy')}
+            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-700 text-white font-medium rounded-lg transition-colors"
+          >
+            Initial Buy
+          </button>
+        )}
+
+        {/* Buy button - always available unless finalized without Raydium */}
+        {(!pool.isFinalized || pool.isRaydiumInitialized) && (
+          <button
+            onClick={() => setSelectedModal('buy')}
+            className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white font-medium rounded-lg transition-colors"
+          >
+            Buy
+          </button>
+        )}
+
+        {/* Sell button - always available */}
+        <button
+          onClick={() => setSelectedModal('sell')}
+          className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white font-medium rounded-lg transition-colors"
+        >
+          Sell
+        </button>
+
+        {/* Bundle button - only during active phase */}
+        {!pool.isComplete && (
+          <button
+            onClick={() => setSelectedModal('bundle')}
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium rounded-lg transition-colors"
+          >
+            Bundle
+          </button>
+        )}
+
+        {/* Execute Bundle Buy - for authorized users */}
+        {pool.isComplete && pool.isFinalized && 
+         pool.isRaydiumInitialized && bundleExists && !bundleExecuted && (
+          <button
+            onClick={() => setSelectedModal('executeBundle')}
+            className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white font-medium rounded-lg transition-colors flex items-center gap-2 animate-pulse"
+            disabled={loadingUserData}
+          >
+            <PlayCircle size={16} />
+            Execute Bundle
+          </button>
+        )}
+
+        {/* Claim Bundle Tokens - for users with bundle deposits */}
+        {userBundleDeposit && pool.isComplete && bundleExecuted && (
+          <button
+            onClick={() => setSelectedModal('claimToken')}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-medium rounded-lg transition-colors flex items-center gap-2"
+            disabled={loadingUserData}
+          >
+            <Gift size={16} />
+            Claim Tokens
+          </button>
+        )}
+
+        {/* Claim Locked Tokens - for users with locked tokens */}
+        {userLockedTokens && pool.isComplete && (
+          <button
+            onClick={() => setSelectedModal('claimLocked')}
+            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-700 text-white font-medium rounded-lg transition-colors flex items-center gap-2"
+            disabled={loadingUserData}
+          >
+            <Unlock size={16} />
+            Claim Locked
+          </button>
+        )}
+
+        {/* Creator Actions */}
+        {isCreator && (
+          <div className="flex gap-2 ml-auto">
+            {pool.isComplete && !pool.isFinalized && (
+              <button
+                onClick={() => setSelectedModal('finalize')}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-medium rounded-lg transition-colors"
+              >
+                Finalize Pool
+              </button>
+            )}
+            
+            {pool.isFinalized && !pool.isRaydiumInitialized && pool.params?.useRaydium && (
+              <button
+                onClick={() => setSelectedModal('createRaydium')}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors animate-pulse"
+              >
+                Create Raydium Pool
+              </button>
+            )}
+
+            <button
+              onClick={() => setSelectedModal('metadata')}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition-colors"
+            >
+              Update Metadata
+            </button>
+          </div>
+        )}
+
+        {/* View on Raydium */}
+        {pool.isRaydiumInitialized && (
+          
+            <a href={`${EXTERNAL_LINKS.RAYDIUM_SWAP}?inputMint=${pool.projectMint.toString()}&outputMint=${pool.stableMint.toString()}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="ml-auto px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors flex items-center gap-2"
+          >
+            View on Raydium
+            <ExternalLink size={16} />
+          </a>
+        )}
+      </div>
+
+      {/* Modals */}
+      {selectedModal === 'buy' && (
+        <BuyTokenModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'sell' && (
+        <SellTokenModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'initialBuy' && (
+        <InitialBuyModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'bundle' && (
+        <BundleModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'finalize' && (
+        <FinalizePoolModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'createRaydium' && (
+        <CreateRaydiumPoolModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'executeBundle' && (
+        <ExecuteBundleBuyModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'claimToken' && (
+        <ClaimTokenModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'claimLocked' && (
+        <ClaimLockedTokensModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+
+      {selectedModal === 'metadata' && (
+        <UpdateMetadataUriModal
+          pool={pool}
+          isOpen={true}
+          onClose={handleModalClose}
+          onSuccess={handleModalSuccess}
+        />
+      )}
+    </>
+  );
+}
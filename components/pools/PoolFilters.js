@@ -0,0 +1,106 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Search, X } from 'lucide-react';
+import { POOL_PHASE_OPTIONS, POOL_SORT_OPTIONS, UI_CONSTANTS } from '@/lib/constants';
+import { POOL_FLAG_FILTERS, hasActivePoolFilters } from '@/lib/utils/poolFilters';
+
+/**
+ * Search box, phase and flag filters and sort order for the pool list
+ * The pools page owns the query and keeps it in the URL; only the search text is buffered here.
+ */
+export function PoolFilters({ query, onChange, walletConnected }) {
+  const [search, setSearch] = useState(query.search);
+
+  // Follow external changes such as back/forward navigation or clearing
+  useEffect(() => {
+    setSearch(query.search);
+  }, [query.search]);
+
+  // Debounce writes so typing doesn't push a URL update per keystroke
+  useEffect(() => {
+    if (search === query.search) return;
+    const timer = setTimeout(() => onChange({ ...query, search }), UI_CONSTANTS.DEBOUNCE_DELAY);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const update = (changes) => onChange({ ...query, search, ...changes });
+
+  const handleClear = () => {
+    setSearch('');
+    const cleared = { ...query, search: '', phase: '' };
+    for (const { key } of POOL_FLAG_FILTERS) {
+      cleared[key] = false;
+    }
+    onChange(cleared);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6 space-y-4">
+      <div className="flex flex-col md:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, symbol or mint"
+            className="w-full pl-9 pr-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 text-sm"
+          />
+        </div>
+
+        <select
+          value={query.phase}
+          onChange={(e) => update({ phase: e.target.value })}
+          className="px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500 text-sm"
+        >
+          <option value="">All phases</option>
+          {POOL_PHASE_OPTIONS.map((opt) => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+          ))}
+        </select>
+
+        <select
+          value={query.sort}
+          onChange={(e) => update({ sort: e.target.value })}
+          className="px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500 text-sm"
+        >
+          {POOL_SORT_OPTIONS.map((opt) => (
+            <option key={opt.value} value={opt.value}>Sort: {opt.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {POOL_FLAG_FILTERS.map(({ key, label, requiresWallet }) => {
+          const disabled = requiresWallet && !walletConnected;
+          return (
+            <button
+              key={key}
+              onClick={() => update({ [key]: !query[key] })}
+              disabled={disabled}
+              title={disabled ? 'Connect a wallet to use this filter' : undefined}
+              className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                query[key]
+                  ? 'bg-purple-600/30 border-purple-500 text-purple-300'
+                  : 'bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          );
+        })}
+
+        {hasActivePoolFilters(query) && (
+          <button
+            onClick={handleClear}
+            className="flex items-center gap-1 px-3 py-1 text-xs text-gray-400 hover:text-white transition-colors"
+          >
+            <X size={12} />
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+'use client';
+
+import { useState } from 'react';
+import { CANDLE_INTERVALS } from '@/lib/constants';
+import { buildPricePoints, buildCandles } from '@/lib/utils/candles';
+import { formatPrice, formatUSD } from '@/lib/utils/formatters';
+
+const WIDTH = 800;
+const HEIGHT = 320;
+const PADDING = { top: 16, right: 72, bottom: 24, left: 8 };
+const VOLUME_HEIGHT = 48;
+const MAX_CANDLES = 120;
+
+/**
+ * OHLC candle chart for a pool, built from the loaded trade history
+ * Start and end prices from the pool params are drawn as reference lines.
+ */
+export function PriceChart({ pool, trades, config, hasOlderTrades = false }) {
+  const [candleInterval, setCandleInterval] = useState(CANDLE_INTERVALS[1].value);
+  const [hovered, setHovered] = useState(null);
+
+  const { seconds } = CANDLE_INTERVALS.find((opt) => opt.value === candleInterval);
+  const points = buildPricePoints(pool.poolAccount, trades, config, pool.stableDecimals);
+  const candles = buildCandles(points, seconds).slice(-MAX_CANDLES);
+
+  const referenceLines = [
+    { label: 'Start', price: pool.startPrice, className: 'stroke-gray-500' },
+    { label: 'End', price: pool.endPrice, className: 'stroke-purple-500' },
+  ].filter((line) => line.price > 0);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const priceHeight = HEIGHT - PADDING.top - PADDING.bottom - VOLUME_HEIGHT;
+
+  const prices = [
+    ...candles.flatMap((c) => [c.high, c.low]),
+    ...referenceLines.map((line) => line.price),
+  ];
+  const maxPrice = Math.max(...prices);
+  const minPrice = Math.min(...prices);
+  const priceRange = maxPrice - minPrice || maxPrice || 1;
+  const maxVolume = Math.max(...candles.map((c) => c.volume), 0) || 1;
+
+  const slot = plotWidth / Math.max(candles.length, 1);
+  const bodyWidth = Math.max(Math.min(slot * 0.7, 12), 1);
+  const x = (i) => PADDING.left + slot * i + slot / 2;
+  const y = (price) => PADDING.top + (1 - (price - minPrice) / priceRange) * priceHeight;
+
+  const active = (hovered !== null && candles[hovered]) || candles[candles.length - 1];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 md:col-span-2">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold">Price</h2>
+        <div className="flex gap-1">
+          {CANDLE_INTERVALS.map((opt) => (
+            <button
+              key={opt.value}
+              onClick={() => setCandleInterval(opt.value)}
+              className={`px-3 py-1 text-xs rounded transition-colors ${
+                candleInterval === opt.value
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {candles.length === 0 ? (
+        <p className="text-sm text-gray-400">No priced trades loaded yet</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400 mb-2">
+            <span>{new Date(active.time * 1000).toLocaleString()}</span>
+            <span>O <span className="text-white">{formatPrice(active.open)}</span></span>
+            <span>H <span className="text-white">{formatPrice(active.high)}</span></span>
+            <span>L <span className="text-white">{formatPrice(active.low)}</span></span>
+            <span>C <span className="text-white">{formatPrice(active.close)}</span></span>
+            <span>Vol <span className="text-white">{formatUSD(active.volume)}</span></span>
+          </div>
+
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto"
+            onMouseLeave={() => setHovered(null)}
+          >
+            {referenceLines.map((line) => (
+              <g key={line.label}>
+                <line
+                  x1={PADDING.left}
+                  x2={WIDTH - PADDING.right}
+                  y1={y(line.price)}
+                  y2={y(line.price)}
+                  className={line.className}
+                  strokeDasharray="4 4"
+                />
+                <text
+                  x={WIDTH - PADDING.right + 4}
+                  y={y(line.price) + 4}
+                  className="fill-gray-400 text-[10px]"
+                >
+                  {line.label} {formatPrice(line.price)}
+                </text>
+              </g>
+            ))}
+
+            {candles.map((candle, i) => {
+              const rising = candle.close >= candle.open;
+              const color = rising ? 'fill-green-500 stroke-green-500' : 'fill-red-500 stroke-red-500';
+              const bodyTop = y(Math.max(candle.open, candle.close));
+              const bodyHeight = Math.max(Math.abs(y(candle.open) - y(candle.close)), 1);
+              const volumeHeight = (candle.volume / maxVolume) * (VOLUME_HEIGHT - 8);
+
+              return (
+                <g key={candle.time} className={color} opacity={hovered === null || hovered === i ? 1 : 0.6}>
+                  <line x1={x(i)} x2={x(i)} y1={y(candle.high)} y2={y(candle.low)} />
+                  <rect x={x(i) - bodyWidth / 2} y={bodyTop} width={bodyWidth} height={bodyHeight} />
+                  <rect
+                    x={x(i) - bodyWidth / 2}
+                    y={HEIGHT - PADDING.bottom - volumeHeight}
+                    width={bodyWidth}
+                    height={volumeHeight}
+                    opacity={0.4}
+                  />
+                  <rect
+                    x={PADDING.left + slot * i}
+                    y={PADDING.top}
+                    width={slot}
+                    height={HEIGHT - PADDING.top - PADDING.bottom}
+                    fill="transparent"
+                    stroke="none"
+                    onMouseEnter={() => setHovered(i)}
+                  />
+                </g>
+              );
+            })}
+
+            <text x={WIDTH - PADDING.right + 4} y={PADDING.top + 4} className="fill-gray-500 text-[10px]">
+              {formatPrice(maxPrice)}
+            </text>
+            <text x={WIDTH - PADDING.right + 4} y={PADDING.top + priceHeight} className="fill-gray-500 text-[10px]">
+              {formatPrice(minPrice)}
+            </text>
+          </svg>
+
+          {hasOlderTrades && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing loaded history only. Load older trades below to extend the chart.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useConnection } from '@solana/wallet-adapter-react';
+import { getReadOnlyProgram } from '@/lib/program/provider';
+import { fetchPoolTrades } from '@/lib/program/trade-history';
+import {
+  formatTokenAmount,
+  formatUSD,
+  formatPrice,
+  shortenAddress,
+  getExplorerLink
+} from '@/lib/utils/formatters';
+import { ExternalLink, RefreshCw } from 'lucide-react';
+
+const SIDE_STYLES = {
+  buy: { label: 'Buy', className: 'text-green-400' },
+  bundle: { label: 'Bundle Buy', className: 'text-blue-400' },
+  sell: { label: 'Sell', className: 'text-red-400' },
+  finalize: { label: 'Finalize', className: 'text-purple-400' },
+};
+
+/**
+ * Trade feed for one pool, rebuilt from its transaction history
+ * Loads the latest page on mount and pages back on request. onTradesChange
+ * receives everything loaded so far so the price chart can follow along.
+ */
+export function TradeHistory({ pool, onTradesChange }) {
+  const { connection } = useConnection();
+  const [trades, setTrades] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadLatest();
+  }, [connection, pool.address.toBase58()]);
+
+  useEffect(() => {
+    onTradesChange?.(trades, !!cursor);
+  }, [trades, cursor]);
+
+  const loadLatest = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const program = getReadOnlyProgram(connection);
+      const page = await fetchPoolTrades(connection, program, pool);
+      setTrades(page.trades);
+      setCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error fetching trades:', err);
+      setError('Unable to load trade history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOlder = async () => {
+    if (!cursor) return;
+
+    try {
+      setLoadingMore(true);
+      const program = getReadOnlyProgram(connection);
+      const page = await fetchPoolTrades(connection, program, pool, cursor);
+      // The pool and Raydium signature lists page independently, so merge by time
+      setTrades((current) => {
+        const seen = new Set(current.map((trade) => trade.id));
+        return [...current, ...page.trades.filter((trade) => !seen.has(trade.id))]
+          .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0));
+      });
+      setCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error fetching older trades:', err);
+      setError('Unable to load older trades');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 md:col-span-2">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold">Trade History</h2>
+        <button
+          onClick={loadLatest}
+          disabled={loading}
+          className="p-2 text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+          title="Refresh trades"
+        >
+          <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-400">Loading trades...</p>
+      ) : trades.length === 0 && !cursor ? (
+        <p className="text-sm text-gray-400">{error || 'No trades yet'}</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-4 font-medium">Time</th>
+                  <th className="py-2 pr-4 font-medium">Wallet</th>
+                  <th className="py-2 pr-4 font-medium">Side</th>
+                  <th className="py-2 pr-4 font-medium text-right">{pool.tokenSymbol}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{pool.stableSymbol}</th>
+                  <th className="py-2 pr-4 font-medium text-right">Price</th>
+                  <th className="py-2 font-medium" />
+                </tr>
+              </thead>
+              <tbody>
+                {trades.map((trade) => {
+                  const side = SIDE_STYLES[trade.side];
+                  return (
+                    <tr key={trade.id} className="border-b border-gray-700/50">
+                      <td className="py-2 pr-4 text-gray-300 whitespace-nowrap">
+                        {trade.blockTime ? new Date(trade.blockTime * 1000).toLocaleString() : '-'}
+                      </td>
+                      <td className="py-2 pr-4">
+                        {trade.wallet ? (
+                          <a
+                            href={getExplorerLink(trade.wallet.toBase58())}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="font-mono text-purple-400 hover:text-purple-300"
+                          >
+                            {shortenAddress(trade.wallet.toBase58())}
+                          </a>
+                        ) : '-'}
+                      </td>
+                      <td className={`py-2 pr-4 font-medium ${side.className}`}>{side.label}</td>
+                      <td className="py-2 pr-4 text-right whitespace-nowrap">
+                        {trade.tokenAmount !== null ? formatTokenAmount(trade.tokenAmount) : (
+                          <span className="text-gray-500">{trade.side === 'buy' ? 'Locked' : '-'}</span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4 text-right whitespace-nowrap">
+                        {trade.stableAmount !== null ? formatUSD(trade.stableAmount) : '-'}
+                      </td>
+                      <td className="py-2 pr-4 text-right whitespace-nowrap">
+                        {trade.price !== null ? formatPrice(trade.price) : '-'}
+                      </td>
+                      <td className="py-2 text-right">
+                        <a
+                          href={getExplorerLink(trade.signature, 'tx')}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-gray-400 hover:text-white"
+                          title="View transaction"
+                        >
+                          <ExternalLink size={14} />
+                        </a>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {trades.length === 0 && (
+            <p className="text-sm text-gray-400 mt-3">No trades in the latest transactions</p>
+          )}
+          {error && <p className="text-sm text-red-400 mt-3">{error}</p>}
+
+          {cursor && (
+            <button
+              onClick={loadOlder}
+              disabled={loadingMore}
+              className="mt-4 w-full py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load older trades'}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
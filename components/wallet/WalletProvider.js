@@ -4,11 +4,11 @@ import { useMemo } from 'react';
 import { ConnectionProvider, WalletProvider } from '@solana/wallet-adapter-react';
 import { WalletModalProvider } from '@solana/wallet-adapter-react-ui';
 import { PhantomWalletAdapter } from '@solana/wallet-adapter-wallets';
-import { clusterApiUrl } from '@solana/web3.js';
+import { useCluster } from '@/contexts/ClusterContext';
 import '@solana/wallet-adapter-react-ui/styles.css';
 
 export function WalletContextProvider({ children }) {
-  const endpoint = useMemo(() => clusterApiUrl('devnet'), []);
+  const { endpoint } = useCluster();
   
   const wallets = useMemo(
     () => [new PhantomWalletAdapter()],
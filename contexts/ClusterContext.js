@@ -0,0 +1,32 @@
+'use client';
+
+import { createContext, useContext, useEffect, useState } from 'react';
+import { getActiveCluster } from '@/lib/clusters';
+
+const ClusterContext = createContext();
+
+export function ClusterProvider({ children }) {
+  const [cluster, setCluster] = useState(null);
+
+  // The choice lives in localStorage, which the server can't see. Nothing renders
+  // until it is read here, so server and client markup can't disagree on it.
+  useEffect(() => {
+    setCluster(getActiveCluster());
+  }, []);
+
+  if (!cluster) return null;
+
+  return (
+    <ClusterContext.Provider value={cluster}>
+      {children}
+    </ClusterContext.Provider>
+  );
+}
+
+export function useCluster() {
+  const context = useContext(ClusterContext);
+  if (!context) {
+    throw new Error('useCluster must be used within ClusterProvider');
+  }
+  return context;
+}
\ No newline at end of file
@@ -1,19 +1,16 @@
 'use client';
 
-import { createContext, useContext, useEffect, useState } from 'react';
-import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useConnection } from '@solana/wallet-adapter-react';
 import { PublicKey } from '@solana/web3.js';
-import { AnchorProvider, Program, setProvider } from '@coral-xyz/anchor';
 import { PROGRAM_ID, CONFIG_SEED } from '@/lib/constants';
-import IDL from '@/lib/idl/solana_launchpad.json';
+import { getReadOnlyProgram } from '@/lib/program/provider';
 import { handleTransactionError } from '@/lib/utils/errors';
 
 const ProgramContext = createContext();
 
 export function ProgramProvider({ children }) {
   const { connection } = useConnection();
-  const wallet = useWallet();
-  const [program, setProgram] = useState(null);
   const [programStatus, setProgramStatus] = useState({
     isInitialized: false,
     isLoading: true,
@@ -21,24 +18,14 @@ export function ProgramProvider({ children }) {
     owner: null,
   });
 
+  // Reads go through a program that needs no wallet, so Config loads while signed out
+  const program = useMemo(() => getReadOnlyProgram(connection), [connection]);
+
   useEffect(() => {
     const initializeProgram = async () => {
-      if (!wallet.publicKey || !wallet.signTransaction || !wallet.signAllTransactions) {
-        setProgramStatus(prev => ({ ...prev, isLoading: false }));
-        return;
-      }
+      setProgramStatus(prev => ({ ...prev, isLoading: true }));
 
       try {
-        const provider = new AnchorProvider(
-          connection,
-          wallet,
-          { commitment: 'confirmed' }
-        );
-        setProvider(provider);
-        
-        const programInstance = new Program(IDL, provider);
-        setProgram(programInstance);
-
         // Check if program is initialized
         const [configPda] = PublicKey.findProgramAddressSync(
           [CONFIG_SEED],
@@ -46,7 +33,7 @@ export function ProgramProvider({ children }) {
         );
 
         try {
-          const config = await programInstance.account.config.fetch(configPda);
+          const config = await program.account.config.fetch(configPda);
           setProgramStatus({
             isInitialized: true,
             isLoading: false,
@@ -75,7 +62,7 @@ export function ProgramProvider({ children }) {
     };
 
     initializeProgram();
-  }, [connection, wallet.publicKey, wallet.signTransaction, wallet.signAllTransactions]);
+  }, [program]);
 
   return (
     <ProgramContext.Provider value={{ program, programStatus }}>
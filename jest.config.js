@@ -0,0 +1,9 @@
+const nextJest = require('next/jest');
+
+// Applies the Next.js SWC transform and the jsconfig `@/` alias
+const createJestConfig = nextJest({ dir: './' });
+
+/** @type {import('jest').Config} */
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+});
@@ -0,0 +1,175 @@
+import { PublicKey, clusterApiUrl } from '@solana/web3.js';
+import LAUNCHPAD_IDL from '@/lib/idl/solana_launchpad.json';
+
+// Kept here rather than in constants.js because constants.js reads the active cluster at load
+export const CLUSTER_STORAGE_KEYS = {
+  CLUSTER: 'genysys_cluster',
+  CUSTOM_RPC: 'genysys_custom_rpc',
+};
+
+/**
+ * Read an optional address from the environment
+ * @param {string} value - Environment variable value
+ * @param {string|null} fallback - Default base58 address
+ * @returns {PublicKey|null} Address or null when neither is set
+ */
+function envAddress(value, fallback = null) {
+  const address = value || fallback;
+  return address ? new PublicKey(address) : null;
+}
+
+// Mainnet addresses with no safe default, keyed by the variable that supplies them
+const MAINNET_ENV = {
+  NEXT_PUBLIC_MAINNET_PROGRAM_ID: envAddress(process.env.NEXT_PUBLIC_MAINNET_PROGRAM_ID),
+  NEXT_PUBLIC_MAINNET_PROTOCOL_FEE_OWNER: envAddress(process.env.NEXT_PUBLIC_MAINNET_PROTOCOL_FEE_OWNER),
+  NEXT_PUBLIC_MAINNET_AMM_CONFIG_STABLE: envAddress(process.env.NEXT_PUBLIC_MAINNET_AMM_CONFIG_STABLE),
+  NEXT_PUBLIC_MAINNET_AMM_CONFIG_LOW: envAddress(process.env.NEXT_PUBLIC_MAINNET_AMM_CONFIG_LOW),
+  NEXT_PUBLIC_MAINNET_AMM_CONFIG_MEDIUM: envAddress(process.env.NEXT_PUBLIC_MAINNET_AMM_CONFIG_MEDIUM),
+  NEXT_PUBLIC_MAINNET_AMM_CONFIG_HIGH: envAddress(process.env.NEXT_PUBLIC_MAINNET_AMM_CONFIG_HIGH),
+};
+
+// Devnet deployments, also used by a local validator that clones them
+const DEVNET_ADDRESSES = {
+  programId: envAddress(process.env.NEXT_PUBLIC_DEVNET_PROGRAM_ID, LAUNCHPAD_IDL.address),
+  raydiumCpmmProgram: new PublicKey('CPMDWBwJDtYax9qW7AyRuVC19Cc4L4Vcy4n2BHAbHkCW'),
+  raydiumAuthority: new PublicKey('7rQ1QFNosMkUCuh7Z7fPbTHvh73b68sQYdirycEzJVuw'),
+  raydiumProtocolFeeOwner: new PublicKey('adMCyoCgfkg7bQiJ9aBJ59H3BXLY3r5LNLfPpQfMzBe'),
+  creatorPoolFeeAta: new PublicKey('G11FKBRaAkHAKuLCgLM6K6NUc9rTjPAznRCjZifrTQe2'),
+  raydiumAmmConfigs: {
+    STABLE: new PublicKey('9zSzfkYy6awexsHvmggeH36pfVUdDGyCcwmjT3AQPBj6'),  // 0.01%
+    LOW: new PublicKey('H3ozvJr19WpcUpuPBhjaMiFfhDVYqDDYjXJZ5X4XyTF'),     // 0.05%
+    MEDIUM: new PublicKey('2kMr32vK9PgKF7EwLz3hJpSJQDYjzsVdPndLbBiUQPUL'), // 0.30%
+    HIGH: new PublicKey('3nD9JeFHxFvatJg3bjGDgbVC8nqNxV4aK2XopDgGnr28'),   // 1.00%
+  },
+  stableCoins: [
+    { mint: new PublicKey('Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr'), symbol: 'USDC' },
+  ],
+};
+
+// ===== CLUSTER REGISTRY =====
+export const CLUSTERS = {
+  localnet: {
+    id: 'localnet',
+    label: 'Localnet',
+    endpoint: process.env.NEXT_PUBLIC_LOCALNET_RPC || 'http://127.0.0.1:8899',
+    explorerCluster: 'custom',
+    missingEnv: [],
+    ...DEVNET_ADDRESSES,
+    programId: envAddress(process.env.NEXT_PUBLIC_LOCALNET_PROGRAM_ID, DEVNET_ADDRESSES.programId.toBase58()),
+  },
+  devnet: {
+    id: 'devnet',
+    label: 'Devnet',
+    endpoint: clusterApiUrl('devnet'),
+    explorerCluster: 'devnet',
+    missingEnv: [],
+    ...DEVNET_ADDRESSES,
+  },
+  'mainnet-beta': {
+    id: 'mainnet-beta',
+    label: 'Mainnet',
+    endpoint: clusterApiUrl('mainnet-beta'),
+    explorerCluster: 'mainnet-beta',
+    // Variables this build lacks; the cluster can't be selected until they are set
+    missingEnv: Object.keys(MAINNET_ENV).filter((name) => !MAINNET_ENV[name]),
+    programId: MAINNET_ENV.NEXT_PUBLIC_MAINNET_PROGRAM_ID,
+    raydiumCpmmProgram: new PublicKey('CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C'),
+    raydiumAuthority: new PublicKey('GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL'),
+    creatorPoolFeeAta: new PublicKey('DNXgeM9EiiaAbaWvwjHj9fQQLAX5ZsfHyvmYUNRAdNC8'),
+    raydiumProtocolFeeOwner: MAINNET_ENV.NEXT_PUBLIC_MAINNET_PROTOCOL_FEE_OWNER,
+    raydiumAmmConfigs: {
+      STABLE: MAINNET_ENV.NEXT_PUBLIC_MAINNET_AMM_CONFIG_STABLE,
+      LOW: MAINNET_ENV.NEXT_PUBLIC_MAINNET_AMM_CONFIG_LOW,
+      MEDIUM: MAINNET_ENV.NEXT_PUBLIC_MAINNET_AMM_CONFIG_MEDIUM,
+      HIGH: MAINNET_ENV.NEXT_PUBLIC_MAINNET_AMM_CONFIG_HIGH,
+    },
+    stableCoins: [
+      { mint: new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'), symbol: 'USDC' },
+    ],
+  },
+};
+
+/**
+ * Explain why a cluster can't be used with this build
+ * @param {Object} cluster - Cluster registry entry
+ * @returns {string|null} Error message, null when every address is configured
+ */
+export function getClusterConfigError(cluster) {
+  if (cluster.missingEnv.length === 0) return null;
+  return `${cluster.label} is not configured for this build. Set ${cluster.missingEnv.join(', ')}.`;
+}
+
+export const DEFAULT_CLUSTER_ID = CLUSTERS[process.env.NEXT_PUBLIC_DEFAULT_CLUSTER]
+  ? process.env.NEXT_PUBLIC_DEFAULT_CLUSTER
+  : 'devnet';
+
+// A misconfigured default would leave every page without a program to talk to
+if (getClusterConfigError(CLUSTERS[DEFAULT_CLUSTER_ID])) {
+  throw new Error(getClusterConfigError(CLUSTERS[DEFAULT_CLUSTER_ID]));
+}
+
+/**
+ * Read a persisted value, tolerating server rendering and blocked storage
+ * @param {string} key - Storage key
+ * @returns {string|null} Stored value
+ */
+function readStorage(key) {
+  if (typeof window === 'undefined') return null;
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the cluster selected in the network switcher
+ * @returns {Object} Cluster registry entry, with the custom RPC applied to its endpoint
+ */
+export function getActiveCluster() {
+  const stored = readStorage(CLUSTER_STORAGE_KEYS.CLUSTER);
+  // selectCluster refuses unconfigured clusters; a stored one only appears after
+  // the build's environment changed, and is ignored like an unknown id
+  const cluster = CLUSTERS[stored] && !getClusterConfigError(CLUSTERS[stored])
+    ? CLUSTERS[stored]
+    : CLUSTERS[DEFAULT_CLUSTER_ID];
+  const customRpc = readStorage(CLUSTER_STORAGE_KEYS.CUSTOM_RPC);
+
+  return {
+    ...cluster,
+    endpoint: customRpc || cluster.endpoint,
+    customRpc: customRpc || null,
+  };
+}
+
+/**
+ * Persist a network selection and reload so every module picks up the new addresses
+ * @param {string} clusterId - Key in CLUSTERS
+ * @param {string} customRpc - Optional RPC URL overriding the cluster endpoint
+ */
+export function selectCluster(clusterId, customRpc = '') {
+  if (!CLUSTERS[clusterId]) {
+    throw new Error(`Unknown cluster: ${clusterId}`);
+  }
+
+  const configError = getClusterConfigError(CLUSTERS[clusterId]);
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  if (customRpc) {
+    const url = new URL(customRpc);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('RPC URL must use http or https');
+    }
+  }
+
+  window.localStorage.setItem(CLUSTER_STORAGE_KEYS.CLUSTER, clusterId);
+  if (customRpc) {
+    window.localStorage.setItem(CLUSTER_STORAGE_KEYS.CUSTOM_RPC, customRpc);
+  } else {
+    window.localStorage.removeItem(CLUSTER_STORAGE_KEYS.CUSTOM_RPC);
+  }
+
+  window.location.reload();
+}
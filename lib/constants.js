@@ -1,24 +1,29 @@
 import { PublicKey } from '@solana/web3.js';
+import { getActiveCluster, CLUSTER_STORAGE_KEYS } from '@/lib/clusters';
+
+// ===== ACTIVE CLUSTER =====
+// Resolved once at load; switching networks reloads the page. On the server this
+// is always the default cluster, so components must not render from it (or the
+// constants below) before ClusterProvider has read the stored choice on the client.
+export const ACTIVE_CLUSTER = getActiveCluster();
 
 // ===== PROGRAM IDS & ADDRESSES =====
-export const PROGRAM_ID = new PublicKey('2rP4m541QcskR4V6iCZriZ4Pk25zwvXc3CsVB26PPfyy');
+export const PROGRAM_ID = ACTIVE_CLUSTER.programId;
 
 // ===== COMMON TOKEN ADDRESSES =====
-export const USDC_DEVNET = new PublicKey('Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr');
+// Display symbols for known stable coins, keyed by base58 mint address
+export const STABLE_COIN_SYMBOLS = Object.fromEntries(
+  ACTIVE_CLUSTER.stableCoins.map((coin) => [coin.mint.toBase58(), coin.symbol])
+);
 
 // ===== RAYDIUM ADDRESSES =====
-export const RAYDIUM_CPMM_PROGRAM = new PublicKey('CPMDWBwJDtYax9qW7AyRuVC19Cc4L4Vcy4n2BHAbHkCW');
-export const RAYDIUM_AUTHORITY = new PublicKey('7rQ1QFNosMkUCuh7Z7fPbTHvh73b68sQYdirycEzJVuw');
-export const RAYDIUM_PROTOCOL_FEE_OWNER = new PublicKey('adMCyoCgfkg7bQiJ9aBJ59H3BXLY3r5LNLfPpQfMzBe');
-export const CREATOR_POOL_FEE_ATA = new PublicKey('G11FKBRaAkHAKuLCgLM6K6NUc9rTjPAznRCjZifrTQe2');
+export const RAYDIUM_CPMM_PROGRAM = ACTIVE_CLUSTER.raydiumCpmmProgram;
+export const RAYDIUM_AUTHORITY = ACTIVE_CLUSTER.raydiumAuthority;
+export const RAYDIUM_PROTOCOL_FEE_OWNER = ACTIVE_CLUSTER.raydiumProtocolFeeOwner;
+export const CREATOR_POOL_FEE_ATA = ACTIVE_CLUSTER.creatorPoolFeeAta;
 
 // ===== RAYDIUM AMM CONFIGS =====
-export const RAYDIUM_AMM_CONFIGS = {
-  STABLE: new PublicKey('9zSzfkYy6awexsHvmggeH36pfVUdDGyCcwmjT3AQPBj6'),  // 0.01%
-  LOW: new PublicKey('H3ozvJr19WpcUpuPBhjaMiFfhDVYqDDYjXJZ5X4XyTF'),     // 0.05%
-  MEDIUM: new PublicKey('2kMr32vK9PgKF7EwLz3hJpSJQDYjzsVdPndLbBiUQPUL'), // 0.30%
-  HIGH: new PublicKey('3nD9JeFHxFvatJg3bjGDgbVC8nqNxV4aK2XopDgGnr28'),   // 1.00%
-};
+export const RAYDIUM_AMM_CONFIGS = ACTIVE_CLUSTER.raydiumAmmConfigs;
 
 export const RAYDIUM_FEE_TIERS = {
   0: RAYDIUM_AMM_CONFIGS.STABLE,
@@ -66,6 +71,13 @@ export const COMPUTE_UNITS = {
   MICROLAMPORTS_PER_UNIT: 1,
 };
 
+// ===== RPC LIMITS =====
+export const RPC_LIMITS = {
+  MAX_MULTIPLE_ACCOUNTS: 100,   // getMultipleAccountsInfo cap per request
+  SIGNATURES_PAGE_SIZE: 25,     // Signatures per trade history page
+  MAX_SIGNATURES: 1000,         // getSignaturesForAddress cap per request
+};
+
 // ===== TOKEN STANDARDS =====
 export const TOKEN_STANDARDS = {
   TOKEN_DECIMALS: 9,
@@ -81,6 +93,7 @@ export const RAYDIUM_LIMITS = {
   MAX_TICK: 443636,
   Q64: 1 << 64,
   MINIMUM_LIQUIDITY: 1000,
+  FEE_RATE_DENOMINATOR: 1_000_000,   // AmmConfig trade_fee_rate units
   TICK_SPACING_STABLE: 1,      // 0.01% fee tier
   TICK_SPACING_LOW: 10,        // 0.05% fee tier
   TICK_SPACING_MEDIUM: 60,     // 0.30% fee tier
@@ -103,6 +116,7 @@ export const UI_CONSTANTS = {
   REFRESH_INTERVAL: 30000,      // 30 seconds
   TX_TIMEOUT: 60000,            // 60 seconds
   DEBOUNCE_DELAY: 500,          // 500ms for input debouncing
+  METADATA_FETCH_TIMEOUT: 10000, // 10 seconds
 };
 
 // ===== DEFAULT FORM VALUES =====
@@ -122,12 +136,20 @@ export const DEFAULT_FORM_VALUES = {
 
 // ===== ALLOWED DEX ROUTERS =====
 export const ALLOWED_DEX_ROUTERS = [
-  RAYDIUM_CPMM_PROGRAM,
+  new PublicKey('CPMDWBwJDtYax9qW7AyRuVC19Cc4L4Vcy4n2BHAbHkCW'), // Raydium CPMM Devnet
   new PublicKey('whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc'), // Whirlpool
   new PublicKey('SSwpkEEcbUqx4vtoEByFjSkhKdCT862DNVb52nZg1UZ'),  // Saber
   new PublicKey('CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C'), // Raydium CPMM Mainnet
 ];
 
+// Display names for known router programs, keyed by base58 address
+export const DEX_ROUTER_LABELS = {
+  CPMDWBwJDtYax9qW7AyRuVC19Cc4L4Vcy4n2BHAbHkCW: 'Raydium CPMM',
+  whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc: 'Whirlpool',
+  SSwpkEEcbUqx4vtoEByFjSkhKdCT862DNVb52nZg1UZ: 'Saber',
+  CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: 'Raydium CPMM (Mainnet)',
+};
+
 // ===== METADATA PROGRAM =====
 export const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
 export const METADATA_SEED = Buffer.from('metadata');
@@ -143,6 +165,7 @@ export const ERROR_MESSAGES = {
   INSUFFICIENT_LIQUIDITY: 'Insufficient liquidity in pool',
   WALLET_LIMIT_EXCEEDED: 'Wallet limit exceeded. You cannot sell this much yet.',
   GLOBAL_LIMIT_EXCEEDED: 'Global price limit exceeded. Try selling a smaller amount.',
+  SLIPPAGE_EXCEEDED: 'Price moved beyond your slippage tolerance. Nothing was sent.',
 };
 
 // ===== SUCCESS MESSAGES =====
@@ -157,6 +180,10 @@ export const SUCCESS_MESSAGES = {
   BUNDLE_WITHDRAWN: 'Bundle withdrawal successful!',
     TOKENS_CLAIMED: 'Tokens claimed successfully!',
   LOCKED_TOKENS_CLAIMED: 'Locked tokens claimed successfully!',
+  FEES_UPDATED: 'Fees updated successfully!',
+  ROUTERS_UPDATED: 'DEX routers updated successfully!',
+  ROLE_UPDATED: 'Role updated successfully!',
+  METADATA_UPDATED: 'Metadata URL updated successfully!',
 };
 
 // ===== FORM VALIDATION =====
@@ -166,9 +193,17 @@ export const VALIDATION = {
   MAX_URL_LENGTH: 100,
   MIN_PRICE: 0.000001,
   MAX_TAX_BASIS_POINTS: 10000, // 100%
+  MAX_FEE_BASIS_POINTS: 10000, // 100%
   MIN_DEPOSIT_USD: 0.01,
 };
 
+// ===== VANITY MINT ADDRESSES =====
+export const VANITY_MINT = {
+  MAX_PATTERN_LENGTH: 6,        // prefix + suffix; each extra character is ~58x slower
+  PROGRESS_BATCH: 250,          // attempts a worker grinds between progress messages
+  MAX_WORKERS: 16,
+};
+
 // ===== PERCENTAGE QUICK SELECTS =====
 export const PERCENTAGE_PRESETS = [
   { label: '25%', value: 25 },
@@ -177,6 +212,14 @@ export const PERCENTAGE_PRESETS = [
   { label: 'MAX', value: 100 },
 ];
 
+// ===== PRICE CHART INTERVALS =====
+export const CANDLE_INTERVALS = [
+  { label: '1m', value: '1m', seconds: 60 },
+  { label: '5m', value: '5m', seconds: 300 },
+  { label: '1h', value: '1h', seconds: 3600 },
+  { label: '1d', value: '1d', seconds: 86400 },
+];
+
 // ===== RAYDIUM FEE TIER OPTIONS =====
 export const RAYDIUM_FEE_OPTIONS = [
   { value: '0', label: 'STABLE - 0.01% (Best for stablecoins)', fee: 0.01 },
@@ -185,6 +228,23 @@ export const RAYDIUM_FEE_OPTIONS = [
   { value: '3', label: 'HIGH - 1.00%', fee: 1.00 },
 ];
 
+// ===== POOL LIST =====
+export const POOL_PHASE_OPTIONS = [
+  { value: 'INITIALIZED', label: 'Initialized' },
+  { value: 'ACTIVE', label: 'Active' },
+  { value: 'COMPLETE', label: 'Complete' },
+  { value: 'FINALIZED', label: 'Finalized' },
+  { value: 'LIVE_ON_RAYDIUM', label: 'Live on Raydium' },
+];
+
+export const POOL_SORT_OPTIONS = [
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'newest', label: 'Newest first' },
+  { value: 'progress', label: 'Progress' },
+  { value: 'price', label: 'Current price' },
+  { value: 'raised', label: 'Amount raised' },
+];
+
 // ===== EXTERNAL LINKS =====
 export const EXTERNAL_LINKS = {
   RAYDIUM_SWAP: 'https://raydium.io/swap/',
@@ -192,9 +252,19 @@ export const EXTERNAL_LINKS = {
   SUPPORT: 'https://support.genysyspad.com/',
 };
 
+// ===== METADATA HOSTS =====
+// Used to compose a metadata URL from a content id and to resolve ipfs:// and ar:// links
+export const METADATA_GATEWAYS = [
+  { value: 'ipfs', label: 'IPFS', scheme: 'ipfs://', baseUrl: 'https://ipfs.io/ipfs/' },
+  { value: 'arweave', label: 'Arweave', scheme: 'ar://', baseUrl: 'https://arweave.net/' },
+];
+
 // ===== LOCAL STORAGE KEYS =====
 export const STORAGE_KEYS = {
   SLIPPAGE_TOLERANCE: 'genysys_slippage',
   PREFERRED_STABLE: 'genysys_preferred_stable',
   WALLET_AUTO_CONNECT: 'genysys_auto_connect',
+  CREATE_DRAFT: 'genysys_create_draft',       // suffixed with the wallet address
+  LAUNCH_TEMPLATES: 'genysys_launch_templates',
+  ...CLUSTER_STORAGE_KEYS,
 };
\ No newline at end of file
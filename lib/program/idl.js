@@ -0,0 +1,10 @@
+import LAUNCHPAD_IDL from '@/lib/idl/solana_launchpad.json';
+import { PROGRAM_ID } from '@/lib/constants';
+
+// Anchor reads the program ID from the IDL, so point it at the active cluster's deployment
+const IDL = {
+  ...LAUNCHPAD_IDL,
+  address: PROGRAM_ID.toBase58(),
+};
+
+export default IDL;
@@ -1,5 +1,5 @@
 import { PublicKey } from '@solana/web3.js';
-import { getAssociatedTokenAddress } from '@solana/spl-token';
+import { getAssociatedTokenAddress, AccountLayout } from '@solana/spl-token';
 import { 
   POOL_SEED, 
   AUTHORITY_SEED, 
@@ -9,9 +9,19 @@ import {
   BUNDLE_BUY_POOL_SEED,
   RAYDIUM_SEEDS,
   PROGRAM_ID,
+  CONFIG_SEED,
   RAYDIUM_CPMM_PROGRAM,
-  USDC_DEVNET
+  TOKEN_STANDARDS,
+  RPC_LIMITS
 } from '@/lib/constants';
+import { getStableCoinSymbol } from '@/lib/utils/formatters';
+import { simulateViewU128 } from '@/lib/program/transaction-helper';
+import {
+  calculatePoolProgress,
+  bnToNumber,
+  isPoolLiveOnRaydium
+} from '@/lib/utils/calculations';
+import { calculateCurrentPrice } from '@/lib/utils/bondingCurve';
 import { BN } from 'bn.js';
 
 /**
@@ -75,10 +85,14 @@ export async function deriveUserPoolPDAs(poolAddress, userPublicKey) {
  * Get all token accounts for a pool
  * @param {PublicKey} poolMint - Pool token mint
  * @param {PublicKey} poolAuthority - Pool authority PDA
- * @param {PublicKey} stableMint - Stable coin mint (usually USDC)
+ * @param {PublicKey} stableMint - Stable coin mint the pool is paired with (params.pairToken)
  * @returns {Object} Token account addresses
  */
-export async function getPoolTokenAccounts(poolMint, poolAuthority, stableMint = USDC_DEVNET) {
+export async function getPoolTokenAccounts(poolMint, poolAuthority, stableMint) {
+  if (!stableMint) {
+    throw new Error('Stable mint is required to derive pool token accounts');
+  }
+
   const poolProjectAta = await getAssociatedTokenAddress(
     poolMint,
     poolAuthority,
@@ -97,6 +111,343 @@ export async function getPoolTokenAccounts(poolMint, poolAuthority, stableMint =
   };
 }
 
+/**
+ * Resolve the stable coin a pool is paired with
+ * Decimals come from the Config stable coin list, falling back to the mint
+ * account when the coin has since been removed from Config.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} poolData - Pool account data
+ * @param {Array} stableCoins - Config stableCoins ({ mint, decimals })
+ * @returns {Promise<Object>} { stableMint, stableDecimals, stableSymbol }
+ */
+export async function resolvePoolStableCoin(connection, poolData, stableCoins = []) {
+  const stableMint = poolData.params.pairToken;
+  const configured = stableCoins.find((coin) => coin.mint.equals(stableMint));
+
+  let stableDecimals = configured?.decimals;
+  if (stableDecimals === undefined) {
+    const { value } = await connection.getTokenSupply(stableMint);
+    stableDecimals = value.decimals;
+  }
+
+  return {
+    stableMint,
+    stableDecimals,
+    stableSymbol: getStableCoinSymbol(stableMint),
+  };
+}
+
+/**
+ * Fetch account infos, splitting the request to respect the RPC per-call account cap
+ * @param {Connection} connection - Solana connection
+ * @param {Array<PublicKey>} addresses - Accounts to fetch
+ * @returns {Promise<Array<AccountInfo|null>>} Account infos in the same order as addresses
+ */
+export async function fetchMultipleAccountsChunked(connection, addresses) {
+  const accounts = [];
+
+  // Sequential on purpose: parallel chunks trip public RPC rate limits
+  for (let i = 0; i < addresses.length; i += RPC_LIMITS.MAX_MULTIPLE_ACCOUNTS) {
+    const chunk = addresses.slice(i, i + RPC_LIMITS.MAX_MULTIPLE_ACCOUNTS);
+    const infos = await connection.getMultipleAccountsInfo(chunk, 'confirmed');
+    accounts.push(...infos);
+  }
+
+  return accounts;
+}
+
+/**
+ * Load pools and their bundle pools for a list of project mints in batched requests
+ * Mints without a pool account are skipped.
+ * @param {Connection} connection - Solana connection
+ * @param {Program} program - Anchor program, used for its account coder
+ * @param {Array<PublicKey>} projectMints - Project token mints (Config createdTokens)
+ * @param {Array} stableCoins - Config stableCoins ({ mint, decimals })
+ * @returns {Promise<Array<Object>>} Pool views from buildPoolView
+ */
+export async function fetchPoolViews(connection, program, projectMints, stableCoins = []) {
+  const pdas = await Promise.all(projectMints.map((mint) => derivePoolPDAs(mint)));
+
+  // Pool and bundle pool interleaved so both come back in the same batch
+  const addresses = pdas.flatMap(({ pool, bundlePool }) => [pool, bundlePool]);
+  const infos = await fetchMultipleAccountsChunked(connection, addresses);
+
+  const stableCoinCache = new Map();
+  const views = [];
+
+  for (let i = 0; i < pdas.length; i++) {
+    const poolInfo = infos[i * 2];
+    const bundleInfo = infos[i * 2 + 1];
+
+    if (!poolInfo) {
+      console.warn(`No pool account for token ${projectMints[i].toString()}`);
+      continue;
+    }
+
+    try {
+      const poolAccount = program.coder.accounts.decode('pool', poolInfo.data);
+      const bundlePool = bundleInfo
+        ? program.coder.accounts.decode('bundleBuyPool', bundleInfo.data)
+        : null;
+
+      // Pools mostly share a handful of stable coins, so resolve each mint once
+      const pairToken = poolAccount.params.pairToken.toBase58();
+      if (!stableCoinCache.has(pairToken)) {
+        stableCoinCache.set(pairToken, await resolvePoolStableCoin(connection, poolAccount, stableCoins));
+      }
+
+      views.push(buildPoolView(pdas[i].pool, poolAccount, stableCoinCache.get(pairToken), bundlePool));
+    } catch (err) {
+      console.error(`Error decoding pool for token ${projectMints[i].toString()}:`, err);
+    }
+  }
+
+  return views;
+}
+
+/**
+ * Load a wallet's holdings and deposits across pools in batched requests
+ * Bundle shares count once the bundle buy has executed and the deposit is
+ * still unclaimed; they are the deposit's fraction of the pool's token account.
+ * @param {Connection} connection - Solana connection
+ * @param {Program} program - Anchor program, used for its account coder
+ * @param {Array<Object>} pools - Pool views from buildPoolView
+ * @param {PublicKey} owner - Wallet to look up
+ * @returns {Promise<Map<string, Object>>} Pool address (base58) to
+ *   { tokenBalance, bundleDeposit, bundleShare, lockedTokens, lockedTokensInitial,
+ *   walletBalance, hasPosition }, raw BN amounts, walletBalance the decoded account or null
+ */
+export async function fetchUserPoolPositions(connection, program, pools, owner) {
+  const ACCOUNTS_PER_POOL = 5;
+  const addresses = [];
+  for (const pool of pools) {
+    const { bundleDeposit, lockedTokens, walletBalance } = await deriveUserPoolPDAs(pool.address, owner);
+    const { poolAuthority } = await derivePoolPDAs(pool.projectMint);
+    const { poolProjectAta } = await getPoolTokenAccounts(pool.projectMint, poolAuthority, pool.stableMint);
+    const projectAta = await getAssociatedTokenAddress(pool.projectMint, owner);
+    addresses.push(projectAta, bundleDeposit, lockedTokens, walletBalance, poolProjectAta);
+  }
+
+  const infos = await fetchMultipleAccountsChunked(connection, addresses);
+  const positions = new Map();
+
+  pools.forEach((pool, i) => {
+    const [ataInfo, depositInfo, lockedInfo, walletBalanceInfo, poolProjectInfo] =
+      infos.slice(i * ACCOUNTS_PER_POOL, (i + 1) * ACCOUNTS_PER_POOL);
+
+    const tokenBalance = ataInfo
+      ? new BN(AccountLayout.decode(ataInfo.data).amount.toString())
+      : new BN(0);
+    const bundleDeposit = depositInfo
+      ? program.coder.accounts.decode('bundleDeposit', depositInfo.data).amount
+      : new BN(0);
+    const locked = lockedInfo
+      ? program.coder.accounts.decode('lockedTokens', lockedInfo.data)
+      : null;
+    const walletBalance = walletBalanceInfo
+      ? program.coder.accounts.decode('walletBalance', walletBalanceInfo.data)
+      : null;
+
+    let bundleShare = new BN(0);
+    const bundlePool = pool.bundlePool;
+    if (bundlePool?.isExecuted && !bundleDeposit.isZero() && !bundlePool.totalDeposits.isZero() && poolProjectInfo) {
+      const poolTokens = new BN(AccountLayout.decode(poolProjectInfo.data).amount.toString());
+      bundleShare = poolTokens.mul(bundleDeposit).div(bundlePool.totalDeposits);
+    }
+
+    const lockedTokens = locked ? locked.amount : new BN(0);
+
+    positions.set(pool.address.toBase58(), {
+      tokenBalance,
+      bundleDeposit,
+      bundleShare,
+      lockedTokens,
+      lockedTokensInitial: locked ? locked.initialAmount : new BN(0),
+      walletBalance,
+      hasPosition: !tokenBalance.isZero() || !bundleDeposit.isZero() || !lockedTokens.isZero(),
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Load each pool's tax receiver balance in batched requests
+ * Buy and sell taxes are paid in the project token to the tax receiver's ATA,
+ * so its balance is the tax accumulated there (less anything moved out since).
+ * @param {Connection} connection - Solana connection
+ * @param {Array<Object>} pools - Pool views from buildPoolView
+ * @returns {Promise<Map<string, BN>>} Pool address (base58) to raw token balance
+ */
+export async function fetchTaxReceiverBalances(connection, pools) {
+  const addresses = [];
+  for (const pool of pools) {
+    addresses.push(await getAssociatedTokenAddress(pool.projectMint, pool.params.taxReceiver, true));
+  }
+
+  const infos = await fetchMultipleAccountsChunked(connection, addresses);
+  const balances = new Map();
+
+  pools.forEach((pool, i) => {
+    balances.set(
+      pool.address.toBase58(),
+      infos[i] ? new BN(AccountLayout.decode(infos[i].data).amount.toString()) : new BN(0)
+    );
+  });
+
+  return balances;
+}
+
+/**
+ * Build the pool object consumed by PoolCard, the pool detail page and the trade modals
+ * @param {PublicKey} poolAddress - Pool PDA
+ * @param {Object} poolAccount - Decoded pool account
+ * @param {Object} stableCoin - Result of resolvePoolStableCoin
+ * @param {Object|null} bundlePool - Decoded bundle buy pool, null when none exists
+ * @returns {Object} Pool view with display values and the raw account
+ */
+export function buildPoolView(poolAddress, poolAccount, stableCoin, bundlePool = null) {
+  const { stableMint, stableDecimals, stableSymbol } = stableCoin;
+
+  return {
+    address: poolAddress,
+    projectMint: poolAccount.projectMint,
+    tokenName: poolAccount.params.name,
+    tokenSymbol: poolAccount.params.symbol,
+    creator: poolAccount.params.creator,
+    stableMint: stableMint,
+    stableDecimals: stableDecimals,
+    stableSymbol: stableSymbol,
+    isComplete: poolAccount.isComplete,
+    isFinalized: poolAccount.isFinalized,
+    isRaydiumInitialized: poolAccount.isRaydiumInitialized,
+    isLiveOnRaydium: isPoolLiveOnRaydium(poolAccount),
+    currentPrice: calculateCurrentPrice(poolAccount, stableDecimals),
+    startPrice: bnToNumber(poolAccount.params.startPrice, stableDecimals),
+    endPrice: bnToNumber(poolAccount.params.endPrice, stableDecimals),
+    progress: calculatePoolProgress(poolAccount),
+    reserveProject: bnToNumber(poolAccount.reserveProjectMint, TOKEN_STANDARDS.TOKEN_DECIMALS),
+    reserveStable: bnToNumber(poolAccount.reserveStableMint, stableDecimals),
+    totalSellAmount: bnToNumber(poolAccount.totalSellAmount, TOKEN_STANDARDS.TOKEN_DECIMALS),
+    hasWalletLimits: poolAccount.limits.wLimitPercent.toNumber() > 0,
+    buyTax: poolAccount.params.buyTax,
+    sellTax: poolAccount.params.sellTax,
+    params: poolAccount.params,
+    limits: poolAccount.limits,
+    raydiumPoolState: poolAccount.raydiumPoolState,
+    raydiumFeeTier: poolAccount.params.raydiumFeeTier,
+    token0IsProject: poolAccount.token0IsProject,
+    poolAccount: poolAccount, // Pass the full account for calculations
+    raydiumAmmConfig: poolAccount.raydiumAmmConfig,
+    raydiumToken0Vault: poolAccount.raydiumToken0Vault,
+    raydiumToken1Vault: poolAccount.raydiumToken1Vault,
+    raydiumLpMint: poolAccount.raydiumLpMint,
+    bundlePool: bundlePool,
+  };
+}
+
+/**
+ * Quote a swap with the program's get_token_amount_out / get_token_amount_in views
+ * @param {Connection} connection - Solana connection
+ * @param {Program} program - Anchor program
+ * @param {Object} pool - Pool view from buildPoolView
+ * @param {Object} options - { side: 'buy'|'sell', exactOut: boolean, amount: BN, payer: PublicKey }
+ *   exactOut false quotes the output for `amount` in, true the input needed for `amount` out.
+ *   payer only has to exist on chain; the pool creator works while signed out.
+ * @returns {Promise<BN>} Quoted amount in base units
+ */
+export async function quoteSwapOnChain(connection, program, pool, { side, exactOut, amount, payer }) {
+  const [configPda] = PublicKey.findProgramAddressSync([CONFIG_SEED], PROGRAM_ID);
+  const buying = side === 'buy';
+
+  const tokenIn = buying ? pool.stableMint : pool.projectMint;
+  const tokenOut = buying ? pool.projectMint : pool.stableMint;
+  const accounts = {
+    configAcc: configPda,
+    poolIn: buying ? null : pool.address,
+    poolOut: buying ? pool.address : null,
+    raydiumPoolState: pool.isRaydiumInitialized ? pool.raydiumPoolState : null,
+  };
+
+  const method = exactOut
+    ? program.methods.getTokenAmountIn(tokenIn, tokenOut, amount)
+    : program.methods.getTokenAmountOut(tokenIn, tokenOut, amount);
+  const ix = await method.accounts(accounts).instruction();
+
+  return simulateViewU128(connection, payer, ix);
+}
+
+// Byte offset of trade_fee_rate (u64) in a Raydium CPMM AmmConfig account:
+// discriminator (8) + bump (1) + disable_create_pool (1) + index (2)
+const AMM_CONFIG_TRADE_FEE_OFFSET = 12;
+
+// Byte offsets of the accrued fees (u64) in a Raydium CPMM PoolState account:
+// discriminator (8) + ten pubkeys (320) + five u8 fields (5) + lp_supply (8)
+const POOL_STATE_FEE_OFFSETS = {
+  protocolFeesToken0: 341,
+  protocolFeesToken1: 349,
+  fundFeesToken0: 357,
+  fundFeesToken1: 365,
+};
+
+/**
+ * Read the reserves and trade fee of a pool's Raydium CPMM pair
+ * The vaults also hold protocol and fund fees that haven't been collected yet;
+ * CPMM swaps against the balance without them, so they are subtracted here too.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} poolData - Pool account data
+ * @returns {Promise<Object|null>} { projectReserve, stableReserve, tradeFeeRate } as BN,
+ *   null when the pool hasn't migrated
+ */
+export async function fetchRaydiumReserves(connection, poolData) {
+  if (!poolData.isRaydiumInitialized) return null;
+
+  const [vault0Info, vault1Info, ammConfigInfo, poolStateInfo] = await connection.getMultipleAccountsInfo([
+    poolData.raydiumToken0Vault,
+    poolData.raydiumToken1Vault,
+    poolData.raydiumAmmConfig,
+    poolData.raydiumPoolState,
+  ], 'confirmed');
+
+  if (!vault0Info || !vault1Info || !ammConfigInfo || !poolStateInfo) {
+    throw new Error('Raydium pool accounts not found');
+  }
+
+  const readPoolStateU64 = (offset) => new BN(poolStateInfo.data.readBigUInt64LE(offset).toString());
+  const vault0 = new BN(AccountLayout.decode(vault0Info.data).amount.toString())
+    .sub(readPoolStateU64(POOL_STATE_FEE_OFFSETS.protocolFeesToken0))
+    .sub(readPoolStateU64(POOL_STATE_FEE_OFFSETS.fundFeesToken0));
+  const vault1 = new BN(AccountLayout.decode(vault1Info.data).amount.toString())
+    .sub(readPoolStateU64(POOL_STATE_FEE_OFFSETS.protocolFeesToken1))
+    .sub(readPoolStateU64(POOL_STATE_FEE_OFFSETS.fundFeesToken1));
+  const tradeFeeRate = new BN(
+    ammConfigInfo.data.readBigUInt64LE(AMM_CONFIG_TRADE_FEE_OFFSET).toString()
+  );
+
+  return {
+    projectReserve: poolData.token0IsProject ? vault0 : vault1,
+    stableReserve: poolData.token0IsProject ? vault1 : vault0,
+    tradeFeeRate,
+  };
+}
+
+/**
+ * Current price of a pool's token where it trades: the Raydium vault ratio once
+ * migrated, the bonding curve before
+ * @param {Connection} connection - Solana connection
+ * @param {Object} pool - Pool view from buildPoolView
+ * @returns {Promise<number>} Price in stable coin per whole token
+ */
+export async function fetchMarketPrice(connection, pool) {
+  if (!pool.isLiveOnRaydium) return pool.currentPrice;
+
+  const reserves = await fetchRaydiumReserves(connection, pool.poolAccount);
+  if (!reserves || reserves.projectReserve.isZero()) return pool.currentPrice;
+
+  return bnToNumber(reserves.stableReserve, pool.stableDecimals) /
+    bnToNumber(reserves.projectReserve, TOKEN_STANDARDS.TOKEN_DECIMALS);
+}
+
 /**
  * Derive Raydium-specific PDAs
  * @param {PublicKey} ammConfig - AMM config address
@@ -0,0 +1,51 @@
+import { PublicKey } from '@solana/web3.js';
+import { Program, AnchorProvider, setProvider } from '@coral-xyz/anchor';
+import IDL from '@/lib/program/idl';
+import { ERROR_MESSAGES } from '@/lib/constants';
+
+const rejectSigning = async () => {
+  throw new Error(ERROR_MESSAGES.WALLET_NOT_CONNECTED);
+};
+
+// Stands in for the wallet adapter while signed out: fetches and simulations
+// work, anything that needs a signature fails
+const READ_ONLY_WALLET = {
+  publicKey: PublicKey.default,
+  signTransaction: rejectSigning,
+  signAllTransactions: rejectSigning,
+};
+
+/**
+ * Program instance for account fetches that don't need a connected wallet
+ * Does not replace the global Anchor provider.
+ * @param {Connection} connection - Solana connection
+ * @returns {Program} Read-only program
+ */
+export function getReadOnlyProgram(connection) {
+  const provider = new AnchorProvider(
+    connection,
+    READ_ONLY_WALLET,
+    { commitment: 'confirmed' }
+  );
+  return new Program(IDL, provider);
+}
+
+/**
+ * Program instance backed by the connected wallet
+ * @param {Connection} connection - Solana connection
+ * @param {Object} wallet - Wallet adapter state from useWallet
+ * @returns {Program|null} Program instance, or null when no wallet is connected
+ */
+export function getWalletProgram(connection, wallet) {
+  if (!wallet?.publicKey) {
+    return null;
+  }
+
+  const provider = new AnchorProvider(
+    connection,
+    wallet,
+    { commitment: 'confirmed' }
+  );
+  setProvider(provider);
+  return new Program(IDL, provider);
+}
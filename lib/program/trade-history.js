@@ -0,0 +1,324 @@
+import { BN } from 'bn.js';
+import { getAssociatedTokenAddress } from '@solana/spl-token';
+import { PROGRAM_ID, RPC_LIMITS, TOKEN_STANDARDS } from '@/lib/constants';
+import { bnToNumber } from '@/lib/utils/calculations';
+import { deriveUserPoolPDAs } from '@/lib/program/pool-helpers';
+
+// Launchpad instructions that show up in the feed, keyed by their coder name.
+// `wallet` is the IDL account treated as the trader.
+const TRADE_INSTRUCTIONS = {
+  buyToken: { side: 'buy', wallet: 'sender' },
+  initialBuy: { side: 'buy', wallet: 'creator' },
+  executeBundleBuy: { side: 'bundle', wallet: 'executor' },
+  sellToken: { side: 'sell', wallet: 'sender' },
+  finalizePool: { side: 'finalize', wallet: 'payer' },
+  finalizePoolRaydium: { side: 'finalize', wallet: 'payer' },
+};
+
+/**
+ * Net token balance change per owner for one mint
+ * @param {Object} meta - Transaction meta
+ * @param {PublicKey} mint - Mint to total
+ * @returns {Map<string, BN>} Owner (base58) → post − pre, base units
+ */
+function getTokenDeltas(meta, mint) {
+  const mintAddress = mint.toBase58();
+  const deltas = new Map();
+
+  const apply = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (balance.mint !== mintAddress || !balance.owner) continue;
+      const amount = new BN(balance.uiTokenAmount.amount).muln(sign);
+      deltas.set(balance.owner, (deltas.get(balance.owner) || new BN(0)).add(amount));
+    }
+  };
+
+  apply(meta.preTokenBalances, -1);
+  apply(meta.postTokenBalances, 1);
+  return deltas;
+}
+
+// Largest single inflow (sign 1) or outflow (sign -1) among the owners, as a positive BN
+function largestDelta(deltas, sign) {
+  let largest = null;
+  for (const delta of deltas.values()) {
+    const amount = delta.muln(sign);
+    if (amount.gtn(0) && (!largest || amount.gt(largest))) largest = amount;
+  }
+  return largest;
+}
+
+function positiveOrNull(amount) {
+  return amount && amount.gtn(0) ? amount : null;
+}
+
+/**
+ * Balances of one token account before and after the transaction
+ * @returns {Object|null} { pre: BN, post: BN }, null when the account wasn't touched
+ */
+function getAccountBalances(meta, accountKeys, account) {
+  const find = (balances) => (balances || []).find(
+    (balance) => accountKeys.get(balance.accountIndex)?.equals(account)
+  );
+  const pre = find(meta.preTokenBalances);
+  const post = find(meta.postTokenBalances);
+  if (!pre && !post) return null;
+
+  return {
+    pre: new BN(pre?.uiTokenAmount.amount || '0'),
+    post: new BN(post?.uiTokenAmount.amount || '0'),
+  };
+}
+
+/**
+ * Read the Raydium CPMM vaults around a transaction
+ * @returns {Object|null} { projectDelta, stableDelta, postPrice } null if the vaults didn't move
+ */
+function getRaydiumVaultChange(pool, meta, accountKeys) {
+  if (!pool.isLiveOnRaydium) return null;
+
+  const projectVault = pool.token0IsProject ? pool.raydiumToken0Vault : pool.raydiumToken1Vault;
+  const stableVault = pool.token0IsProject ? pool.raydiumToken1Vault : pool.raydiumToken0Vault;
+  const project = getAccountBalances(meta, accountKeys, projectVault);
+  const stable = getAccountBalances(meta, accountKeys, stableVault);
+  if (!project || !stable || project.post.isZero()) return null;
+
+  return {
+    projectDelta: project.post.sub(project.pre),
+    stableDelta: stable.post.sub(stable.pre),
+    postPrice: bnToNumber(stable.post, pool.stableDecimals) /
+      bnToNumber(project.post, TOKEN_STANDARDS.TOKEN_DECIMALS),
+  };
+}
+
+/**
+ * Work out the amounts of one launchpad instruction
+ * Buys and sells take the exact input from the instruction arguments and the
+ * output from the trader's balance change; buys into locked tokens have no
+ * visible token output.
+ * @returns {Object} { tokenAmountRaw: BN|null, stableAmountRaw: BN|null }
+ */
+function getTradeAmounts(name, args, accounts, stableDeltas, projectDeltas) {
+  const deltaOf = (deltas, account) => (account && deltas.get(account.toBase58())) || null;
+
+  switch (name) {
+    case 'buyToken':
+      return {
+        stableAmountRaw: new BN(args.stableAmountIn.toString()),
+        tokenAmountRaw: positiveOrNull(deltaOf(projectDeltas, accounts.recipient)),
+      };
+    case 'initialBuy':
+      return {
+        stableAmountRaw: new BN(args.stableAmountIn.toString()),
+        tokenAmountRaw: positiveOrNull(deltaOf(projectDeltas, accounts.creator)),
+      };
+    case 'sellToken':
+      return {
+        tokenAmountRaw: new BN(args.projectAmountIn.toString()),
+        stableAmountRaw: positiveOrNull(deltaOf(stableDeltas, accounts.recipient)),
+      };
+    case 'executeBundleBuy':
+      return {
+        stableAmountRaw: largestDelta(stableDeltas, -1),
+        tokenAmountRaw: largestDelta(projectDeltas, 1),
+      };
+    default:
+      // Finalization moves the raise out of the pool
+      return {
+        stableAmountRaw: largestDelta(stableDeltas, -1),
+        tokenAmountRaw: largestDelta(projectDeltas, -1),
+      };
+  }
+}
+
+/**
+ * Decode the trades in one transaction
+ * Launchpad instructions are decoded with the Anchor coder; anything else that
+ * moved the Raydium vaults one way each is recorded as a direct Raydium swap.
+ * @param {Program} program - Anchor program, used for its instruction coder and IDL
+ * @param {Object} pool - Pool view from buildPoolView
+ * @param {string} signature - Transaction signature
+ * @param {Object} tx - Versioned transaction response
+ * @returns {Array<Object>} Trades, one per matching top-level instruction
+ */
+function decodeTrades(program, pool, signature, tx) {
+  if (!tx?.meta || tx.meta.err) return [];
+
+  const { message } = tx.transaction;
+  const accountKeys = message.getAccountKeys({ accountKeysFromLookups: tx.meta.loadedAddresses });
+  const stableDeltas = getTokenDeltas(tx.meta, pool.stableMint);
+  const projectDeltas = getTokenDeltas(tx.meta, pool.projectMint);
+  const raydium = getRaydiumVaultChange(pool, tx.meta, accountKeys);
+  const trades = [];
+
+  message.compiledInstructions.forEach((ix, index) => {
+    if (!accountKeys.get(ix.programIdIndex)?.equals(PROGRAM_ID)) return;
+
+    const decoded = program.coder.instruction.decode(Buffer.from(ix.data));
+    const kind = decoded && TRADE_INSTRUCTIONS[decoded.name];
+    if (!kind) return;
+
+    // Map the IDL account names onto this instruction's keys
+    const idlAccounts = program.idl.instructions.find((i) => i.name === decoded.name).accounts;
+    const accounts = {};
+    idlAccounts.forEach((account, position) => {
+      accounts[account.name] = accountKeys.get(ix.accountKeyIndexes[position]);
+    });
+
+    // Skip instructions for other pools sharing the transaction
+    const poolAccount = accounts.poolAcc || accounts.pool;
+    if (poolAccount && !poolAccount.equals(pool.address)) return;
+
+    const { tokenAmountRaw, stableAmountRaw } = getTradeAmounts(
+      decoded.name, decoded.data, accounts, stableDeltas, projectDeltas
+    );
+    const tokenAmount = tokenAmountRaw ? bnToNumber(tokenAmountRaw, TOKEN_STANDARDS.TOKEN_DECIMALS) : null;
+    const stableAmount = stableAmountRaw ? bnToNumber(stableAmountRaw, pool.stableDecimals) : null;
+
+    trades.push({
+      id: `${signature}:${index}`,
+      signature,
+      blockTime: tx.blockTime,
+      side: kind.side,
+      instruction: decoded.name,
+      wallet: accounts[kind.wallet],
+      tokenAmount,
+      tokenAmountRaw,
+      stableAmount,
+      stableAmountRaw,
+      price: kind.side !== 'finalize' && tokenAmount && stableAmount ? stableAmount / tokenAmount : null,
+      postPrice: kind.side !== 'finalize' && raydium ? raydium.postPrice : null,
+    });
+  });
+
+  // Swaps that went straight to Raydium without the launchpad
+  if (trades.length === 0 && raydium && raydium.projectDelta.isNeg() !== raydium.stableDelta.isNeg()) {
+    const tokenAmountRaw = raydium.projectDelta.abs();
+    const stableAmountRaw = raydium.stableDelta.abs();
+    const tokenAmount = bnToNumber(tokenAmountRaw, TOKEN_STANDARDS.TOKEN_DECIMALS);
+    const stableAmount = bnToNumber(stableAmountRaw, pool.stableDecimals);
+
+    trades.push({
+      id: `${signature}:raydium`,
+      signature,
+      blockTime: tx.blockTime,
+      side: raydium.projectDelta.isNeg() ? 'buy' : 'sell',
+      instruction: 'raydiumSwap',
+      wallet: accountKeys.get(0),
+      tokenAmount,
+      tokenAmountRaw,
+      stableAmount,
+      stableAmountRaw,
+      price: tokenAmount ? stableAmount / tokenAmount : null,
+      postPrice: raydium.postPrice,
+    });
+  }
+
+  return trades.reverse();
+}
+
+/**
+ * Fetch one page of a pool's trade history, newest first
+ * Pages follow the signature lists of the pool PDA and, once migrated, the
+ * Raydium pool state, so a page can hold fewer trades than signatures when
+ * other instructions touched those accounts.
+ * @param {Connection} connection - Solana connection
+ * @param {Program} program - Anchor program
+ * @param {Object} pool - Pool view from buildPoolView
+ * @param {Object|null} cursor - nextCursor of the previous page, null for the latest
+ * @returns {Promise<Object>} { trades, nextCursor } nextCursor is null on the last page
+ */
+export async function fetchPoolTrades(connection, program, pool, cursor = null) {
+  const sources = { pool: pool.address };
+  if (pool.isLiveOnRaydium) sources.raydium = pool.raydiumPoolState;
+
+  const nextCursor = {};
+  const signatureInfos = new Map();
+
+  // Sources run sequentially to stay friendly to rate-limited RPCs
+  for (const [key, address] of Object.entries(sources)) {
+    if (cursor && !cursor[key]) continue;
+
+    const signatures = await connection.getSignaturesForAddress(
+      address,
+      { before: cursor?.[key], limit: RPC_LIMITS.SIGNATURES_PAGE_SIZE },
+      'confirmed'
+    );
+
+    nextCursor[key] = signatures.length === RPC_LIMITS.SIGNATURES_PAGE_SIZE
+      ? signatures[signatures.length - 1].signature
+      : null;
+
+    for (const info of signatures) {
+      if (!info.err) signatureInfos.set(info.signature, info);
+    }
+  }
+
+  return {
+    trades: await fetchDecodedTrades(connection, program, pool, [...signatureInfos.values()]),
+    nextCursor: Object.values(nextCursor).some(Boolean) ? nextCursor : null,
+  };
+}
+
+/**
+ * Fetch every trade a wallet made in one pool, newest first
+ * Follows the wallet's own accounts for the pool (token account, LockedTokens,
+ * BundleDeposit and WalletBalance) instead of the busier pool PDA, paging
+ * back RPC_LIMITS.MAX_SIGNATURES signatures at a time until each is exhausted.
+ * @param {Connection} connection - Solana connection
+ * @param {Program} program - Anchor program
+ * @param {Object} pool - Pool view from buildPoolView
+ * @param {PublicKey} owner - Wallet to look up
+ * @returns {Promise<Array<Object>>} Trades made by the wallet
+ */
+export async function fetchWalletTrades(connection, program, pool, owner) {
+  const { lockedTokens, bundleDeposit, walletBalance } = await deriveUserPoolPDAs(pool.address, owner);
+  const projectAta = await getAssociatedTokenAddress(pool.projectMint, owner);
+
+  const signatureInfos = new Map();
+  for (const address of [projectAta, lockedTokens, bundleDeposit, walletBalance]) {
+    let before;
+    let signatures;
+    do {
+      signatures = await connection.getSignaturesForAddress(
+        address,
+        { before, limit: RPC_LIMITS.MAX_SIGNATURES },
+        'confirmed'
+      );
+      for (const info of signatures) {
+        if (!info.err) signatureInfos.set(info.signature, info);
+      }
+      before = signatures[signatures.length - 1]?.signature;
+    } while (signatures.length === RPC_LIMITS.MAX_SIGNATURES);
+  }
+
+  const trades = await fetchDecodedTrades(connection, program, pool, [...signatureInfos.values()]);
+  return trades.filter((trade) => trade.wallet?.equals(owner));
+}
+
+/**
+ * Load and decode transactions, a page of signatures per request
+ * @returns {Promise<Array<Object>>} Trades sorted newest first
+ */
+async function fetchDecodedTrades(connection, program, pool, signatureInfos) {
+  const trades = [];
+
+  for (let i = 0; i < signatureInfos.length; i += RPC_LIMITS.SIGNATURES_PAGE_SIZE) {
+    const chunk = signatureInfos.slice(i, i + RPC_LIMITS.SIGNATURES_PAGE_SIZE);
+    const transactions = await connection.getTransactions(
+      chunk.map((info) => info.signature),
+      { commitment: 'confirmed', maxSupportedTransactionVersion: 0 }
+    );
+
+    chunk.forEach((info, j) => {
+      try {
+        trades.push(...decodeTrades(program, pool, info.signature, transactions[j]));
+      } catch (error) {
+        console.error(`Error decoding transaction ${info.signature}:`, error);
+      }
+    });
+  }
+
+  // Stable sort keeps instruction order within a transaction
+  return trades.sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0));
+}
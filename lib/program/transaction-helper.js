@@ -1,4 +1,5 @@
-import { Transaction, ComputeBudgetProgram } from '@solana/web3.js';
+import { Transaction, TransactionMessage, VersionedTransaction, ComputeBudgetProgram } from '@solana/web3.js';
+import { BN } from '@coral-xyz/anchor';
 import { COMPUTE_UNITS, UI_CONSTANTS } from '@/lib/constants';
 
 export async function sendTransaction(connection, wallet, instructions, signers = []) {
@@ -80,4 +81,94 @@ export async function sendTransaction(connection, wallet, instructions, signers
     
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Simulate instructions without asking the wallet to sign
+ * A default compute unit limit is added unless the instructions already set one.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} payer - Fee payer used for the simulated transaction
+ * @param {Array<TransactionInstruction>} instructions - Instructions to simulate
+ * @param {Object} options - Optional { accounts: PublicKey[] } to return post-simulation account data
+ * @returns {Promise<Object>} Simulation result ({ err, logs, accounts, returnData, unitsConsumed })
+ */
+export async function simulateInstructions(connection, payer, instructions, options = {}) {
+  const { blockhash } = await connection.getLatestBlockhash('confirmed');
+
+  // Duplicate compute budget instructions fail the whole transaction
+  const hasComputeBudget = instructions.some((ix) => ix.programId.equals(ComputeBudgetProgram.programId));
+
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: blockhash,
+    instructions: [
+      ...(hasComputeBudget ? [] : [ComputeBudgetProgram.setComputeUnitLimit({ units: COMPUTE_UNITS.DEFAULT })]),
+      ...instructions,
+    ],
+  }).compileToV0Message();
+
+  const simulation = await connection.simulateTransaction(new VersionedTransaction(message), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: 'confirmed',
+    ...(options.accounts && {
+      accounts: {
+        encoding: 'base64',
+        addresses: options.accounts.map((account) => account.toBase58()),
+      },
+    }),
+  });
+
+  return simulation.value;
+}
+
+/**
+ * Simulate a trade and measure what it credits to the output account
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} payer - Trader, used as fee payer
+ * @param {Array<TransactionInstruction>} instructions - Full trade transaction instructions
+ * @param {Object} options - { account: PublicKey, readAmount: (Buffer|null) => BN, minimumOut: BN|null }
+ * @returns {Promise<Object>} { err, logs, received: BN, passed } - passed is true when no minimum is given
+ */
+export async function simulateOutputGuard(connection, payer, instructions, { account, readAmount, minimumOut = null }) {
+  const before = await connection.getAccountInfo(account, 'confirmed');
+  const result = await simulateInstructions(connection, payer, instructions, { accounts: [account] });
+
+  if (result.err) {
+    return { err: result.err, logs: result.logs, received: null, passed: false };
+  }
+
+  // Accounts that don't exist after the simulation come back null or empty
+  const after = result.accounts?.[0];
+  const afterData = after ? Buffer.from(after.data[0], 'base64') : null;
+  const received = readAmount(afterData).sub(readAmount(before?.data || null));
+
+  return {
+    err: null,
+    logs: result.logs,
+    received,
+    passed: !minimumOut || received.gte(minimumOut),
+  };
+}
+
+/**
+ * Run a view instruction that returns a u128 and decode its return data
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} payer - Any funded account; nothing is signed or sent
+ * @param {TransactionInstruction} instruction - View instruction
+ * @returns {Promise<BN>} Returned value
+ */
+export async function simulateViewU128(connection, payer, instruction) {
+  const result = await simulateInstructions(connection, payer, [instruction]);
+
+  if (result.err) {
+    throw new Error((result.logs || []).join('\n') || JSON.stringify(result.err));
+  }
+
+  const data = result.returnData?.data?.[0];
+  if (!data) {
+    throw new Error('View instruction returned no data');
+  }
+
+  return new BN(Buffer.from(data, 'base64').subarray(0, 16), 'le');
+}
@@ -0,0 +1,87 @@
+import { BN } from '@coral-xyz/anchor';
+import {
+  calculateBuyOutput,
+  calculateSellOutput,
+  calculateMaxSellAtPrice,
+  calculateScaledPrice,
+  getCurveReserves
+} from '@/lib/utils/bondingCurve';
+import fixtures from './fixtures/bondingCurve.json';
+
+// Pool account data as Anchor decodes it: u128 fields as BN, taxes on params
+function toPoolData({ buyTax, sellTax, ...reserves }) {
+  return {
+    ...Object.fromEntries(Object.entries(reserves).map(([key, value]) => [key, new BN(value)])),
+    params: { buyTax, sellTax },
+  };
+}
+
+function toConfig({ tradingFee }) {
+  return tradingFee === undefined ? {} : { tradingFee: new BN(tradingFee) };
+}
+
+describe.each(fixtures.pools)('$name', ({ pool, config, buys, sells, maxSells }) => {
+  const poolData = toPoolData(pool);
+  const configData = toConfig(config);
+
+  test.each(buys)('buy of $amountIn', ({ amountIn, amountOut, fee, tax, error }) => {
+    const quote = () => calculateBuyOutput(poolData, new BN(amountIn), configData);
+
+    if (error) {
+      expect(quote).toThrow(error);
+      return;
+    }
+
+    const { tokensOutRaw, feeRaw, taxRaw } = quote();
+    expect(tokensOutRaw.toString()).toBe(amountOut);
+    expect(feeRaw.toString()).toBe(fee);
+    expect(taxRaw.toString()).toBe(tax);
+  });
+
+  test.each(sells)('sell of $amountIn', ({ amountIn, amountOut, fee, tax, error }) => {
+    const quote = () => calculateSellOutput(poolData, new BN(amountIn), configData);
+
+    if (error) {
+      expect(quote).toThrow(error);
+      return;
+    }
+
+    const { usdcOutRaw, feeRaw, taxRaw } = quote();
+    expect(usdcOutRaw.toString()).toBe(amountOut);
+    expect(feeRaw.toString()).toBe(fee);
+    expect(taxRaw.toString()).toBe(tax);
+  });
+
+  test.each(maxSells)('max sell above $floorPrice', ({ floorPrice, maxAmountIn }) => {
+    const floor = new BN(floorPrice);
+    const maxSell = calculateMaxSellAtPrice(poolData, floor);
+    expect(maxSell.toString()).toBe(maxAmountIn);
+
+    // Selling the limit keeps the curve at or above the floor
+    if (maxSell.isZero()) return;
+    const { stable, token } = getCurveReserves(poolData);
+    const newToken = token.add(maxSell.sub(maxSell.muln(pool.sellTax).divn(10000)));
+    const newStable = stable.mul(token).add(newToken).subn(1).div(newToken);
+    const after = calculateScaledPrice({
+      reserveStableMint: newStable,
+      stableReserveVirtual: new BN(0),
+      reserveProjectMint: newToken,
+      tokenReserveVirtual: new BN(0),
+    });
+    expect(after.gte(floor)).toBe(true);
+  });
+});
+
+describe('calculateMaxSellAtPrice', () => {
+  const poolData = toPoolData(fixtures.pools[1].pool);
+
+  test('has no limit without a floor price', () => {
+    expect(calculateMaxSellAtPrice(poolData, new BN(0))).toBeNull();
+  });
+
+  test('has no limit when the sell tax takes everything', () => {
+    const floor = calculateScaledPrice(poolData).divn(2);
+    const fullTax = { ...poolData, params: { ...poolData.params, sellTax: 10000 } };
+    expect(calculateMaxSellAtPrice(fullTax, floor)).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+import { BN } from '@coral-xyz/anchor';
+import { calculateRaydiumBuyOutput, calculateRaydiumSellOutput } from '@/lib/utils/calculations';
+
+// 0.25% Raydium trade fee on a 100,000 USDC / 1B token pair
+const reserves = {
+  stableReserve: new BN('100000000000'),
+  projectReserve: new BN('1000000000000000000'),
+  tradeFeeRate: new BN(2500),
+};
+const config = { tradingFee: new BN(100) };
+
+function taxedPool(buyTax, sellTax) {
+  return { params: { buyTax, sellTax } };
+}
+
+describe('calculateRaydiumBuyOutput', () => {
+  test('takes the buy tax from the tokens Raydium returns', () => {
+    const stableIn = new BN('1000000000');
+    const untaxed = calculateRaydiumBuyOutput(taxedPool(0, 0), reserves, stableIn, config);
+    const taxed = calculateRaydiumBuyOutput(taxedPool(500, 0), reserves, stableIn, config);
+
+    expect(untaxed.taxRaw.isZero()).toBe(true);
+    expect(taxed.taxRaw.toString()).toBe(untaxed.tokensOutRaw.muln(500).divn(10000).toString());
+    expect(taxed.tokensOutRaw.toString()).toBe(untaxed.tokensOutRaw.sub(taxed.taxRaw).toString());
+  });
+});
+
+describe('calculateRaydiumSellOutput', () => {
+  test('swaps only the tokens left after the sell tax', () => {
+    const tokensIn = new BN('10000000000000000');
+    const taxed = calculateRaydiumSellOutput(taxedPool(0, 300), reserves, tokensIn, config);
+    const afterTax = calculateRaydiumSellOutput(taxedPool(0, 0), reserves, tokensIn.muln(9700).divn(10000), config);
+
+    expect(taxed.taxRaw.toString()).toBe('300000000000000');
+    expect(taxed.usdcOutRaw.toString()).toBe(afterTax.usdcOutRaw.toString());
+  });
+});
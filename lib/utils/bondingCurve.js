@@ -1,43 +1,228 @@
-export function calculateBondingCurvePrice(pool) {
-  try {
-    // Use the same calculation as the program
-    const totalStable = BigInt(pool.reserveStable) + BigInt(pool.stableReserveVirtual || 0);
-    const totalToken = BigInt(pool.reserveProject) + BigInt(pool.tokenReserveVirtual || 0);
-    
-    if (totalToken === BigInt(0)) return 0;
-    
-    // Price = stable / token (accounting for decimals)
-    // USDC has 6 decimals, Token has 9 decimals
-    // So we multiply by 10^3 to normalize
-    const price = Number(totalStable * BigInt(1000) / totalToken) / 1000;
-    
-    return price;
-  } catch (error) {
-    console.error('Error calculating price:', error);
-    return 0;
+import { BN } from '@coral-xyz/anchor';
+import BigNumber from 'bignumber.js';
+import { TOKEN_STANDARDS, CALCULATION_CONSTANTS } from '@/lib/constants';
+import { bnToNumber, getTradingFeeBps } from '@/lib/utils/calculations';
+
+// Integer model of the launchpad's pre-migration curve. Everything stays in
+// base units: the constant product runs on real + virtual reserves, fees and
+// taxes are basis points rounded down, and the post-swap reserve is rounded up
+// so the trader never gets more than the pool pays out.
+
+const BASIS_POINTS = new BN(TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS);
+const PRICE_PRECISION = new BN(CALCULATION_CONSTANTS.PRICE_PRECISION.toString());
+
+function ceilDiv(numerator, denominator) {
+  const { div, mod } = numerator.divmod(denominator);
+  return mod.isZero() ? div : div.addn(1);
+}
+
+// Integer square root, rounded down
+function isqrt(value) {
+  if (value.ltn(2)) return value.clone();
+
+  let x = new BN(1).ushln(Math.ceil(value.bitLength() / 2));
+  for (;;) {
+    const y = x.add(value.div(x)).ushrn(1);
+    if (y.gte(x)) return x;
+    x = y;
   }
 }
 
-export function calculateTokensOut(pool, usdcIn) {
-  try {
-    const tradingFee = 0.01; // 1% fee
-    const amountAfterFee = usdcIn * (1 - tradingFee);
-    
-    const totalStable = Number(pool.reserveStable) / 1e6 + Number(pool.stableReserveVirtual) / 1e6;
-    const totalToken = Number(pool.reserveProject) / 1e9 + Number(pool.tokenReserveVirtual) / 1e9;
-    
-    const k = totalStable * totalToken;
-    const newStable = totalStable + amountAfterFee;
-    const newToken = k / newStable;
-    const tokensOut = totalToken - newToken;
-    
-    // Apply buy tax
-    const buyTax = (pool.buyTax || 0) / 10000;
-    const taxAmount = tokensOut * buyTax;
-    
-    return tokensOut - taxAmount;
-  } catch (error) {
-    console.error('Error calculating tokens out:', error);
-    return 0;
+function takeBasisPoints(amount, bps) {
+  return amount.mul(new BN(bps)).div(BASIS_POINTS);
+}
+
+// Relative move of the spot price (stable per token) across a swap, in percent
+function priceImpactPercent(stableBefore, tokenBefore, stableAfter, tokenAfter) {
+  const before = new BigNumber(stableBefore.toString()).div(tokenBefore.toString());
+  const after = new BigNumber(stableAfter.toString()).div(tokenAfter.toString());
+  return after.minus(before).div(before).times(100).abs().toNumber();
+}
+
+/**
+ * Reserves the curve prices against
+ * @param {Object} poolData - Pool account data
+ * @returns {Object} { stable: BN, token: BN } real plus virtual reserves, base units
+ */
+export function getCurveReserves(poolData) {
+  return {
+    stable: poolData.reserveStableMint.add(poolData.stableReserveVirtual),
+    token: poolData.reserveProjectMint.add(poolData.tokenReserveVirtual),
+  };
+}
+
+/**
+ * Spot price of the project token on the curve
+ * @param {Object} poolData - Pool account data
+ * @param {number} stableDecimals - Decimals of the pool's stable coin
+ * @returns {number} Price in stable coin per whole token
+ */
+export function calculateCurrentPrice(poolData, stableDecimals = TOKEN_STANDARDS.USDC_DECIMALS) {
+  if (!poolData) return 0;
+
+  const { stable, token } = getCurveReserves(poolData);
+  if (token.isZero()) return 0;
+
+  return new BigNumber(stable.toString())
+    .times(new BigNumber(10).pow(TOKEN_STANDARDS.TOKEN_DECIMALS))
+    .div(token.toString())
+    .div(new BigNumber(10).pow(stableDecimals))
+    .toNumber();
+}
+
+/**
+ * Spot price in the program's fixed-point form, as stored in LimitParams gPrice/wPrice
+ * @param {Object} poolData - Pool account data
+ * @returns {BN} Stable base units per token base unit × CALCULATION_CONSTANTS.PRICE_PRECISION
+ */
+export function calculateScaledPrice(poolData) {
+  const { stable, token } = getCurveReserves(poolData);
+  if (token.isZero()) return new BN(0);
+  return stable.mul(PRICE_PRECISION).div(token);
+}
+
+/**
+ * Largest curve sell that leaves the spot price at or above a floor
+ * Selling x tokens (after tax) moves the price to k / (token + x)², so the
+ * post-sell token reserve is capped at √(k / floor).
+ * @param {Object} poolData - Pool account data
+ * @param {BN} floorPrice - Minimum price, scaled as in calculateScaledPrice
+ * @returns {BN|null} Token input in base units before sell tax, null when there's no floor
+ */
+export function calculateMaxSellAtPrice(poolData, floorPrice) {
+  if (floorPrice.isZero()) return null;
+
+  const { stable, token } = getCurveReserves(poolData);
+  const maxToken = isqrt(stable.mul(token).mul(PRICE_PRECISION).div(floorPrice));
+  if (maxToken.lte(token)) return new BN(0);
+
+  const untaxed = BASIS_POINTS.subn(poolData.params?.sellTax || 0);
+  if (untaxed.isZero()) return null;
+  return maxToken.sub(token).mul(BASIS_POINTS).div(untaxed);
+}
+
+/**
+ * Quote a curve buy for an exact stable coin input
+ * The trading fee comes off the input, the buy tax off the tokens the swap releases.
+ * @param {Object} poolData - Pool account data
+ * @param {BN} stableAmountIn - Stable coin to spend, base units
+ * @param {Object} config - Config account data
+ * @param {number} stableDecimals - Decimals of the pool's stable coin
+ * @returns {Object} { tokensOut, tokensOutRaw, priceImpact, fee, feeRaw, tax, taxRaw }
+ * @throws {Error} If the buy would take more tokens than the pool holds
+ */
+export function calculateBuyOutput(poolData, stableAmountIn, config, stableDecimals = TOKEN_STANDARDS.USDC_DECIMALS) {
+  const feeRaw = takeBasisPoints(stableAmountIn, getTradingFeeBps(config));
+  const amountInAfterFee = stableAmountIn.sub(feeRaw);
+
+  const { stable, token } = getCurveReserves(poolData);
+  const newStable = stable.add(amountInAfterFee);
+  const newToken = ceilDiv(stable.mul(token), newStable);
+  const projectOut = token.sub(newToken);
+
+  if (projectOut.gt(poolData.reserveProjectMint)) {
+    throw new Error('Not enough tokens left in the pool');
   }
-}
\ No newline at end of file
+
+  const taxRaw = takeBasisPoints(projectOut, poolData.params?.buyTax || 0);
+  const tokensOutRaw = projectOut.sub(taxRaw);
+
+  return {
+    tokensOut: bnToNumber(tokensOutRaw, TOKEN_STANDARDS.TOKEN_DECIMALS),
+    tokensOutRaw,
+    priceImpact: priceImpactPercent(stable, token, newStable, newToken),
+    fee: bnToNumber(feeRaw, stableDecimals),
+    feeRaw,
+    tax: bnToNumber(taxRaw, TOKEN_STANDARDS.TOKEN_DECIMALS),
+    taxRaw,
+  };
+}
+
+/**
+ * Quote a curve sell for an exact token input
+ * The sell tax comes off the tokens before the swap, the trading fee off the stable coin it returns.
+ * @param {Object} poolData - Pool account data
+ * @param {BN} tokenAmountIn - Project tokens to sell, base units
+ * @param {Object} config - Config account data
+ * @param {number} stableDecimals - Decimals of the pool's stable coin
+ * @returns {Object} { usdcOut, usdcOutRaw, priceImpact, fee, feeRaw, tax, taxRaw }
+ * @throws {Error} If the sell would take more stable coin than the pool holds
+ */
+export function calculateSellOutput(poolData, tokenAmountIn, config, stableDecimals = TOKEN_STANDARDS.USDC_DECIMALS) {
+  const taxRaw = takeBasisPoints(tokenAmountIn, poolData.params?.sellTax || 0);
+  const amountInAfterTax = tokenAmountIn.sub(taxRaw);
+
+  const { stable, token } = getCurveReserves(poolData);
+  const newToken = token.add(amountInAfterTax);
+  const newStable = ceilDiv(stable.mul(token), newToken);
+  const stableOut = stable.sub(newStable);
+
+  if (stableOut.gt(poolData.reserveStableMint)) {
+    throw new Error('Not enough stable coin in the pool');
+  }
+
+  const feeRaw = takeBasisPoints(stableOut, getTradingFeeBps(config));
+  const usdcOutRaw = stableOut.sub(feeRaw);
+
+  return {
+    usdcOut: bnToNumber(usdcOutRaw, stableDecimals),
+    usdcOutRaw,
+    priceImpact: priceImpactPercent(stable, token, newStable, newToken),
+    fee: bnToNumber(feeRaw, stableDecimals),
+    feeRaw,
+    tax: bnToNumber(taxRaw, TOKEN_STANDARDS.TOKEN_DECIMALS),
+    taxRaw,
+  };
+}
+
+/**
+ * Curve price after each of a pool's past trades, found by replaying them
+ * backwards from the current reserves
+ * Buys put their stable input (less the trading fee) into the curve and sells
+ * their token input (less the sell tax); reversing that along k recovers the
+ * reserves before each trade. The walk stops at the first trade it can't undo.
+ * Trades after finalization belong to Raydium and are skipped.
+ * @param {Object} poolData - Pool account data
+ * @param {Array<Object>} trades - Decoded trades, newest first
+ * @param {Object} config - Config account data
+ * @param {number} stableDecimals - Decimals of the pool's stable coin
+ * @returns {Map<string, number>} Trade id → price in stable coin per whole token
+ */
+export function calculateHistoricalPrices(poolData, trades, config, stableDecimals = TOKEN_STANDARDS.USDC_DECIMALS) {
+  const prices = new Map();
+  let { stable, token } = getCurveReserves(poolData);
+  const k = stable.mul(token);
+
+  const toPrice = () => new BigNumber(stable.toString())
+    .times(new BigNumber(10).pow(TOKEN_STANDARDS.TOKEN_DECIMALS))
+    .div(token.toString())
+    .div(new BigNumber(10).pow(stableDecimals))
+    .toNumber();
+
+  // Finalized pools only replay what happened before the finalize instruction
+  let onCurve = !poolData.isFinalized;
+
+  for (const trade of trades) {
+    if (trade.side === 'finalize') {
+      onCurve = true;
+      continue;
+    }
+    if (!onCurve) continue;
+
+    prices.set(trade.id, toPrice());
+
+    if (trade.side === 'sell') {
+      if (!trade.tokenAmountRaw) break;
+      token = token.sub(trade.tokenAmountRaw.sub(takeBasisPoints(trade.tokenAmountRaw, poolData.params?.sellTax || 0)));
+      if (token.lten(0)) break;
+      stable = k.div(token);
+    } else {
+      if (!trade.stableAmountRaw) break;
+      stable = stable.sub(trade.stableAmountRaw.sub(takeBasisPoints(trade.stableAmountRaw, getTradingFeeBps(config))));
+      if (stable.lten(0)) break;
+      token = k.div(stable);
+    }
+  }
+
+  return prices;
+}
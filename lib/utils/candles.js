@@ -0,0 +1,60 @@
+import { calculateHistoricalPrices } from '@/lib/utils/bondingCurve';
+
+/**
+ * Price points for a pool's chart, oldest first
+ * Curve-phase trades take the replayed curve price, Raydium-phase trades the
+ * vault ratio recorded with the trade.
+ * @param {Object} poolData - Pool account data
+ * @param {Array<Object>} trades - Decoded trades from fetchPoolTrades, newest first
+ * @param {Object} config - Config account data
+ * @param {number} stableDecimals - Decimals of the pool's stable coin
+ * @returns {Array<Object>} { time, price, volume } with time in unix seconds
+ */
+export function buildPricePoints(poolData, trades, config, stableDecimals) {
+  const curvePrices = calculateHistoricalPrices(poolData, trades, config, stableDecimals);
+  const points = [];
+
+  for (const trade of trades) {
+    const price = trade.postPrice ?? curvePrices.get(trade.id);
+    if (!trade.blockTime || price === undefined || price === null || !Number.isFinite(price)) continue;
+    points.push({ time: trade.blockTime, price, volume: trade.stableAmount || 0 });
+  }
+
+  return points.reverse();
+}
+
+/**
+ * Aggregate price points into OHLCV candles
+ * Empty buckets are skipped rather than filled.
+ * @param {Array<Object>} points - From buildPricePoints, oldest first
+ * @param {number} intervalSeconds - Candle width
+ * @returns {Array<Object>} { time, open, high, low, close, volume }, time is the bucket start
+ */
+export function buildCandles(points, intervalSeconds) {
+  const candles = [];
+
+  for (const { time, price, volume } of points) {
+    const bucket = Math.floor(time / intervalSeconds) * intervalSeconds;
+    const last = candles[candles.length - 1];
+
+    if (last && last.time === bucket) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+      last.volume += volume;
+    } else {
+      // Open at the previous close so consecutive candles connect
+      const open = last ? last.close : price;
+      candles.push({
+        time: bucket,
+        open,
+        high: Math.max(open, price),
+        low: Math.min(open, price),
+        close: price,
+        volume,
+      });
+    }
+  }
+
+  return candles;
+}
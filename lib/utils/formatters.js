@@ -1,6 +1,6 @@
 //T
 
-import { CALCULATION_CONSTANTS, TOKEN_STANDARDS } from '@/lib/constants';
+import { CALCULATION_CONSTANTS, TOKEN_STANDARDS, DEX_ROUTER_LABELS, STABLE_COIN_SYMBOLS, ACTIVE_CLUSTER } from '@/lib/constants';
 
 /**
  * Shorten a Solana address for display
@@ -162,19 +162,45 @@ export function formatBasisPoints(basisPoints) {
  * @returns {string} Explorer URL
  */
 export function getExplorerLink(address, type = 'address') {
-  const cluster = 'devnet'; // Change for mainnet
+  // Solscan can't reach a local validator, so custom clusters use the Solana Explorer
+  if (ACTIVE_CLUSTER.explorerCluster === 'custom') {
+    const path = type === 'tx' ? 'tx' : 'address';
+    return `https://explorer.solana.com/${path}/${address}?cluster=custom&customUrl=${encodeURIComponent(ACTIVE_CLUSTER.endpoint)}`;
+  }
+
   const baseUrl = 'https://solscan.io';
+  const query = ACTIVE_CLUSTER.explorerCluster === 'mainnet-beta' ? '' : `?cluster=${ACTIVE_CLUSTER.explorerCluster}`;
   
   switch (type) {
     case 'tx':
-      return `${baseUrl}/tx/${address}?cluster=${cluster}`;
+      return `${baseUrl}/tx/${address}${query}`;
     case 'token':
-      return `${baseUrl}/token/${address}?cluster=${cluster}`;
+      return `${baseUrl}/token/${address}${query}`;
     default:
-      return `${baseUrl}/account/${address}?cluster=${cluster}`;
+      return `${baseUrl}/account/${address}${query}`;
   }
 }
 
+/**
+ * Get display name for a DEX router program
+ * @param {PublicKey|string} router - Router program address
+ * @returns {string} Known router name or shortened address
+ */
+export function getDexRouterLabel(router) {
+  const address = router.toString();
+  return DEX_ROUTER_LABELS[address] || shortenAddress(address);
+}
+
+/**
+ * Get display symbol for a stable coin mint
+ * @param {PublicKey|string} mint - Stable coin mint address
+ * @returns {string} Known symbol or shortened address
+ */
+export function getStableCoinSymbol(mint) {
+  const address = mint.toString();
+  return STABLE_COIN_SYMBOLS[address] || shortenAddress(address);
+}
+
 /**
  * Format pool status
  * @param {Object} pool - Pool data
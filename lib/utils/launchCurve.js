@@ -0,0 +1,52 @@
+import { TOKEN_STANDARDS } from '@/lib/constants';
+
+// Preview of a launch's bonding curve before the pool exists. The raise is set
+// by Config requireRaiseUsd, not by the creator, so the constant-product curve
+// is sized to raise exactly that while selling out moves the price from
+// startPrice to endPrice; the prices decide how many tokens are sold. It also
+// assumes the unsold tokens are paired with the raise at endPrice on finalize.
+// Display-only floating point; quotes on a live pool use bondingCurve.js.
+
+/**
+ * Shape of a launch curve from its price range and raise target
+ * @param {Object} options
+ * @param {number} options.startPrice - Price at launch, stable per token
+ * @param {number} options.endPrice - Price once the curve sells out
+ * @param {number} options.raise - Stable raised by selling out the curve
+ * @param {number} options.finalizeFeeBps - Config fee taken from both sides at finalize
+ * @param {number} [options.samples=64] - Points along the curve
+ * @returns {Object|null} { tokensForSale, liquidityTokens, liquidityStable, totalSupply,
+ *   averagePrice, points: Array<{ sold, raised, price }> }, null for an invalid range
+ */
+export function calculateLaunchCurve({ startPrice, endPrice, raise, finalizeFeeBps, samples = 64 }) {
+  if (!(startPrice > 0) || !(endPrice > startPrice) || !(raise > 0)) return null;
+
+  // For x·y = k between prices p0 and p1: raise = √k(√p1 − √p0), tokens = √k(1/√p0 − 1/√p1)
+  const sqrtK = raise / (Math.sqrt(endPrice) - Math.sqrt(startPrice));
+  const initialTokenReserve = sqrtK / Math.sqrt(startPrice);
+  const tokensForSale = raise / Math.sqrt(startPrice * endPrice);
+
+  const points = [];
+  for (let i = 0; i <= samples; i++) {
+    const sold = (tokensForSale * i) / samples;
+    const tokenReserve = initialTokenReserve - sold;
+    const stableReserve = (sqrtK * sqrtK) / tokenReserve;
+    points.push({
+      sold,
+      raised: stableReserve - sqrtK * Math.sqrt(startPrice),
+      price: stableReserve / tokenReserve,
+    });
+  }
+
+  const keep = 1 - finalizeFeeBps / TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS;
+  const reservedTokens = raise / endPrice;
+
+  return {
+    tokensForSale,
+    liquidityTokens: reservedTokens * keep,
+    liquidityStable: raise * keep,
+    totalSupply: tokensForSale + reservedTokens,
+    averagePrice: raise / tokensForSale,
+    points,
+  };
+}
@@ -0,0 +1,231 @@
+import { STORAGE_KEYS, DEFAULT_FORM_VALUES } from '@/lib/constants';
+
+// Bumped when the exported launch config shape changes
+const LAUNCH_CONFIG_VERSION = 1;
+
+// Fields that describe one token rather than a launch setup; templates leave them alone
+const TOKEN_FIELDS = ['name', 'symbol', 'url', 'taxReceiver'];
+
+// Config addresses differ between clusters, so templates leave these alone too
+const CLUSTER_FIELDS = ['pairToken', 'dexRouter'];
+
+/**
+ * Empty create form, seeded from DEFAULT_FORM_VALUES
+ * @returns {Object} Create form state
+ */
+export function getDefaultFormData() {
+  return {
+    // Token Details
+    name: '',
+    symbol: '',
+    url: '',
+
+    // Pool Configuration
+    dexRouter: '',
+    pairToken: '',
+    startPrice: '',
+    endPrice: '',
+    buyTax: DEFAULT_FORM_VALUES.BUY_TAX,
+    sellTax: DEFAULT_FORM_VALUES.SELL_TAX,
+    taxReceiver: '',
+    creatorPercentage: DEFAULT_FORM_VALUES.CREATOR_PERCENTAGE,
+    minDeposit: DEFAULT_FORM_VALUES.MIN_DEPOSIT,
+    maxDeposit: DEFAULT_FORM_VALUES.MAX_DEPOSIT,
+
+    // Raydium Settings
+    useRaydium: false,
+    raydiumFeeTier: DEFAULT_FORM_VALUES.RAYDIUM_FEE_TIER,
+
+    // Limit Parameters
+    gLimitPeriod: DEFAULT_FORM_VALUES.G_LIMIT_PERIOD,
+    gLimitPercent: DEFAULT_FORM_VALUES.G_LIMIT_PERCENT,
+    wLimitPeriod: DEFAULT_FORM_VALUES.W_LIMIT_PERIOD,
+    wLimitPercent: DEFAULT_FORM_VALUES.W_LIMIT_PERCENT,
+  };
+}
+
+/**
+ * Keep only known create form fields, with the types the inputs expect
+ * @param {Object} values - Untrusted values from storage or an imported file
+ * @returns {Object} Partial form state
+ */
+export function sanitizeFormData(values) {
+  const defaults = getDefaultFormData();
+  const clean = {};
+
+  if (!values || typeof values !== 'object') return clean;
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!(key in defaults) || value === null || value === undefined) continue;
+    if (typeof defaults[key] === 'boolean') {
+      clean[key] = value === true;
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      clean[key] = String(value);
+    }
+  }
+
+  return clean;
+}
+
+/**
+ * Launch setup of a form, without the token- and cluster-specific fields
+ * @param {Object} formData - Create form state
+ * @returns {Object} Values a template applies
+ */
+export function getTemplateValues(formData) {
+  return Object.fromEntries(
+    Object.entries(sanitizeFormData(formData))
+      .filter(([key]) => !TOKEN_FIELDS.includes(key) && !CLUSTER_FIELDS.includes(key))
+  );
+}
+
+// Presets offered to every creator; each sets only its own fields and keeps the rest of the form
+export const BUILT_IN_TEMPLATES = [
+  {
+    name: 'No-tax fair launch',
+    builtIn: true,
+    values: {
+      buyTax: '0',
+      sellTax: '0',
+      gLimitPeriod: '0',
+      gLimitPercent: '0',
+      wLimitPeriod: '0',
+      wLimitPercent: '0',
+    },
+  },
+  {
+    name: '10% wallet-limit launch',
+    builtIn: true,
+    values: {
+      wLimitPeriod: DEFAULT_FORM_VALUES.W_LIMIT_PERIOD,
+      wLimitPercent: '10',
+    },
+  },
+];
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, null when unset, unreadable or on the server
+ */
+function readStorage(key) {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store, removed when null
+ */
+function writeStorage(key, value) {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+}
+
+/**
+ * Read the in-progress create form saved for a wallet
+ * @param {string} walletAddress - Base58 wallet address
+ * @returns {Object|null} Partial form state, null when there is no draft
+ */
+export function loadDraft(walletAddress) {
+  const draft = readStorage(`${STORAGE_KEYS.CREATE_DRAFT}_${walletAddress}`);
+  return draft ? sanitizeFormData(draft) : null;
+}
+
+/**
+ * Save the in-progress create form for a wallet
+ * @param {string} walletAddress - Base58 wallet address
+ * @param {Object} formData - Create form state
+ */
+export function saveDraft(walletAddress, formData) {
+  writeStorage(`${STORAGE_KEYS.CREATE_DRAFT}_${walletAddress}`, sanitizeFormData(formData));
+}
+
+/**
+ * Drop a wallet's saved draft, e.g. after the pool is created
+ * @param {string} walletAddress - Base58 wallet address
+ */
+export function clearDraft(walletAddress) {
+  writeStorage(`${STORAGE_KEYS.CREATE_DRAFT}_${walletAddress}`, null);
+}
+
+/**
+ * Templates the creator saved on this device
+ * @returns {Array<Object>} { name, values }
+ */
+export function loadSavedTemplates() {
+  const templates = readStorage(STORAGE_KEYS.LAUNCH_TEMPLATES);
+  if (!Array.isArray(templates)) return [];
+
+  return templates
+    .filter((template) => typeof template?.name === 'string' && template.name)
+    .map((template) => ({ name: template.name, values: getTemplateValues(template.values) }));
+}
+
+/**
+ * Save the form's launch setup as a named template, replacing one with the same name
+ * @param {string} name - Template name
+ * @param {Object} formData - Create form state
+ * @returns {Array<Object>} Saved templates after the change
+ */
+export function saveTemplate(name, formData) {
+  const templates = loadSavedTemplates().filter((template) => template.name !== name);
+  templates.push({ name, values: getTemplateValues(formData) });
+  writeStorage(STORAGE_KEYS.LAUNCH_TEMPLATES, templates);
+  return templates;
+}
+
+/**
+ * Remove a saved template
+ * @param {string} name - Template name
+ * @returns {Array<Object>} Saved templates after the change
+ */
+export function deleteTemplate(name) {
+  const templates = loadSavedTemplates().filter((template) => template.name !== name);
+  writeStorage(STORAGE_KEYS.LAUNCH_TEMPLATES, templates);
+  return templates;
+}
+
+/**
+ * Serialize a create form for download
+ * @param {Object} formData - Create form state
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportLaunchConfig(formData) {
+  return JSON.stringify({ version: LAUNCH_CONFIG_VERSION, formData: sanitizeFormData(formData) }, null, 2);
+}
+
+/**
+ * Read a launch config produced by exportLaunchConfig
+ * @param {string} text - File contents
+ * @returns {Object} Partial form state
+ * @throws {Error} When the file isn't a launch config
+ */
+export function parseLaunchConfig(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (parsed?.version !== LAUNCH_CONFIG_VERSION || typeof parsed.formData !== 'object') {
+    throw new Error('File is not a launch config');
+  }
+
+  return sanitizeFormData(parsed.formData);
+}
@@ -0,0 +1,310 @@
+import { PublicKey } from '@solana/web3.js';
+import { BN } from '@coral-xyz/anchor';
+import {
+  DEFAULT_FORM_VALUES,
+  RAYDIUM_CPMM_PROGRAM,
+  RAYDIUM_FEE_OPTIONS,
+  TOKEN_STANDARDS,
+  VALIDATION
+} from '@/lib/constants';
+import { decimalStringToBN, bnToDecimalString } from '@/lib/utils/calculations';
+
+// Wizard steps on /create, in order; `fields` are the formData keys each step owns
+export const LAUNCH_STEPS = [
+  { id: 'token', label: 'Token', fields: ['name', 'symbol', 'url'] },
+  { id: 'pricing', label: 'Pricing', fields: ['pairToken', 'startPrice', 'endPrice'] },
+  { id: 'taxes', label: 'Taxes', fields: ['buyTax', 'sellTax', 'taxReceiver', 'creatorPercentage'] },
+  {
+    id: 'limits',
+    label: 'Limits',
+    fields: ['minDeposit', 'maxDeposit', 'gLimitPeriod', 'gLimitPercent', 'wLimitPeriod', 'wLimitPercent'],
+  },
+  { id: 'dex', label: 'DEX', fields: ['dexRouter', 'raydiumFeeTier'] },
+  { id: 'review', label: 'Review', fields: [] },
+];
+
+/**
+ * Whole-percent form value in basis points
+ * @param {string} value - Percent from the form, up to two decimals
+ * @returns {number} Basis points
+ */
+function percentToBasisPoints(value) {
+  return Math.round(parseFloat(value) * TOKEN_STANDARDS.PERCENTAGE_DECIMALS);
+}
+
+/**
+ * Check a form value is a parseable public key
+ * @param {string} value - Base58 address
+ * @returns {boolean} True if valid
+ */
+function isPublicKey(value) {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Byte length of a string as the program stores it
+ * @param {string} value - Form value
+ * @returns {number} UTF-8 bytes
+ */
+function byteLength(value) {
+  return new TextEncoder().encode(value).length;
+}
+
+/**
+ * Config stable coin the form is paired with
+ * @param {Object} values - Create form state
+ * @param {Array} stableCoins - Config stableCoins ({ mint, decimals })
+ * @returns {Object|undefined} Matching stable coin
+ */
+function findStableCoin(values, stableCoins) {
+  return stableCoins.find((coin) => coin.mint.toString() === values.pairToken);
+}
+
+/**
+ * Check a percent field converts to whole basis points within 0-100%
+ * @param {string} value - Percent from the form
+ * @returns {boolean} True if valid
+ */
+function isBasisPointPercent(value) {
+  if (!/^\d+(\.\d{0,2})?$/.test(String(value).trim())) return false;
+  return percentToBasisPoints(value) <= VALIDATION.MAX_TAX_BASIS_POINTS;
+}
+
+/**
+ * Check a stable coin amount is positive and fits the coin's decimals
+ * @param {string} value - Amount from the form
+ * @param {Object} values - Create form state
+ * @param {Object} context - { stableCoins }
+ * @returns {string|true} Error message or true
+ */
+function checkStableAmount(value, values, { stableCoins }) {
+  const stableCoin = findStableCoin(values, stableCoins);
+  if (!stableCoin) return 'Select a stable coin pair first';
+
+  const [, fraction = ''] = String(value).trim().split('.');
+  if (fraction.length > stableCoin.decimals) {
+    return `At most ${stableCoin.decimals} decimal places`;
+  }
+
+  const amount = decimalStringToBN(value, stableCoin.decimals);
+  return (amount && !amount.isZero()) || 'Enter an amount greater than 0';
+}
+
+/**
+ * Declarative create form schema, mirroring the create_prelaunch checks
+ * Each rule gets (value, values, context) with context { stableCoins, dexRouters }
+ * from Config, and returns an error message or true. `deps` lists fields whose
+ * rule reads this one and must be re-checked when it changes.
+ */
+export const LAUNCH_SCHEMA = {
+  name: {
+    validate: (value) =>
+      (value.trim() !== '' && byteLength(value) <= VALIDATION.MAX_NAME_LENGTH) ||
+      `Token name is required and must be ${VALIDATION.MAX_NAME_LENGTH} bytes or less`,
+  },
+  symbol: {
+    validate: (value) =>
+      (value.trim() !== '' && byteLength(value) <= VALIDATION.MAX_SYMBOL_LENGTH) ||
+      `Token symbol is required and must be ${VALIDATION.MAX_SYMBOL_LENGTH} bytes or less`,
+  },
+  url: {
+    validate: (value) =>
+      (value.trim() !== '' && byteLength(value) <= VALIDATION.MAX_URL_LENGTH) ||
+      `Metadata URL is required and must be ${VALIDATION.MAX_URL_LENGTH} bytes or less`,
+  },
+  pairToken: {
+    // UnsupportedStableCoin
+    validate: (value, values, { stableCoins }) =>
+      !!findStableCoin(values, stableCoins) || 'Select a stable coin listed in Config',
+    deps: ['startPrice', 'endPrice', 'minDeposit', 'maxDeposit'],
+  },
+  startPrice: {
+    validate: (value, values, context) => {
+      const amount = checkStableAmount(value, values, context);
+      if (amount !== true) return amount;
+      return parseFloat(value) >= VALIDATION.MIN_PRICE || `Start price must be at least ${VALIDATION.MIN_PRICE}`;
+    },
+    deps: ['endPrice'],
+  },
+  endPrice: {
+    validate: (value, values, context) => {
+      const amount = checkStableAmount(value, values, context);
+      if (amount !== true) return amount;
+
+      const { decimals } = findStableCoin(values, context.stableCoins);
+      const start = decimalStringToBN(values.startPrice, decimals);
+      return !start || decimalStringToBN(value, decimals).gt(start) || 'End price must be greater than start price';
+    },
+  },
+  buyTax: {
+    // InvalidTax
+    validate: (value) => isBasisPointPercent(value) || 'Buy tax must be 0-100% with at most two decimals',
+  },
+  sellTax: {
+    // InvalidTax
+    validate: (value) => isBasisPointPercent(value) || 'Sell tax must be 0-100% with at most two decimals',
+  },
+  taxReceiver: {
+    validate: (value) => isPublicKey(value) || 'Invalid tax receiver address',
+  },
+  creatorPercentage: {
+    // InvalidPercentages
+    validate: (value) =>
+      (/^\d+$/.test(String(value).trim()) && parseInt(value) <= 100) ||
+      'Creator share must be a whole number from 0 to 100',
+  },
+  minDeposit: {
+    validate: checkStableAmount,
+    deps: ['maxDeposit'],
+  },
+  maxDeposit: {
+    validate: (value, values, context) => {
+      const amount = checkStableAmount(value, values, context);
+      if (amount !== true) return amount;
+
+      const { decimals } = findStableCoin(values, context.stableCoins);
+      const min = decimalStringToBN(values.minDeposit, decimals);
+      return !min || decimalStringToBN(value, decimals).gte(min) || 'Max deposit must be at least the min deposit';
+    },
+  },
+  gLimitPeriod: {
+    validate: (value) => /^\d+$/.test(String(value).trim()) || 'Period must be a whole number of seconds',
+  },
+  gLimitPercent: {
+    validate: (value) => isBasisPointPercent(value) || 'Limit must be 0-100% with at most two decimals',
+  },
+  wLimitPeriod: {
+    validate: (value) => /^\d+$/.test(String(value).trim()) || 'Period must be a whole number of seconds',
+  },
+  wLimitPercent: {
+    validate: (value) => isBasisPointPercent(value) || 'Limit must be 0-100% with at most two decimals',
+  },
+  dexRouter: {
+    // InvalidRouter
+    validate: (value, values, { dexRouters }) =>
+      dexRouters.some((router) => router.toString() === value) || 'Select a DEX router listed in Config',
+    deps: ['raydiumFeeTier'],
+  },
+  raydiumFeeTier: {
+    // InvalidFeeTier
+    validate: (value, values) =>
+      values.dexRouter !== RAYDIUM_CPMM_PROGRAM.toString() ||
+      RAYDIUM_FEE_OPTIONS.some((option) => option.value === String(value)) ||
+      'Select a Raydium fee tier',
+  },
+};
+
+/**
+ * react-hook-form register options for every create form field
+ * @param {Object} context - { stableCoins, dexRouters } from Config
+ * @returns {Object} Field name to register options
+ */
+export function getLaunchFieldRules(context) {
+  return Object.fromEntries(
+    Object.entries(LAUNCH_SCHEMA).map(([field, { validate, deps }]) => [
+      field,
+      { validate: (value, values) => validate(value ?? '', values, context), deps },
+    ])
+  );
+}
+
+/**
+ * Build the create_prelaunch arguments from the create form
+ * Prices and deposits are in the pair's stable coin, taxes in basis points,
+ * limit percents in basis points and limit periods in seconds.
+ * @param {Object} formData - Create form state
+ * @param {PublicKey} creator - Connected wallet
+ * @param {Object} stableCoin - Selected Config stable coin ({ mint, decimals })
+ * @returns {Object} { params, limitParams } ready for program.methods.createPrelaunch
+ */
+export function buildLaunchParams(formData, creator, stableCoin) {
+  const stableDecimals = stableCoin.decimals;
+  const isRaydium = formData.dexRouter === RAYDIUM_CPMM_PROGRAM.toString();
+
+  const params = {
+    dexRouter: new PublicKey(formData.dexRouter),
+    name: formData.name,
+    symbol: formData.symbol,
+    buyTax: percentToBasisPoints(formData.buyTax),
+    sellTax: percentToBasisPoints(formData.sellTax),
+    taxReceiver: new PublicKey(formData.taxReceiver),
+    creator: creator,
+    creatorPercentage: parseInt(formData.creatorPercentage),
+    pairToken: new PublicKey(formData.pairToken),
+    startPrice: decimalStringToBN(formData.startPrice, stableDecimals),
+    endPrice: decimalStringToBN(formData.endPrice, stableDecimals),
+    minDeposit: decimalStringToBN(formData.minDeposit, stableDecimals),
+    maxDeposit: decimalStringToBN(formData.maxDeposit, stableDecimals),
+    url: formData.url,
+    raydiumFeeTier: isRaydium ? parseInt(formData.raydiumFeeTier) : 0,
+    useRaydium: isRaydium,
+  };
+
+  const limitParams = {
+    gLimitPeriod: new BN(parseInt(formData.gLimitPeriod)),
+    gLimitPercent: new BN(percentToBasisPoints(formData.gLimitPercent)),
+    wLimitPeriod: new BN(parseInt(formData.wLimitPeriod)),
+    wLimitPercent: new BN(percentToBasisPoints(formData.wLimitPercent)),
+    gTimestamp: new BN(0),
+    wTimestamp: new BN(0),
+    gPrice: new BN(0),
+    wPrice: new BN(0),
+  };
+
+  return { params, limitParams };
+}
+
+/**
+ * Create form values for an existing pool's Params and LimitParams
+ * The inverse of buildLaunchParams, used to clone a launch into a new draft.
+ * @param {Object} params - Decoded pool params
+ * @param {Object} limits - Decoded pool limits
+ * @param {number} stableDecimals - Decimals of the pool's stable coin
+ * @returns {Object} Partial create form state
+ */
+export function launchParamsToFormData(params, limits, stableDecimals) {
+  const basisPointsToPercent = (bps) => String(Number(bps.toString()) / TOKEN_STANDARDS.PERCENTAGE_DECIMALS);
+
+  return {
+    name: params.name,
+    symbol: params.symbol,
+    url: params.url,
+    dexRouter: params.dexRouter.toBase58(),
+    pairToken: params.pairToken.toBase58(),
+    startPrice: bnToDecimalString(params.startPrice, stableDecimals),
+    endPrice: bnToDecimalString(params.endPrice, stableDecimals),
+    buyTax: basisPointsToPercent(params.buyTax),
+    sellTax: basisPointsToPercent(params.sellTax),
+    taxReceiver: params.taxReceiver.toBase58(),
+    creatorPercentage: String(params.creatorPercentage),
+    minDeposit: bnToDecimalString(params.minDeposit, stableDecimals),
+    maxDeposit: bnToDecimalString(params.maxDeposit, stableDecimals),
+    useRaydium: params.useRaydium,
+    // Non-Raydium launches store a zero tier, which isn't one of the form's options
+    raydiumFeeTier: params.useRaydium ? String(params.raydiumFeeTier) : DEFAULT_FORM_VALUES.RAYDIUM_FEE_TIER,
+    gLimitPeriod: limits.gLimitPeriod.toString(),
+    gLimitPercent: basisPointsToPercent(limits.gLimitPercent),
+    wLimitPeriod: limits.wLimitPeriod.toString(),
+    wLimitPercent: basisPointsToPercent(limits.wLimitPercent),
+  };
+}
+
+/**
+ * Plain-JSON view of an Anchor struct for display
+ * @param {Object} struct - Params or LimitParams
+ * @returns {Object} Same keys with public keys as base58 and BNs as decimal strings
+ */
+export function serializeLaunchStruct(struct) {
+  return Object.fromEntries(
+    Object.entries(struct).map(([key, value]) => {
+      if (value instanceof PublicKey) return [key, value.toBase58()];
+      if (BN.isBN(value)) return [key, value.toString()];
+      return [key, value];
+    })
+  );
+}
@@ -0,0 +1,205 @@
+import { VALIDATION, UI_CONSTANTS, METADATA_GATEWAYS } from '@/lib/constants';
+
+// Metaplex fungible token metadata JSON; only the fields the UI reads are checked
+const METADATA_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: VALIDATION.MAX_NAME_LENGTH },
+  symbol: { type: 'string', required: true, maxLength: VALIDATION.MAX_SYMBOL_LENGTH },
+  description: { type: 'string' },
+  image: { type: 'string', format: 'url' },
+  animation_url: { type: 'string', format: 'url' },
+  external_url: { type: 'string', format: 'url' },
+  attributes: { type: 'array' },
+  properties: { type: 'object' },
+  extensions: { type: 'object' },
+};
+
+// Social links wallets and explorers read from `extensions`
+const LINK_LABELS = {
+  website: 'Website',
+  twitter: 'Twitter',
+  telegram: 'Telegram',
+  discord: 'Discord',
+  medium: 'Medium',
+  github: 'GitHub',
+};
+
+/**
+ * Check a string is an http(s) URL, or an ipfs:// / ar:// link we can resolve
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True if usable as a link
+ */
+function isLinkUrl(value) {
+  if (METADATA_GATEWAYS.some((gateway) => value.startsWith(gateway.scheme))) return true;
+
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * JSON type name as used in METADATA_SCHEMA
+ * @param {*} value - Parsed JSON value
+ * @returns {string} 'array', 'null' or the typeof result
+ */
+function jsonType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Resolve ipfs:// and ar:// links to their HTTP gateway
+ * @param {string} url - Link from metadata or the pool params
+ * @returns {string} Fetchable URL
+ */
+export function resolveMetadataUrl(url) {
+  const gateway = METADATA_GATEWAYS.find((option) => url.startsWith(option.scheme));
+  return gateway ? gateway.baseUrl + url.slice(gateway.scheme.length) : url;
+}
+
+/**
+ * Build a metadata URL from a storage host and content id
+ * @param {string} gatewayValue - METADATA_GATEWAYS value
+ * @param {string} contentId - IPFS CID or Arweave transaction id, optionally with a path
+ * @returns {string} Gateway URL, empty when either part is missing
+ */
+export function composeMetadataUri(gatewayValue, contentId) {
+  const gateway = METADATA_GATEWAYS.find((option) => option.value === gatewayValue);
+  const id = contentId.trim().replace(/^\/+/, '');
+  if (!gateway || !id) return '';
+
+  return gateway.baseUrl + id;
+}
+
+/**
+ * Validate a metadata URL before it is sent to update_metadata_uri
+ * The program stores it as-is, so it has to fit params.url and be fetchable by wallets.
+ * @param {string} uri - Candidate URL
+ * @returns {string|null} Error message, null when valid
+ */
+export function validateMetadataUri(uri) {
+  if (!uri) {
+    return 'Metadata URL is required';
+  }
+  if (uri.length > VALIDATION.MAX_URL_LENGTH) {
+    return `Metadata URL must be ${VALIDATION.MAX_URL_LENGTH} characters or less`;
+  }
+
+  try {
+    const { protocol } = new URL(uri);
+    if (protocol !== 'https:' && protocol !== 'http:') {
+      return 'Metadata URL must start with https://';
+    }
+  } catch {
+    return 'Metadata URL is not a valid URL';
+  }
+
+  return null;
+}
+
+/**
+ * Check metadata JSON against METADATA_SCHEMA and the pool it describes
+ * Schema violations are errors; a missing image or a name/symbol that differs
+ * from the on-chain params are warnings, since the update is still allowed.
+ * @param {*} json - Parsed metadata
+ * @param {Object} pool - Pool view from buildPoolView
+ * @returns {Object} { errors: Array<string>, warnings: Array<string> }
+ */
+export function validateMetadataJson(json, pool) {
+  const errors = [];
+  const warnings = [];
+
+  if (jsonType(json) !== 'object') {
+    return { errors: ['Metadata must be a JSON object'], warnings };
+  }
+
+  for (const [field, rule] of Object.entries(METADATA_SCHEMA)) {
+    const value = json[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push(`"${field}" is required`);
+      continue;
+    }
+    if (jsonType(value) !== rule.type) {
+      errors.push(`"${field}" must be ${rule.type === 'array' ? 'an array' : `a ${rule.type}`}`);
+      continue;
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      errors.push(`"${field}" must be ${rule.maxLength} characters or less`);
+    }
+    if (rule.format === 'url' && !isLinkUrl(value)) {
+      errors.push(`"${field}" must be a URL`);
+    }
+  }
+
+  if (!json.image) {
+    warnings.push('No image set; wallets will show a placeholder');
+  }
+  if (typeof json.name === 'string' && json.name !== pool.tokenName) {
+    warnings.push(`Name "${json.name}" differs from the pool name "${pool.tokenName}"`);
+  }
+  if (typeof json.symbol === 'string' && json.symbol !== pool.tokenSymbol) {
+    warnings.push(`Symbol "${json.symbol}" differs from the pool symbol "${pool.tokenSymbol}"`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Collect the links a metadata JSON advertises
+ * @param {Object} json - Parsed metadata
+ * @returns {Array<Object>} { label, url } with resolved URLs
+ */
+export function getMetadataLinks(json) {
+  const links = [];
+
+  if (typeof json.external_url === 'string' && isLinkUrl(json.external_url)) {
+    links.push({ label: 'Website', url: resolveMetadataUrl(json.external_url) });
+  }
+
+  if (jsonType(json.extensions) === 'object') {
+    for (const [key, value] of Object.entries(json.extensions)) {
+      if (typeof value !== 'string' || !isLinkUrl(value)) continue;
+      const url = resolveMetadataUrl(value);
+      if (links.some((link) => link.url === url)) continue;
+      links.push({ label: LINK_LABELS[key] || key, url });
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Fetch and parse the metadata JSON behind a URL
+ * @param {string} uri - Metadata URL (ipfs:// and ar:// are resolved)
+ * @returns {Promise<Object>} Parsed JSON
+ * @throws {Error} On network failure, timeout, a non-2xx response or invalid JSON
+ */
+export async function fetchMetadataJson(uri) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), UI_CONSTANTS.METADATA_FETCH_TIMEOUT);
+
+  let response;
+  try {
+    response = await fetch(resolveMetadataUrl(uri), { signal: controller.signal });
+  } catch (error) {
+    throw new Error(error.name === 'AbortError'
+      ? 'Timed out fetching metadata'
+      : 'Could not reach the metadata URL (it may block cross-origin requests)');
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Metadata URL returned ${response.status}`);
+  }
+
+  try {
+    return await response.json();
+  } catch {
+    throw new Error('Metadata URL did not return valid JSON');
+  }
+}
@@ -0,0 +1,116 @@
+import { POOL_PHASE_OPTIONS, POOL_SORT_OPTIONS } from '@/lib/constants';
+import { getPoolPhase } from '@/lib/program/pool-helpers';
+
+// Boolean filters stored as `key=1` in the query string
+export const POOL_FLAG_FILTERS = [
+  { key: 'mine', label: 'Created by me', requiresWallet: true },
+  { key: 'holding', label: 'I hold / have deposits', requiresWallet: true },
+  { key: 'taxed', label: 'Has taxes' },
+  { key: 'limits', label: 'Has wallet limits' },
+];
+
+const DEFAULT_SORT = POOL_SORT_OPTIONS[0].value;
+
+/**
+ * Read the pool list query from URL search params
+ * Unknown phase or sort values fall back to their defaults.
+ * @param {URLSearchParams} searchParams - Current search params
+ * @returns {Object} { search, phase, sort, mine, holding, taxed, limits }
+ */
+export function parsePoolQuery(searchParams) {
+  const phase = searchParams.get('phase') || '';
+  const sort = searchParams.get('sort') || DEFAULT_SORT;
+
+  const query = {
+    search: searchParams.get('q') || '',
+    phase: POOL_PHASE_OPTIONS.some((opt) => opt.value === phase) ? phase : '',
+    sort: POOL_SORT_OPTIONS.some((opt) => opt.value === sort) ? sort : DEFAULT_SORT,
+  };
+
+  for (const { key } of POOL_FLAG_FILTERS) {
+    query[key] = searchParams.get(key) === '1';
+  }
+
+  return query;
+}
+
+/**
+ * Serialize a pool list query, leaving out defaults to keep URLs short
+ * @param {Object} query - Result of parsePoolQuery
+ * @returns {string} Query string without the leading '?'
+ */
+export function buildPoolQueryString(query) {
+  const params = new URLSearchParams();
+
+  if (query.search.trim()) params.set('q', query.search.trim());
+  if (query.phase) params.set('phase', query.phase);
+  if (query.sort !== DEFAULT_SORT) params.set('sort', query.sort);
+
+  for (const { key } of POOL_FLAG_FILTERS) {
+    if (query[key]) params.set(key, '1');
+  }
+
+  return params.toString();
+}
+
+/**
+ * Check whether any filter narrows the list
+ * @param {Object} query - Result of parsePoolQuery
+ * @returns {boolean} True if a search, phase or flag filter is set
+ */
+export function hasActivePoolFilters(query) {
+  return !!query.search.trim() || !!query.phase || POOL_FLAG_FILTERS.some(({ key }) => query[key]);
+}
+
+/**
+ * Apply the search and filters to pool views
+ * @param {Array<Object>} pools - Pool views from buildPoolView
+ * @param {Object} query - Result of parsePoolQuery
+ * @param {Object} context - { owner: PublicKey|null, positions: Map|null from fetchUserPoolPositions }
+ * @returns {Array<Object>} Matching pools, in their original order
+ */
+export function filterPools(pools, query, { owner = null, positions = null } = {}) {
+  const search = query.search.trim().toLowerCase();
+
+  return pools.filter((pool) => {
+    if (search) {
+      const matches =
+        pool.tokenName.toLowerCase().includes(search) ||
+        pool.tokenSymbol.toLowerCase().includes(search) ||
+        pool.projectMint.toBase58().toLowerCase().includes(search);
+      if (!matches) return false;
+    }
+
+    if (query.phase && getPoolPhase(pool.poolAccount) !== query.phase) return false;
+    if (query.mine && !(owner && pool.creator.equals(owner))) return false;
+    if (query.holding && !positions?.get(pool.address.toBase58())?.hasPosition) return false;
+    if (query.taxed && pool.buyTax === 0 && pool.sellTax === 0) return false;
+    if (query.limits && !pool.hasWalletLimits) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Sort pool views
+ * Pools arrive in Config createdTokens order, which is creation order.
+ * @param {Array<Object>} pools - Pool views
+ * @param {string} sort - Value from POOL_SORT_OPTIONS
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortPools(pools, sort) {
+  const sorted = [...pools];
+
+  switch (sort) {
+    case 'newest':
+      return sorted.reverse();
+    case 'progress':
+      return sorted.sort((a, b) => b.progress - a.progress);
+    case 'price':
+      return sorted.sort((a, b) => b.currentPrice - a.currentPrice);
+    case 'raised':
+      return sorted.sort((a, b) => b.reserveStable - a.reserveStable);
+    default:
+      return sorted;
+  }
+}
@@ -0,0 +1,95 @@
+import { TOKEN_STANDARDS } from '@/lib/constants';
+import { bnToNumber } from '@/lib/utils/calculations';
+import { calculateSellLimits } from '@/lib/utils/sellLimits';
+
+/**
+ * Turn a raw position from fetchUserPoolPositions into display amounts
+ * @param {Object} pool - Pool view from buildPoolView
+ * @param {Object} position - Entry from fetchUserPoolPositions
+ * @param {number} price - Market price from fetchMarketPrice
+ * @param {number} now - Current unix time in seconds
+ * @returns {Object} Token amounts, pending deposit, value and what can be sold right now
+ */
+export function buildPortfolioPosition(pool, position, price, now) {
+  const tokenDecimals = TOKEN_STANDARDS.TOKEN_DECIMALS;
+  const bundleExecuted = !!pool.bundlePool?.isExecuted;
+
+  const walletTokens = bnToNumber(position.tokenBalance, tokenDecimals);
+  const lockedTokens = bnToNumber(position.lockedTokens, tokenDecimals);
+  const bundleShare = bnToNumber(position.bundleShare, tokenDecimals);
+  const bundleDeposit = bnToNumber(position.bundleDeposit, pool.stableDecimals);
+
+  // Deposits waiting on the bundle buy are still worth what was put in
+  const pendingDeposit = bundleExecuted ? 0 : bundleDeposit;
+  const totalTokens = walletTokens + lockedTokens + bundleShare;
+
+  // Locked tokens are what the sell limits meter; unlocked wallet tokens aren't limited
+  let sellableNow = walletTokens;
+  if (!pool.isLiveOnRaydium && !position.lockedTokens.isZero()) {
+    const { maxSellRaw } = calculateSellLimits(pool.poolAccount, position.walletBalance, position.lockedTokens, now);
+    sellableNow += bnToNumber(maxSellRaw, tokenDecimals);
+  }
+
+  return {
+    walletTokens,
+    lockedTokens,
+    bundleShare,
+    bundleDeposit,
+    pendingDeposit,
+    totalTokens,
+    sellableNow,
+    value: totalTokens * price + pendingDeposit,
+  };
+}
+
+/**
+ * Average-cost basis of a position from the wallet's trade history
+ * Buys add their stable cost and tokens; sells remove tokens at the running
+ * average. Buys into locked tokens don't show a token amount, so the wallet's
+ * LockedTokens initialAmount is split across them by stable spent. A bundle
+ * deposit costs its deposit and brings its share.
+ * @param {Array<Object>} trades - From fetchWalletTrades, newest first
+ * @param {Object} pool - Pool view from buildPoolView
+ * @param {Object} position - Entry from fetchUserPoolPositions
+ * @param {number} heldTokens - Tokens held now (wallet + locked + bundle share)
+ * @returns {number|null} Cost basis in stable coin including any pending bundle deposit,
+ *   null when no purchase was found
+ */
+export function calculateCostBasis(trades, pool, position, heldTokens) {
+  const buys = trades.filter((trade) => trade.side === 'buy' && trade.stableAmount !== null);
+  const lockedStable = buys
+    .filter((trade) => trade.tokenAmount === null)
+    .reduce((sum, trade) => sum + trade.stableAmount, 0);
+  const lockedInitial = bnToNumber(position.lockedTokensInitial, TOKEN_STANDARDS.TOKEN_DECIMALS);
+
+  let tokens = 0;
+  let cost = 0;
+
+  for (const trade of [...trades].reverse()) {
+    if (trade.side === 'buy' && trade.stableAmount !== null) {
+      const bought = trade.tokenAmount ?? (lockedStable > 0 ? lockedInitial * trade.stableAmount / lockedStable : 0);
+      tokens += bought;
+      cost += trade.stableAmount;
+    } else if (trade.side === 'sell' && trade.tokenAmount && tokens > 0) {
+      const sold = Math.min(trade.tokenAmount, tokens);
+      cost -= cost * (sold / tokens);
+      tokens -= sold;
+    }
+  }
+
+  // Executed bundles turned the deposit into tokens; pending ones are still cash
+  const deposit = bnToNumber(position.bundleDeposit, pool.stableDecimals);
+  let pendingDeposit = 0;
+  if (deposit > 0 && pool.bundlePool?.isExecuted) {
+    tokens += bnToNumber(position.bundleShare, TOKEN_STANDARDS.TOKEN_DECIMALS);
+    cost += deposit;
+  } else {
+    pendingDeposit = deposit;
+  }
+
+  if (tokens === 0) {
+    return pendingDeposit > 0 && heldTokens === 0 ? pendingDeposit : null;
+  }
+
+  return (cost / tokens) * heldTokens + pendingDeposit;
+}
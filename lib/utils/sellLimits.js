@@ -0,0 +1,94 @@
+import { BN } from '@coral-xyz/anchor';
+import { TOKEN_STANDARDS } from '@/lib/constants';
+import { calculateScaledPrice, calculateMaxSellAtPrice } from '@/lib/utils/bondingCurve';
+
+// Both limits run in fixed windows that open with the first sell after the
+// previous one ended. Once a window has lapsed the next sell starts a fresh
+// one, so the preview treats an expired window as already reset.
+
+/**
+ * Seconds left in a limit window
+ * @param {BN} timestamp - Window start (unix seconds), zero before the first sell
+ * @param {BN} period - Window length in seconds
+ * @param {number} now - Current unix time in seconds
+ * @returns {number} Seconds until reset, zero when no window is open
+ */
+function secondsUntilReset(timestamp, period, now) {
+  if (timestamp.isZero()) return 0;
+  return Math.max(timestamp.toNumber() + period.toNumber() - now, 0);
+}
+
+/**
+ * Global limit: within a window the curve price may not fall more than
+ * gLimitPercent below gPrice, the price when the window opened.
+ * @param {Object} poolData - Pool account data
+ * @param {number} now - Current unix time in seconds
+ * @returns {Object|null} { maxRaw: BN|null, resetsIn }, null when disabled
+ */
+export function getGlobalSellLimit(poolData, now) {
+  const { gLimitPeriod, gLimitPercent, gTimestamp, gPrice } = poolData.limits;
+  if (gLimitPeriod.isZero() || gLimitPercent.isZero()) return null;
+
+  const resetsIn = secondsUntilReset(gTimestamp, gLimitPeriod, now);
+  const referencePrice = resetsIn > 0 && !gPrice.isZero() ? gPrice : calculateScaledPrice(poolData);
+
+  const basisPoints = new BN(TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS);
+  const floorPrice = referencePrice.mul(basisPoints.sub(BN.min(gLimitPercent, basisPoints))).div(basisPoints);
+
+  return {
+    maxRaw: calculateMaxSellAtPrice(poolData, floorPrice),
+    resetsIn,
+  };
+}
+
+/**
+ * Wallet limit: within a window a wallet may sell wLimitPercent of the balance
+ * it held when the window opened (WalletBalance startingBalance).
+ * @param {Object} poolData - Pool account data
+ * @param {Object|null} walletBalance - WalletBalance account data, null if never created
+ * @param {BN} holdingRaw - Tokens the wallet can sell from, base units
+ * @param {number} now - Current unix time in seconds
+ * @returns {Object|null} { maxRaw: BN, resetsIn }, null when disabled
+ */
+export function getWalletSellLimit(poolData, walletBalance, holdingRaw, now) {
+  const { wLimitPeriod, wLimitPercent, wTimestamp } = poolData.limits;
+  if (wLimitPeriod.isZero() || wLimitPercent.isZero()) return null;
+
+  const resetsIn = walletBalance ? secondsUntilReset(wTimestamp, wLimitPeriod, now) : 0;
+  const startingBalance = resetsIn > 0 ? walletBalance.startingBalance : holdingRaw;
+  const alreadySold = resetsIn > 0 ? startingBalance.sub(BN.min(walletBalance.balance, startingBalance)) : new BN(0);
+
+  const allowance = startingBalance.mul(wLimitPercent).divn(TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS);
+
+  return {
+    maxRaw: allowance.gt(alreadySold) ? allowance.sub(alreadySold) : new BN(0),
+    resetsIn,
+  };
+}
+
+/**
+ * Combine the wallet balance with both sell limits
+ * @param {Object} poolData - Pool account data
+ * @param {Object|null} walletBalance - WalletBalance account data
+ * @param {BN} holdingRaw - Tokens the wallet can sell from, base units
+ * @param {number} now - Current unix time in seconds
+ * @returns {Object} { maxSellRaw, limitedBy: 'wallet'|'global'|null, wallet, global }
+ */
+export function calculateSellLimits(poolData, walletBalance, holdingRaw, now) {
+  const wallet = getWalletSellLimit(poolData, walletBalance, holdingRaw, now);
+  const global = getGlobalSellLimit(poolData, now);
+
+  let maxSellRaw = holdingRaw;
+  let limitedBy = null;
+
+  if (wallet && wallet.maxRaw.lt(maxSellRaw)) {
+    maxSellRaw = wallet.maxRaw;
+    limitedBy = 'wallet';
+  }
+  if (global?.maxRaw && global.maxRaw.lt(maxSellRaw)) {
+    maxSellRaw = global.maxRaw;
+    limitedBy = 'global';
+  }
+
+  return { maxSellRaw, limitedBy, wallet, global };
+}
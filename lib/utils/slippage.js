@@ -0,0 +1,65 @@
+import { BN } from '@coral-xyz/anchor';
+import { AccountLayout } from '@solana/spl-token';
+import { STORAGE_KEYS, UI_CONSTANTS, TOKEN_STANDARDS } from '@/lib/constants';
+
+// Quick picks shown next to the custom input, in basis points
+export const SLIPPAGE_PRESETS = [50, 100, 200, 500];
+
+/**
+ * Check a slippage value is whole basis points within the allowed range
+ * @param {number} bps - Slippage in basis points
+ * @returns {boolean} True if usable
+ */
+export function isValidSlippage(bps) {
+  return Number.isInteger(bps) && bps >= 0 && bps <= UI_CONSTANTS.MAX_SLIPPAGE;
+}
+
+/**
+ * Read the saved slippage tolerance
+ * @returns {number} Slippage in basis points, the default when unset or invalid
+ */
+export function getSlippageTolerance() {
+  if (typeof window === 'undefined') return UI_CONSTANTS.DEFAULT_SLIPPAGE;
+
+  try {
+    const stored = parseInt(window.localStorage.getItem(STORAGE_KEYS.SLIPPAGE_TOLERANCE), 10);
+    return isValidSlippage(stored) ? stored : UI_CONSTANTS.DEFAULT_SLIPPAGE;
+  } catch {
+    return UI_CONSTANTS.DEFAULT_SLIPPAGE;
+  }
+}
+
+/**
+ * Persist the slippage tolerance for future trades
+ * @param {number} bps - Slippage in basis points
+ */
+export function saveSlippageTolerance(bps) {
+  if (!isValidSlippage(bps)) return;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEYS.SLIPPAGE_TOLERANCE, bps.toString());
+  } catch (error) {
+    console.error('Error saving slippage tolerance:', error);
+  }
+}
+
+/**
+ * Lowest acceptable output for a quote
+ * @param {BN} quote - Expected output in base units
+ * @param {number} slippageBps - Tolerance in basis points
+ * @returns {BN} quote × (1 − slippage), rounded down
+ */
+export function applySlippage(quote, slippageBps) {
+  const basisPoints = new BN(TOKEN_STANDARDS.PERCENTAGE_BASIS_POINTS);
+  return quote.mul(basisPoints.sub(new BN(slippageBps))).div(basisPoints);
+}
+
+/**
+ * Read the balance of an SPL token account
+ * @param {Buffer|null} data - Raw account data
+ * @returns {BN} Amount in base units, zero for a missing account
+ */
+export function readTokenAccountAmount(data) {
+  if (!data || data.length < AccountLayout.span) return new BN(0);
+  return new BN(AccountLayout.decode(data).amount.toString());
+}
@@ -0,0 +1,69 @@
+import { VANITY_MINT } from '@/lib/constants';
+
+// Characters a Solana address can contain
+export const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Number of base58 characters a pattern character matches
+ * @param {string} char - Pattern character
+ * @param {boolean} ignoreCase - Match either case
+ * @returns {number} 0 when the character can never appear in an address
+ */
+function matchingCharacters(char, ignoreCase) {
+  if (!ignoreCase) return BASE58_ALPHABET.includes(char) ? 1 : 0;
+
+  return [char.toLowerCase(), char.toUpperCase()]
+    .filter((variant, index, variants) => variants.indexOf(variant) === index)
+    .filter((variant) => BASE58_ALPHABET.includes(variant))
+    .length;
+}
+
+/**
+ * Check a vanity pattern can be found
+ * @param {Object} pattern - { prefix, suffix, ignoreCase }
+ * @returns {string|null} Error message, null when the pattern is usable
+ */
+export function validateVanityPattern({ prefix = '', suffix = '', ignoreCase = false }) {
+  const characters = prefix + suffix;
+
+  if (!characters) return 'Enter a prefix or suffix';
+  if (characters.length > VANITY_MINT.MAX_PATTERN_LENGTH) {
+    return `Use at most ${VANITY_MINT.MAX_PATTERN_LENGTH} characters in total`;
+  }
+
+  const invalid = [...characters].find((char) => matchingCharacters(char, ignoreCase) === 0);
+  if (invalid) {
+    return `"${invalid}" never appears in an address (base58 has no 0, O, I or l)`;
+  }
+
+  return null;
+}
+
+/**
+ * Expected number of keypairs to grind before one matches
+ * Treats every address character as uniform, which is close for suffixes; the
+ * first character of an address is skewed, so prefix estimates are rough.
+ * @param {Object} pattern - { prefix, suffix, ignoreCase }
+ * @returns {number} Expected attempts
+ */
+export function estimateVanityAttempts({ prefix = '', suffix = '', ignoreCase = false }) {
+  return [...(prefix + suffix)].reduce(
+    (attempts, char) => attempts * (BASE58_ALPHABET.length / matchingCharacters(char, ignoreCase)),
+    1
+  );
+}
+
+/**
+ * Check an address against a vanity pattern
+ * @param {string} address - Base58 address
+ * @param {Object} pattern - { prefix, suffix, ignoreCase }
+ * @returns {boolean} True if the address starts with prefix and ends with suffix
+ */
+export function matchesVanityPattern(address, { prefix = '', suffix = '', ignoreCase = false }) {
+  if (ignoreCase) {
+    const lower = address.toLowerCase();
+    return lower.startsWith(prefix.toLowerCase()) && lower.endsWith(suffix.toLowerCase());
+  }
+
+  return address.startsWith(prefix) && address.endsWith(suffix);
+}
@@ -0,0 +1,19 @@
+import { Keypair } from '@solana/web3.js';
+import { VANITY_MINT } from '@/lib/constants';
+import { matchesVanityPattern } from '@/lib/utils/vanity';
+
+// Grinds keypairs until one matches the posted pattern. Runs until it finds one;
+// the page stops it with worker.terminate().
+self.onmessage = ({ data: pattern }) => {
+  for (;;) {
+    for (let i = 0; i < VANITY_MINT.PROGRESS_BATCH; i++) {
+      const keypair = Keypair.generate();
+      if (matchesVanityPattern(keypair.publicKey.toBase58(), pattern)) {
+        self.postMessage({ type: 'found', attempts: i + 1, secretKey: keypair.secretKey });
+        return;
+      }
+    }
+
+    self.postMessage({ type: 'progress', attempts: VANITY_MINT.PROGRESS_BATCH });
+  }
+};
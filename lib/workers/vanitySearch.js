@@ -0,0 +1,52 @@
+import { Keypair } from '@solana/web3.js';
+import { VANITY_MINT } from '@/lib/constants';
+
+/**
+ * Grind for a vanity keypair on one Web Worker per core
+ * @param {Object} pattern - { prefix, suffix, ignoreCase }, checked with validateVanityPattern
+ * @param {Object} handlers
+ * @param {Function} handlers.onProgress - Called with { attempts, rate } (attempts per second)
+ * @param {Function} handlers.onFound - Called with the matching Keypair and total attempts
+ * @param {Function} handlers.onError - Called with the error if a worker fails
+ * @returns {Object} { workers, cancel } where cancel stops every worker
+ */
+export function startVanitySearch(pattern, { onProgress, onFound, onError }) {
+  const workerCount = Math.min(navigator.hardwareConcurrency || 1, VANITY_MINT.MAX_WORKERS);
+  const startedAt = Date.now();
+  const workers = [];
+  let attempts = 0;
+  let stopped = false;
+
+  const cancel = () => {
+    stopped = true;
+    workers.forEach((worker) => worker.terminate());
+  };
+
+  for (let i = 0; i < workerCount; i++) {
+    const worker = new Worker(new URL('./vanityMint.worker.js', import.meta.url));
+
+    worker.onmessage = ({ data }) => {
+      if (stopped) return;
+      attempts += data.attempts;
+
+      if (data.type === 'found') {
+        cancel();
+        onFound(Keypair.fromSecretKey(data.secretKey), attempts);
+      } else {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        onProgress({ attempts, rate: elapsed > 0 ? attempts / elapsed : 0 });
+      }
+    };
+
+    worker.onerror = (event) => {
+      if (stopped) return;
+      cancel();
+      onError(new Error(event.message || 'Vanity worker failed'));
+    };
+
+    worker.postMessage(pattern);
+    workers.push(worker);
+  }
+
+  return { workers: workerCount, cancel };
+}